@@ -0,0 +1,318 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { ArrowLeft, Download, Eye, Loader2, Trash2 } from 'lucide-react'
+import toast from 'react-hot-toast'
+import Navbar from '../../components/Navbar'
+import ResultsTable from '../../components/ResultsTable'
+
+// A saved run: the JSON/JSONL/CSV/XLSX output files of a scrape or verification
+interface SavedRun {
+  id: string
+  type: 'scrape' | 'verify'
+  createdAt: string
+  updatedAt: string | null
+  size: number
+  files: { json?: string; jsonl?: string; csv?: string; xlsx?: string }
+  jobId: string | null
+  statistics: Record<string, number> | null
+  // Present while the job that wrote the run is still stored
+  job: { status: string; duration: string | null; message: string | null } | null
+}
+
+type TypeFilter = '' | 'scrape' | 'verify'
+
+const API_URL = 'http://localhost:5000/api'
+const PAGE_SIZE = 20
+
+const formatSize = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+const describeStatistics = (run: SavedRun) => {
+  const stats = run.statistics
+  if (!stats) return '—'
+  if (run.type === 'verify') {
+    return `${stats.totalEmails} emails · ${stats.deliverable} deliverable · ${stats.risky} risky · ${stats.undeliverable + stats.invalid} bad`
+  }
+  return `${stats.totalUrls} websites · ${stats.emailsFound} emails · ${stats.errorUrls} errors${stats.skippedUrls ? ` · ${stats.skippedUrls} skipped` : ''}`
+}
+
+export default function HistoryPage() {
+  const [runs, setRuns] = useState<SavedRun[]>([])
+  const [typeFilter, setTypeFilter] = useState<TypeFilter>('')
+  const [page, setPage] = useState(1)
+  const [totalPages, setTotalPages] = useState(1)
+  const [total, setTotal] = useState(0)
+  const [loading, setLoading] = useState(true)
+  const [olderThanDays, setOlderThanDays] = useState('30')
+  // Large runs are opened with their first results only
+  const [openRun, setOpenRun] = useState<(SavedRun & { results: any[]; resultsTotal: number }) | null>(null)
+  const [openingId, setOpeningId] = useState<string | null>(null)
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true)
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) })
+      if (typeFilter) params.set('type', typeFilter)
+      const response = await fetch(`${API_URL}/results?${params}`)
+      const data = await response.json()
+      if (!data.success) throw new Error(data.message)
+      setRuns(data.runs)
+      setTotal(data.total)
+      setTotalPages(data.totalPages)
+      if (data.page !== page) setPage(data.page)
+    } catch (error: any) {
+      toast.error(error.message || 'Could not load the history')
+    } finally {
+      setLoading(false)
+    }
+  }, [page, typeFilter])
+
+  useEffect(() => {
+    loadRuns()
+  }, [loadRuns])
+
+  const reopenRun = async (run: SavedRun) => {
+    setOpeningId(run.id)
+    try {
+      const response = await fetch(`${API_URL}/results/${run.id}`)
+      const data = await response.json()
+      if (!data.success) throw new Error(data.message)
+      setOpenRun(data.run)
+    } catch (error: any) {
+      toast.error(error.message || 'Could not open the run')
+    } finally {
+      setOpeningId(null)
+    }
+  }
+
+  const deleteRun = async (run: SavedRun) => {
+    if (!window.confirm(`Delete the results of ${new Date(run.createdAt).toLocaleString()}?`)) return
+    try {
+      const response = await fetch(`${API_URL}/results/${run.id}`, { method: 'DELETE' })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.message)
+      toast.success(data.message)
+      loadRuns()
+    } catch (error: any) {
+      toast.error(error.message || 'Could not delete the run')
+    }
+  }
+
+  const deleteOldRuns = async () => {
+    if (!/^\d+$/.test(olderThanDays)) {
+      toast.error('Enter a number of days')
+      return
+    }
+    if (!window.confirm(`Delete every saved run older than ${olderThanDays} day(s)?`)) return
+    try {
+      const response = await fetch(`${API_URL}/results?olderThanDays=${olderThanDays}`, { method: 'DELETE' })
+      const data = await response.json()
+      if (!data.success) throw new Error(data.message)
+      toast.success(data.message)
+      loadRuns()
+    } catch (error: any) {
+      toast.error(error.message || 'Could not delete the runs')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <Navbar />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        {openRun ? (
+          <div className="space-y-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900 mb-2">
+                  Results of {new Date(openRun.createdAt).toLocaleString()}
+                </h1>
+                <p className="text-gray-600">
+                  {openRun.resultsTotal} website{openRun.resultsTotal !== 1 ? 's' : ''}
+                  {openRun.resultsTotal > openRun.results.length && ` (showing the first ${openRun.results.length}; download the files for all)`}
+                </p>
+              </div>
+              <button onClick={() => setOpenRun(null)} className="btn-secondary flex items-center space-x-2">
+                <ArrowLeft className="w-4 h-4" />
+                <span>Back to History</span>
+              </button>
+            </div>
+
+            <ResultsTable results={openRun.results} />
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-end gap-4">
+              <div>
+                <h1 className="text-3xl font-bold text-gray-900 mb-2">History</h1>
+                <p className="text-gray-600">
+                  {total} saved run{total !== 1 ? 's' : ''} in the backend output folder
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-700">Delete runs older than</span>
+                <input
+                  type="number"
+                  min={0}
+                  value={olderThanDays}
+                  onChange={(e) => setOlderThanDays(e.target.value)}
+                  className="input-field w-20"
+                />
+                <span className="text-sm text-gray-700">days</span>
+                <button onClick={deleteOldRuns} className="btn-secondary">
+                  Delete
+                </button>
+              </div>
+            </div>
+
+            <div className="flex space-x-2">
+              {([
+                ['', 'All'],
+                ['scrape', 'Scrapes'],
+                ['verify', 'Verifications']
+              ] as [TypeFilter, string][]).map(([value, label]) => (
+                <button
+                  key={value || 'all'}
+                  onClick={() => {
+                    setTypeFilter(value)
+                    setPage(1)
+                  }}
+                  className={`px-3 py-1.5 text-sm rounded-md border ${
+                    typeFilter === value
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+
+            <div className="card overflow-x-auto p-0">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Summary</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {loading ? (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-8 text-center text-gray-500">
+                        <Loader2 className="w-5 h-5 animate-spin inline-block" />
+                      </td>
+                    </tr>
+                  ) : runs.length === 0 ? (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-8 text-center text-gray-500">No saved runs yet.</td>
+                    </tr>
+                  ) : runs.map(run => (
+                    <tr key={run.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm text-gray-900 whitespace-nowrap">
+                        {new Date(run.createdAt).toLocaleString()}
+                        {run.job && run.job.status !== 'completed' && (
+                          <span className="ml-2 text-xs text-gray-500 capitalize">{run.job.status}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">
+                        {run.type === 'verify' ? 'Verification' : 'Scrape'}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-700">{describeStatistics(run)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{formatSize(run.size)}</td>
+                      <td className="px-4 py-3 text-sm">
+                        <div className="flex items-center justify-end space-x-3">
+                          {run.type === 'scrape' && (run.files.jsonl || run.files.json) && (
+                            <button
+                              onClick={() => reopenRun(run)}
+                              disabled={openingId === run.id}
+                              className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                              title="Open in the results table"
+                            >
+                              {openingId === run.id ? <Loader2 className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+                              <span>Open</span>
+                            </button>
+                          )}
+                          {run.files.csv && (
+                            <a
+                              href={`${API_URL}/results/${run.id}?format=csv`}
+                              className="inline-flex items-center space-x-1 text-gray-600 hover:text-gray-900"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>CSV</span>
+                            </a>
+                          )}
+                          {run.files.xlsx && (
+                            <a
+                              href={`${API_URL}/results/${run.id}?format=xlsx`}
+                              className="inline-flex items-center space-x-1 text-gray-600 hover:text-gray-900"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>XLSX</span>
+                            </a>
+                          )}
+                          {run.files.json && (
+                            <a
+                              href={`${API_URL}/results/${run.id}?format=json&download=true`}
+                              className="inline-flex items-center space-x-1 text-gray-600 hover:text-gray-900"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>JSON</span>
+                            </a>
+                          )}
+                          {run.files.jsonl && (
+                            <a
+                              href={`${API_URL}/results/${run.id}?format=jsonl`}
+                              className="inline-flex items-center space-x-1 text-gray-600 hover:text-gray-900"
+                            >
+                              <Download className="w-4 h-4" />
+                              <span>JSONL</span>
+                            </a>
+                          )}
+                          <button
+                            onClick={() => deleteRun(run)}
+                            className="text-red-500 hover:text-red-700"
+                            title="Delete"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {totalPages > 1 && (
+              <div className="flex items-center justify-center space-x-4 text-sm">
+                <button
+                  onClick={() => setPage(p => p - 1)}
+                  disabled={page <= 1}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-gray-600">Page {page} of {totalPages}</span>
+                <button
+                  onClick={() => setPage(p => p + 1)}
+                  disabled={page >= totalPages}
+                  className="btn-secondary disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </main>
+    </div>
+  )
+}
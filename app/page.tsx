@@ -1,30 +1,18 @@
 'use client'
 
-import { useState } from 'react'
+import { useCallback, useState } from 'react'
 import Navbar from '../components/Navbar'
-import ScrapingForm from '../components/ScrapingForm'
+import ScrapingForm, { ACTIVE_JOB_STORAGE_KEY } from '../components/ScrapingForm'
 import ResultsTable from '../components/ResultsTable'
-import { Toaster } from 'react-hot-toast'
+import toast, { Toaster } from 'react-hot-toast'
+import axios from 'axios'
 
 interface ScrapingResult {
   website: string
   emails: string[]
-  socialLinks: {
-    facebook?: string
-    twitter?: string
-    linkedin?: string
-    instagram?: string
-    youtube?: string
-    tiktok?: string
-    pinterest?: string
-    snapchat?: string
-    reddit?: string
-    telegram?: string
-    whatsapp?: string
-    discord?: string
-  }
+  socialLinks: Record<string, string | undefined>
   phoneNumbers?: string[]
-  addresses?: string[]
+  addresses?: (string | { formatted: string })[]
   error?: string
 }
 
@@ -32,23 +20,54 @@ export default function Home() {
   const [results, setResults] = useState<ScrapingResult[]>([])
   const [showResults, setShowResults] = useState(false)
   const [isLoading, setIsLoading] = useState(false)
+  const [lastJob, setLastJob] = useState<any>(null)
+  const [onlyNonCritical, setOnlyNonCritical] = useState(false)
 
-  const handleScrapingComplete = (scrapingResults: ScrapingResult[]) => {
+  const handleScrapingComplete = (scrapingResults: ScrapingResult[], job?: any) => {
     setResults(scrapingResults)
+    setLastJob(job || null)
     setShowResults(true)
     setIsLoading(false)
   }
 
-  const handleScrapingStart = () => {
+  // Stable, so the form's re-attach effect runs once
+  const handleScrapingStart = useCallback(() => {
     setIsLoading(true)
+  }, [])
+
+  const handleScrapingError = () => {
+    setIsLoading(false)
   }
 
   const resetResults = () => {
     setResults([])
+    setLastJob(null)
     setShowResults(false)
     setIsLoading(false)
   }
 
+  // Re-run only the skipped and failed websites of the last job; the scrape
+  // form re-attaches to the job and shows the merged results when it is done
+  const resumeFailedUrls = async () => {
+    if (!lastJob) return
+    try {
+      const response = await axios.post(`http://localhost:5000/api/jobs/${lastJob.id}/retry`, { onlyNonCritical })
+      window.localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, lastJob.id)
+      toast.success(response.data.message)
+      resetResults()
+    } catch (error: any) {
+      toast.error(error.response?.data?.message || 'Could not resume the scrape')
+    }
+  }
+
+  // Failed, skipped and never-reached (interrupted) websites of the last job
+  const resumableCount = lastJob
+    ? lastJob.totalUrls - (lastJob.urlCounts?.success || 0)
+    : 0
+
+  // Large jobs send only their first results; the full output is downloaded from the job
+  const totalResults = lastJob?.resultsTotal ?? results.length
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
       <Toaster 
@@ -133,6 +152,7 @@ export default function Home() {
             <ScrapingForm 
               onScrapingComplete={handleScrapingComplete}
               onScrapingStart={handleScrapingStart}
+              onScrapingError={handleScrapingError}
               isLoading={isLoading}
             />
           </div>
@@ -144,18 +164,58 @@ export default function Home() {
                   Scraping Results
                 </h1>
                 <p className="text-gray-600">
-                  Found data from {results.length} website{results.length !== 1 ? 's' : ''}
+                  Found data from {totalResults} website{totalResults !== 1 ? 's' : ''}
+                  {totalResults > results.length && ` (showing the first ${results.length})`}
                 </p>
+                {lastJob?.files && (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Download all results:{' '}
+                    {(['csv', 'xlsx', 'json', 'jsonl'] as const)
+                      .filter(format => lastJob.files[format])
+                      .map((format, index) => (
+                        <span key={format}>
+                          {index > 0 && ' · '}
+                          <a
+                            href={`http://localhost:5000/api/jobs/${lastJob.id}/download?format=${format}`}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            {format.toUpperCase()}
+                          </a>
+                        </span>
+                      ))}
+                  </p>
+                )}
+              </div>
+              <div className="flex flex-col sm:flex-row items-start sm:items-center gap-3">
+                {resumableCount > 0 && (
+                  <div className="flex items-center gap-3">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={onlyNonCritical}
+                        onChange={(e) => setOnlyNonCritical(e.target.checked)}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                      />
+                      Skip critical errors
+                    </label>
+                    <button
+                      onClick={resumeFailedUrls}
+                      className="btn-secondary"
+                    >
+                      Resume {resumableCount} failed/skipped
+                    </button>
+                  </div>
+                )}
+                <button
+                  onClick={resetResults}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                  </svg>
+                  <span>Start New Scraping</span>
+                </button>
               </div>
-              <button
-                onClick={resetResults}
-                className="btn-secondary flex items-center space-x-2"
-              >
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-                </svg>
-                <span>Start New Scraping</span>
-              </button>
             </div>
             
             <ResultsTable results={results} />
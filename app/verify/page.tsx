@@ -0,0 +1,27 @@
+'use client'
+
+import Navbar from '../../components/Navbar'
+import EmailVerification from '../../components/EmailVerification'
+
+export default function VerifyPage() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
+      <Navbar />
+
+      <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Verify Emails
+          </h1>
+          <p className="text-gray-600">
+            Upload a CSV/TXT list, paste addresses or pick a past scrape. Emails are verified in the background
+            (syntax, MX records, SMTP mailbox check, disposable and role detection) and the results can be downloaded
+            as CSV or JSON with status, score and notes per address.
+          </p>
+        </div>
+
+        <EmailVerification />
+      </main>
+    </div>
+  )
+}
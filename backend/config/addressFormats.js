@@ -0,0 +1,61 @@
+// Postal address formats by country (ISO 3166-1 alpha-2)
+//
+// `locality` matches the line holding the postcode, with named groups
+// postcode, city and region (city and region are optional). `cityFirst`
+// formats write the city before the postcode. Countries are tried in this
+// order after the site's own country, so the stricter patterns come first.
+// Postcodes several formats read the same way (five digits: DE, FR, IT, ES,
+// FI) leave the country open unless the site's country or a country name
+// written in the address decides.
+
+// A city or region name: letters with spaces, dots, apostrophes and hyphens
+const place = "\\p{Lu}[\\p{L}.'’ -]{1,40}?";
+
+const postcodeFirst = postcode => new RegExp(`(?<postcode>${postcode})\\s+(?<city>${place})(?=$|[,(]|\\s{2})`, 'u');
+
+module.exports = {
+  ADDRESS_FORMATS: {
+    US: { locality: new RegExp(`(?:(?<city>${place}),?\\s+)?(?<region>[A-Z]{2})\\s+(?<postcode>\\d{5}(?:-\\d{4})?)\\b`, 'u'), cityFirst: true },
+    CA: { locality: new RegExp(`(?:(?<city>${place}),?\\s+)?(?<region>AB|BC|MB|NB|NL|NS|NT|NU|ON|PE|QC|SK|YT)\\s+(?<postcode>[A-Z]\\d[A-Z]\\s?\\d[A-Z]\\d)\\b`, 'u'), cityFirst: true },
+    GB: { locality: new RegExp(`(?:(?<city>${place}),?\\s+)?(?<postcode>(?:[A-Z]{1,2}\\d[A-Z\\d]?|GIR)\\s*\\d[A-Z]{2})\\b`, 'u'), cityFirst: true },
+    AU: { locality: new RegExp(`(?:(?<city>${place}),?\\s+)?(?<region>NSW|VIC|QLD|WA|SA|TAS|ACT|NT)\\s+(?<postcode>\\d{4})\\b`, 'u'), cityFirst: true },
+    NL: { locality: postcodeFirst('\\d{4}\\s?[A-Z]{2}') },
+    PL: { locality: postcodeFirst('\\d{2}-\\d{3}') },
+    PT: { locality: postcodeFirst('\\d{4}-\\d{3}') },
+    SE: { locality: postcodeFirst('\\d{3}\\s\\d{2}') },
+    JP: { locality: new RegExp(`〒?\\s?(?<postcode>\\d{3}-\\d{4})\\s*(?<city>${place})?`, 'u') },
+    DE: { locality: postcodeFirst('(?:D-)?\\d{5}') },
+    FR: { locality: postcodeFirst('\\d{5}') },
+    IT: { locality: postcodeFirst('\\d{5}') },
+    ES: { locality: postcodeFirst('\\d{5}') },
+    FI: { locality: postcodeFirst('\\d{5}') },
+    AT: { locality: postcodeFirst('(?:A-)?\\d{4}') },
+    CH: { locality: postcodeFirst('(?:CH-)?\\d{4}') },
+    BE: { locality: postcodeFirst('\\d{4}') },
+    DK: { locality: postcodeFirst('(?:DK-)?\\d{4}') },
+    NO: { locality: postcodeFirst('\\d{4}') }
+  },
+
+  // Country names as written at the end of addresses
+  COUNTRY_NAMES: {
+    US: ['united states', 'united states of america', 'usa', 'u.s.a.', 'us'],
+    CA: ['canada'],
+    GB: ['united kingdom', 'uk', 'u.k.', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'],
+    AU: ['australia'],
+    NL: ['netherlands', 'the netherlands', 'nederland', 'holland'],
+    PL: ['poland', 'polska'],
+    PT: ['portugal'],
+    SE: ['sweden', 'sverige'],
+    JP: ['japan', '日本'],
+    DE: ['germany', 'deutschland'],
+    FR: ['france'],
+    IT: ['italy', 'italia'],
+    ES: ['spain', 'españa', 'espana'],
+    FI: ['finland', 'suomi'],
+    AT: ['austria', 'österreich', 'oesterreich'],
+    CH: ['switzerland', 'schweiz', 'suisse', 'svizzera'],
+    BE: ['belgium', 'belgië', 'belgie', 'belgique'],
+    DK: ['denmark', 'danmark'],
+    NO: ['norway', 'norge']
+  }
+};
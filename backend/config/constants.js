@@ -20,12 +20,129 @@ module.exports = {
   
   // Scraping defaults
   SCRAPING_DEFAULTS: {
+    fetchMode: 'auto', // 'auto' tries plain HTTP first, 'http' and 'browser' force a tier
     maxDepth: 2,
+    maxPages: 10, // page budget per website, homepage included
     timeout: 30000,
     followRedirects: true,
     extractPhoneNumbers: false,
+    phoneCountry: null, // ISO country for national-format numbers; inferred per site when null
     extractAddresses: false,
-    smartCrawling: true
+    smartCrawling: true,
+    respectRobotsTxt: true,
+    useSitemaps: true,
+    concurrency: 3, // pages scraped in parallel per job
+    requestDelay: 2000 // pause per page between two URLs
+  },
+  
+  // robots.txt compliance
+  ROBOTS_SETTINGS: {
+    userAgent: 'EmailSocialScraper', // product token matched against User-agent groups
+    cacheTtl: 60 * 60 * 1000, // robots.txt files are re-fetched after an hour
+    fetchTimeout: 10000,
+    maxSize: 512 * 1024,
+    maxCrawlDelay: 30, // seconds; slower sites are only scraped on their first page
+    maxCachedOrigins: 1000 // origins whose rules are kept for cacheTtl
+  },
+  
+  // Plain HTTP fetch tier
+  HTTP_FETCH_SETTINGS: {
+    timeout: 15000,
+    maxRedirects: 5,
+    maxSize: 5 * 1024 * 1024,
+    minTextLength: 200 // homepages with less visible text are loaded in the browser
+  },
+  
+  // Sitemap discovery
+  SITEMAP_SETTINGS: {
+    cacheTtl: 60 * 60 * 1000,
+    fetchTimeout: 10000,
+    maxSize: 10 * 1024 * 1024,
+    maxSitemaps: 10, // sitemap files read per site, index files included
+    maxEntries: 5000, // page URLs read per site
+    maxCandidates: 5, // contact-like sitemap pages added to the crawl
+    maxCachedSites: 1000 // sites whose candidates are kept for cacheTtl
+  },
+  
+  // Phone number extraction
+  PHONE_SETTINGS: {
+    fallbackCountry: 'US', // when neither the TLD nor the page language names a country
+    minDigits: 7,
+    // Country-code TLDs mostly used as generic domains
+    genericCountryTlds: ['io', 'co', 'ai', 'me', 'tv', 'fm', 'ly', 'gg', 'cc', 'ws', 'to', 'sh', 'ac', 'so', 'vc', 'la', 'im'],
+    // Languages spoken mainly in one country
+    languageCountries: {
+      de: 'DE', fr: 'FR', it: 'IT', es: 'ES', nl: 'NL', pl: 'PL', pt: 'PT', sv: 'SE', da: 'DK',
+      fi: 'FI', nb: 'NO', nn: 'NO', no: 'NO', cs: 'CZ', sk: 'SK', hu: 'HU', ro: 'RO', bg: 'BG',
+      el: 'GR', tr: 'TR', ru: 'RU', uk: 'UA', ja: 'JP', ko: 'KR', zh: 'CN', th: 'TH', vi: 'VN',
+      id: 'ID', he: 'IL', hr: 'HR', sl: 'SI', et: 'EE', lv: 'LV', lt: 'LT'
+    }
+  },
+  
+  // SMTP mailbox verification
+  SMTP_SETTINGS: {
+    port: Number(process.env.SMTP_PORT) || 25,
+    heloHost: process.env.SMTP_HELO_HOST || 'localhost', // name sent in EHLO/HELO
+    mailFrom: process.env.SMTP_MAIL_FROM || 'verify@localhost', // envelope sender of the probe
+    connectTimeout: 5000,
+    commandTimeout: 10000,
+    maxMxHosts: 3, // MX hosts tried, by priority, when one cannot be reached; lower-priority hosts are skipped (per call: options.maxMxHosts)
+    maxRetries: 2, // extra attempts after a temporary (4xx) answer such as greylisting
+    retryDelay: 15000
+  },
+  
+  // Email domain intelligence (lists in backend/data/)
+  DOMAIN_INTELLIGENCE: {
+    extraDisposableFile: process.env.DISPOSABLE_DOMAINS_FILE || null, // merged into the bundled list
+    usePackagedDisposableList: process.env.DISPOSABLE_PACKAGE_LIST !== 'false', // also load the disposable-email-domains package (about 120,000 domains)
+    disposableListUrl: 'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf',
+    maxTypoDistance: 2, // edits between a domain and the provider it is suggested for
+    // Misspelled top-level domains; only TLDs that do not exist (.cm and .om are real)
+    tldTypos: { con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', comm: 'com', nte: 'net', nett: 'net', ner: 'net', ogr: 'org', orgg: 'org' }
+  },
+  
+  // Verification cache and throttling
+  VERIFICATION_SETTINGS: {
+    concurrency: 10, // emails verified in parallel
+    maxConnectionsPerHost: 2, // open SMTP connections per MX host
+    hostDelay: 1000, // minimum pause between two connections to the same MX host
+    resultTtl: 7 * 24 * 60 * 60 * 1000, // valid, invalid and catch-all answers
+    unknownResultTtl: 60 * 60 * 1000, // mailboxes no server answered for are retried sooner
+    domainTtl: 24 * 60 * 60 * 1000, // MX records and catch-all status
+    maxCachedEmails: 50000,
+    maxJobEmails: 50000, // emails per verification job
+    batchSize: 100, // emails verified between two progress updates
+    maxUploadSize: 10 * 1024 * 1024
+  },
+  
+  // Job queue settings
+  JOB_SETTINGS: {
+    maxConcurrentJobs: 2, // scrape jobs running at the same time (one browser each)
+    maxStoredJobs: 200, // oldest finished jobs are pruned beyond this
+    maxListedUrls: 1000, // URLs sent as a JSON list; longer lists are uploaded as a file
+    maxJobUrls: 100000, // URLs per scrape job
+    inputWindow: 500, // URLs of the job's input file read ahead by the scheduler
+    recentUrls: 50, // finished URLs kept on the job for the progress view
+    maxResultsPage: 1000 // results returned by one job request; the downloads have them all
+  },
+  
+  // Uploaded URL lists
+  UPLOAD_SETTINGS: {
+    maxFileSize: 10 * 1024 * 1024,
+    previewRows: 10, // rows shown before the columns are mapped
+    delimiters: [',', ';', '\t', '|'], // tried in this order when none is given
+    fallbackEncoding: 'windows-1252', // for files that are not valid UTF-8 and have no BOM
+    sampleSize: 64 * 1024, // bytes of a CSV/TXT file read to detect its delimiter and columns
+    sampleRows: 50 // rows read ahead to detect the URL or email column
+  },
+  
+  // Saved output files (results history)
+  RESULTS_SETTINGS: {
+    retentionDays: Number(process.env.RESULTS_RETENTION_DAYS) || 0, // older runs are deleted; 0 keeps them forever
+    maxStoredRuns: Number(process.env.RESULTS_MAX_RUNS) || 0, // oldest runs are deleted beyond this; 0 for no limit
+    pruneInterval: 60 * 60 * 1000,
+    defaultPageSize: 20,
+    maxPageSize: 100
   },
   
   // Browser options
@@ -99,6 +216,7 @@ module.exports = {
   // Directories
   DIRECTORIES: {
     output: 'output',
+    jobs: 'output/jobs',
     logs: 'logs'
   }
 };
@@ -0,0 +1,42 @@
+// Email classification and ranking rules
+module.exports = {
+  // Local parts of shared role mailboxes, by how useful they are as a sales contact
+  ROLE_LOCAL_PARTS: {
+    primary: ['info', 'contact', 'hello', 'hi', 'sales', 'office', 'enquiries', 'enquiry', 'inquiries', 'inquiry', 'mail', 'email', 'general', 'team', 'business', 'kontakt', 'welcome'],
+    secondary: ['support', 'help', 'service', 'customerservice', 'customercare', 'care', 'booking', 'bookings', 'reservations', 'orders', 'shop', 'store', 'marketing', 'partners', 'partnerships'],
+    low: ['admin', 'administrator', 'webmaster', 'hostmaster', 'privacy', 'dpo', 'gdpr', 'legal', 'abuse', 'security', 'compliance', 'billing', 'accounts', 'accounting', 'invoices', 'finance', 'jobs', 'careers', 'hr', 'recruiting', 'press', 'media', 'pr', 'it', 'tech', 'dev']
+  },
+
+  // Automated senders that never read replies
+  noReplyPattern: /^(no[-_.]?reply|do[-_.]?not[-_.]?reply|donotreply|mailer[-_.]?daemon|bounces?|postmaster|notifications?|alerts?)([-_.+].*)?$/i,
+
+  // Platforms whose addresses end up in site code (error trackers, site builders,
+  // plugins); matched on the registrable domain, so subdomains are included
+  THIRD_PARTY_DOMAINS: new Set([
+    'sentry.io',
+    'wixpress.com',
+    'wix.com',
+    'squarespace.com',
+    'shopify.com',
+    'godaddy.com',
+    'wordpress.com',
+    'wordpress.org',
+    'w3.org',
+    'schema.org',
+    'jquery.com',
+    'mailchimp.com',
+    'hubspot.com',
+    'cloudflare.com',
+    'google.com'
+  ]),
+
+  // Strings that look like emails but are not addresses
+  junkPatterns: [
+    /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|tiff?|css|js|mjs|json|map|woff2?|ttf|eot|mp4|webm|pdf)$/i, // logo@2x.png
+    /^[0-9a-f]{24,}@/i, // error-tracker keys (e.g. 4f9c...@o123.ingest.sentry.io)
+    /^(you|your|yourname|your\.name|name|user|username|email|someone|firstname\.lastname|john\.doe|jane\.doe)@(example|domain|email|yourdomain|company|website|mysite)\.(com|org|net)$/i, // placeholders
+    /@(example\.(com|org|net)|domain\.com|yourdomain\.com|test\.com|localhost)$/i,
+    /@\d+x\./i, // retina image names (icon@3x.webp)
+    /%[0-9a-f]{2}/i // URL-encoded fragments
+  ]
+};
@@ -7,6 +7,7 @@ module.exports = {
       'browser has been closed',
       'Target page, context or browser has been closed',
       'Protocol error',
+      'Failed to launch the browser process',
       'net::ERR_INTERNET_DISCONNECTED',
       'net::ERR_NETWORK_CHANGED',
       'net::ERR_CONNECTION_RESET',
@@ -45,19 +46,5 @@ module.exports = {
     'gateway timeout',
     'too many requests',
     'rate limit'
-  ],
-
-  // Disposable email domains
-  DISPOSABLE_DOMAINS: new Set([
-    'mailinator.com',
-    '10minutemail.com',
-    'guerrillamail.com',
-    'temp-mail.org',
-    'yopmail.com',
-    'trashmail.com',
-    'tempmailo.com',
-    'getnada.com',
-    'sharklasers.com',
-    'dispostable.com'
-  ])
+  ]
 };
@@ -10,30 +10,12 @@ module.exports = {
     /[a-zA-Z0-9._%+-]+\s*{at}\s*[a-zA-Z0-9.-]+\s*{dot}\s*[a-zA-Z]{2,}/g, // test{at}domain{dot}com
   ],
 
-  // Enhanced social media patterns
-  socialPatterns: {
-    facebook: /(?:https?:\/\/)?(?:www\.)?(?:facebook\.com|fb\.com)\/[a-zA-Z0-9._-]+/gi,
-    twitter: /(?:https?:\/\/)?(?:www\.)?(?:twitter\.com|x\.com)\/[a-zA-Z0-9._-]+/gi,
-    linkedin: /(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com)\/(?:company\/[a-zA-Z0-9._-]+|in\/[a-zA-Z0-9._-]+)/gi,
-    instagram: /(?:https?:\/\/)?(?:www\.)?(?:instagram\.com)\/[a-zA-Z0-9._-]+/gi,
-    youtube: /(?:https?:\/\/)?(?:www\.)?(?:youtube\.com|youtu\.be)\/(?:channel\/[a-zA-Z0-9._-]+|c\/[a-zA-Z0-9._-]+|user\/[a-zA-Z0-9._-]+|@[a-zA-Z0-9._-]+)/gi,
-    tiktok: /(?:https?:\/\/)?(?:www\.)?(?:tiktok\.com)\/@[a-zA-Z0-9._-]+/gi,
-    pinterest: /(?:https?:\/\/)?(?:www\.)?(?:pinterest\.com)\/[a-zA-Z0-9._-]+/gi,
-    snapchat: /(?:https?:\/\/)?(?:www\.)?(?:snapchat\.com)\/add\/[a-zA-Z0-9._-]+/gi,
-    reddit: /(?:https?:\/\/)?(?:www\.)?(?:reddit\.com)\/r\/[a-zA-Z0-9._-]+/gi,
-    telegram: /(?:https?:\/\/)?(?:t\.me)\/[a-zA-Z0-9._-]+/gi,
-    whatsapp: /(?:https?:\/\/)?(?:wa\.me)\/[0-9]+/gi,
-    discord: /(?:https?:\/\/)?(?:discord\.gg|discord\.com)\/[a-zA-Z0-9._-]+/gi,
-  },
-
-  // Phone number pattern
-  phonePattern: /(\+?1[-.]?)?\(?([0-9]{3})\)?[-.]?([0-9]{3})[-.]?([0-9]{4})/g,
-
-  // Address pattern
-  addressPattern: /\d+\s+[A-Za-z\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Way|Terrace|Ter|Circle|Cir|Square|Sq)/gi,
+  // Links written in page text; utils/socialUtils.js keeps the ones that are
+  // profiles of a platform in config/platforms.js
+  socialUrlPattern: /(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}\/[^\s"'<>()]+/gi,
 
   // Contact link hints
-  contactHints: /(contact|about|support|help|customer|reach|get\s*in\s*touch|kontakt)/i,
+  contactHints: /(contact|about|support|help|customer|reach|get\s*in\s*touch|kontakt|impressum|imprint|team|staff|people)/i,
 
   // Cloudflare block indicators
   cloudflareBlockIndicators: [
@@ -60,5 +42,19 @@ module.exports = {
     'cloudflare ray id:',
     'cf-footer-item',
     'cf-error-footer'
+  ],
+
+  // Markers of pages that render their content with JavaScript
+  jsRenderedIndicators: [
+    '<div id="root"></div>',
+    '<div id="app"></div>',
+    'id="__next"',
+    'window.__nuxt__',
+    'ng-app',
+    'data-reactroot',
+    'enable javascript',
+    'requires javascript',
+    'javascript is required',
+    'javascript is disabled'
   ]
 };
@@ -0,0 +1,286 @@
+// Social platform registry
+//
+// Each platform drives extraction (utils/socialUtils.js), the CSV columns and
+// the results UI (served by GET /api/platforms). To add a platform, add an
+// entry here:
+//   id        key in socialLinks/socialProfiles and the CSV column id
+//   name      display name and CSV column title
+//   icon      emoji shown in the UI
+//   color     Tailwind classes of the UI badge
+//   hosts     hosts the platform is served from, without www./m. (strings or RegExps)
+//   host      canonical host of profile URLs (the matched host when omitted)
+//   profile   reads a profile from the URL's path segments, query and bare host;
+//             returns { path, handle } (plus `host` to override the canonical
+//             host) or null for share, intent, plugin and post URLs
+
+/**
+ * Read a profile whose handle is the only path segment
+ * @param {Array<string>} segments - Path segments
+ * @param {RegExp} handlePattern - Valid handles
+ * @param {Array<string>} reserved - First segments that are not profiles
+ * @returns {Object|null} Profile path and handle, or null
+ */
+function singleHandle(segments, handlePattern, reserved) {
+  const [handle] = segments;
+  if (!handle || reserved.includes(handle.toLowerCase()) || !handlePattern.test(handle)) return null;
+  return { path: handle, handle };
+}
+
+/**
+ * Read a profile written as /@handle
+ * @param {Array<string>} segments - Path segments
+ * @param {RegExp} handlePattern - Valid handles, without the @
+ * @returns {Object|null} Profile path and handle, or null
+ */
+function atHandle(segments, handlePattern) {
+  const [first = ''] = segments;
+  return first.startsWith('@') && handlePattern.test(first.slice(1)) ? { path: first, handle: first.slice(1) } : null;
+}
+
+// Well-known Mastodon servers; others are recognised by a mastodon/mstdn host name
+const mastodonServers = ['mastodon.social', 'mastodon.online', 'mastodon.world', 'mas.to', 'fosstodon.org', 'hachyderm.io', 'infosec.exchange', 'techhub.social', 'mstdn.social', 'social.vivaldi.net', 'universeodon.com', 'masto.ai', 'indieweb.social'];
+
+const PLATFORMS = [
+  {
+    id: 'facebook',
+    name: 'Facebook',
+    icon: '🔵',
+    color: 'bg-blue-100 text-blue-800',
+    hosts: ['facebook.com', 'fb.com', 'fb.me'],
+    host: 'facebook.com',
+    profile: (segments, params) => {
+      if (segments[0] === 'profile.php' && /^\d+$/.test(params.get('id') || '')) {
+        return { path: `profile.php?id=${params.get('id')}`, handle: params.get('id') };
+      }
+      // Legacy page URLs: /pages/Name/123456
+      if (segments[0] === 'pages' && segments.length >= 3) {
+        return { path: segments.slice(0, 3).join('/'), handle: segments[2] };
+      }
+      return singleHandle(segments, /^[\w.-]{2,}$/, ['sharer', 'sharer.php', 'share', 'share.php', 'dialog', 'plugins', 'tr', 'login', 'login.php', 'help', 'policies', 'privacy', 'terms', 'watch', 'photo.php', 'photo', 'events', 'groups', 'hashtag', 'search', 'l.php', 'story.php', 'permalink.php', 'media', 'ads', 'business', 'gaming', 'marketplace']);
+    }
+  },
+  {
+    id: 'twitter',
+    name: 'Twitter',
+    icon: '🐦',
+    color: 'bg-sky-100 text-sky-800',
+    hosts: ['twitter.com', 'x.com'],
+    host: 'twitter.com',
+    profile: segments => singleHandle(segments, /^\w{1,15}$/, ['intent', 'share', 'home', 'search', 'hashtag', 'i', 'explore', 'login', 'signup', 'settings', 'privacy', 'tos', 'widgets', 'widgets.js', 'messages', 'notifications'])
+  },
+  {
+    id: 'linkedin',
+    name: 'LinkedIn',
+    icon: '💼',
+    color: 'bg-blue-100 text-blue-800',
+    hosts: ['linkedin.com'],
+    host: 'linkedin.com',
+    profile: segments => (['company', 'in', 'school', 'showcase'].includes(segments[0]) && segments[1]
+      ? { path: `${segments[0]}/${segments[1]}`, handle: segments[1] }
+      : null)
+  },
+  {
+    id: 'instagram',
+    name: 'Instagram',
+    icon: '📷',
+    color: 'bg-pink-100 text-pink-800',
+    hosts: ['instagram.com', 'instagr.am'],
+    host: 'instagram.com',
+    profile: segments => singleHandle(segments, /^[\w.]{1,30}$/, ['p', 'reel', 'reels', 'tv', 'explore', 'accounts', 'stories', 'direct', 'about', 'legal', 'developer', 'embed.js'])
+  },
+  {
+    id: 'youtube',
+    name: 'YouTube',
+    icon: '🔴',
+    color: 'bg-red-100 text-red-800',
+    hosts: ['youtube.com'],
+    host: 'youtube.com',
+    profile: segments => {
+      if (['channel', 'c', 'user'].includes(segments[0]) && segments[1]) {
+        return { path: `${segments[0]}/${segments[1]}`, handle: segments[1] };
+      }
+      return atHandle(segments, /^[\w.-]+$/);
+    }
+  },
+  {
+    id: 'tiktok',
+    name: 'TikTok',
+    icon: '🎵',
+    color: 'bg-black text-white',
+    hosts: ['tiktok.com'],
+    host: 'tiktok.com',
+    profile: segments => atHandle(segments, /^[\w.]+$/)
+  },
+  {
+    id: 'pinterest',
+    name: 'Pinterest',
+    icon: '📌',
+    color: 'bg-red-100 text-red-800',
+    hosts: ['pinterest.com', /^pinterest\.[a-z.]+$/],
+    host: 'pinterest.com',
+    profile: segments => singleHandle(segments, /^\w{3,30}$/, ['pin', 'search', 'ideas', 'today', 'login', 'business', 'categories'])
+  },
+  {
+    id: 'snapchat',
+    name: 'Snapchat',
+    icon: '👻',
+    color: 'bg-yellow-100 text-yellow-800',
+    hosts: ['snapchat.com'],
+    host: 'snapchat.com',
+    profile: segments => (segments[0] === 'add' && segments[1] ? { path: `add/${segments[1]}`, handle: segments[1] } : null)
+  },
+  {
+    id: 'reddit',
+    name: 'Reddit',
+    icon: '🤖',
+    color: 'bg-orange-100 text-orange-800',
+    hosts: ['reddit.com'],
+    host: 'reddit.com',
+    profile: segments => {
+      if (segments[0] === 'r' && segments[1] && segments.length <= 2) return { path: `r/${segments[1]}`, handle: segments[1] };
+      if (['user', 'u'].includes(segments[0]) && segments[1]) return { path: `user/${segments[1]}`, handle: segments[1] };
+      return null;
+    }
+  },
+  {
+    id: 'telegram',
+    name: 'Telegram',
+    icon: '📡',
+    color: 'bg-blue-100 text-blue-800',
+    hosts: ['t.me', 'telegram.me'],
+    host: 't.me',
+    profile: segments => singleHandle(segments, /^\w{4,32}$/, ['share', 'joinchat', 'addstickers', 'proxy', 'socks', 'iv'])
+  },
+  {
+    id: 'whatsapp',
+    name: 'WhatsApp',
+    icon: '💬',
+    color: 'bg-green-100 text-green-800',
+    hosts: ['wa.me', 'api.whatsapp.com', 'whatsapp.com'],
+    host: 'wa.me',
+    profile: (segments, params) => {
+      const number = /^\d{6,15}$/.test(segments[0] || '') ? segments[0] : (params.get('phone') || '').replace(/\D/g, '');
+      return /^\d{6,15}$/.test(number) ? { path: number, handle: number } : null;
+    }
+  },
+  {
+    id: 'discord',
+    name: 'Discord',
+    icon: '🎮',
+    color: 'bg-indigo-100 text-indigo-800',
+    hosts: ['discord.gg', 'discord.com', 'discordapp.com'],
+    host: 'discord.gg',
+    profile: segments => {
+      const code = segments[0] === 'invite' ? segments[1] : segments[0];
+      return code && /^[\w-]{2,}$/.test(code) && !['channels', 'app', 'login', 'download', 'developers', 'widget'].includes(code)
+        ? { path: code, handle: code }
+        : null;
+    }
+  },
+  {
+    id: 'threads',
+    name: 'Threads',
+    icon: '🧵',
+    color: 'bg-gray-900 text-white',
+    hosts: ['threads.net', 'threads.com'],
+    host: 'threads.net',
+    profile: segments => (segments.length === 1 ? atHandle(segments, /^[\w.]{1,30}$/) : null)
+  },
+  {
+    id: 'mastodon',
+    name: 'Mastodon',
+    icon: '🐘',
+    color: 'bg-violet-100 text-violet-800',
+    hosts: [...mastodonServers, /(^|\.)(mastodon|mstdn)\.[a-z.]+$/],
+    // Profiles stay on their own server; the handle is user@server
+    profile: (segments, params, host) => {
+      const profile = segments.length === 1 ? atHandle(segments, /^\w{1,30}$/) : null;
+      return profile && { path: profile.path, handle: `${profile.handle}@${host}` };
+    }
+  },
+  {
+    id: 'bluesky',
+    name: 'Bluesky',
+    icon: '🦋',
+    color: 'bg-sky-100 text-sky-800',
+    hosts: ['bsky.app'],
+    host: 'bsky.app',
+    profile: segments => (segments[0] === 'profile' && /^[\w.:-]+$/.test(segments[1] || '') && segments.length === 2
+      ? { path: `profile/${segments[1]}`, handle: segments[1] }
+      : null)
+  },
+  {
+    id: 'github',
+    name: 'GitHub',
+    icon: '🐙',
+    color: 'bg-gray-100 text-gray-900',
+    hosts: ['github.com'],
+    host: 'github.com',
+    profile: segments => {
+      const owner = segments[0] === 'orgs' ? segments.slice(1) : segments;
+      return segments.length <= 2 ? singleHandle(owner, /^[A-Za-z0-9-]{1,39}$/, ['features', 'about', 'pricing', 'login', 'join', 'signup', 'topics', 'marketplace', 'sponsors', 'explore', 'settings', 'search', 'site', 'security', 'enterprise', 'collections', 'trending', 'apps', 'contact', 'customer-stories', 'readme', 'team']) : null;
+    }
+  },
+  {
+    id: 'vimeo',
+    name: 'Vimeo',
+    icon: '🎬',
+    color: 'bg-cyan-100 text-cyan-800',
+    hosts: ['vimeo.com'],
+    host: 'vimeo.com',
+    // Numeric paths are single videos
+    profile: segments => singleHandle(segments, /^(?!\d+$)[\w-]{2,}$/, ['channels', 'groups', 'categories', 'watch', 'features', 'upload', 'log_in', 'join', 'pricing', 'blog', 'help', 'solutions', 'ondemand', 'stock', 'showcase', 'event', 'manage', 'create'])
+  },
+  {
+    id: 'yelp',
+    name: 'Yelp',
+    icon: '⭐',
+    color: 'bg-red-100 text-red-800',
+    hosts: ['yelp.com', /^yelp\.[a-z.]+$/],
+    host: 'yelp.com',
+    profile: segments => (segments[0] === 'biz' && /^[\w%.-]+$/.test(segments[1] || '')
+      ? { path: `biz/${segments[1]}`, handle: segments[1] }
+      : null)
+  },
+  {
+    id: 'tripadvisor',
+    name: 'Tripadvisor',
+    icon: '🦉',
+    color: 'bg-emerald-100 text-emerald-800',
+    hosts: ['tripadvisor.com', /^tripadvisor\.[a-z.]+$/],
+    host: 'tripadvisor.com',
+    // Listing pages: /Restaurant_Review-g187147-d1234567-Reviews-Name-Paris.html
+    profile: segments => {
+      const match = /^(Restaurant|Hotel|Attraction|VacationRental)_Review-g\d+-(d\d+)-Reviews-.+\.html$/.exec(segments[0] || '');
+      return match && segments.length === 1 ? { path: segments[0], handle: match[2] } : null;
+    }
+  },
+  {
+    id: 'googleMaps',
+    name: 'Google Maps',
+    icon: '📍',
+    color: 'bg-green-100 text-green-800',
+    hosts: ['google.com', /^google\.[a-z.]+$/, 'maps.google.com', 'maps.app.goo.gl', 'goo.gl', 'g.page'],
+    profile: (segments, params, host) => {
+      // Business listings: /maps/place/Name/..., ?cid=123, and short links
+      if (/google\./.test(host) && segments[0] === 'maps' && segments[1] === 'place' && segments[2]) {
+        const name = segments[2].replace(/\+/g, ' ');
+        return { host: 'google.com', path: `maps/place/${encodeURIComponent(name).replace(/%20/g, '+')}`, handle: name };
+      }
+      if (/google\./.test(host) && /^\d+$/.test(params.get('cid') || '')) {
+        return { host: 'google.com', path: `maps?cid=${params.get('cid')}`, handle: params.get('cid') };
+      }
+      if ((host === 'maps.app.goo.gl' || host === 'g.page') && segments[0]) {
+        return { path: segments.join('/'), handle: segments[0] };
+      }
+      if (host === 'goo.gl' && segments[0] === 'maps' && segments[1]) {
+        return { path: `maps/${segments[1]}`, handle: segments[1] };
+      }
+      return null;
+    }
+  }
+];
+
+module.exports = {
+  PLATFORMS
+};
@@ -0,0 +1,44 @@
+const os = require('os');
+const fs = require('fs-extra');
+const multer = require('multer');
+const { logger } = require('../utils/logger');
+
+/**
+ * Upload middleware factory: accepts an optional single file in the multipart
+ * field `file`, streamed to a temporary file (`req.file.path`) so uploads are
+ * never held in memory. The file is removed once the response is done.
+ * Oversized or malformed uploads are answered with a 400 instead of reaching
+ * the default error handler.
+ * @param {number} maxFileSize - Largest accepted file in bytes
+ * @returns {Function} Express middleware function
+ */
+function acceptFileUpload(maxFileSize) {
+  const upload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: maxFileSize }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, error => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : 'Invalid file upload',
+          error: error.message
+        });
+      }
+      if (req.file) {
+        res.on('close', () => {
+          fs.remove(req.file.path).catch(removeError => {
+            logger.warn(`Failed to remove upload ${req.file.path}: ${removeError.message}`);
+          });
+        });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  acceptFileUpload
+};
@@ -1,35 +1,94 @@
 const Joi = require('joi');
+const { VERIFICATION_SETTINGS, UPLOAD_SETTINGS, JOB_SETTINGS } = require('../config/constants');
+
+// A website URL, with or without protocol
+const websiteUrl = Joi.string().custom((value, helpers) => {
+  // Custom URL validation that's more flexible
+  try {
+    const normalizedUrl = value.startsWith('http') ? value : `https://${value}`;
+    new URL(normalizedUrl);
+    return value;
+  } catch (error) {
+    return helpers.error('any.invalid', { message: 'Invalid URL format' });
+  }
+});
+
+// Scrape options, sent as JSON or as options[name] multipart fields
+const scrapeOptions = Joi.object({
+  fetchMode: Joi.string().valid('auto', 'http', 'browser').default('auto'),
+  maxDepth: Joi.number().integer().min(0).max(3).default(2),
+  maxPages: Joi.number().integer().min(1).max(50).default(10),
+  timeout: Joi.number().integer().min(5000).max(60000).default(30000),
+  followRedirects: Joi.boolean().default(true),
+  extractPhoneNumbers: Joi.boolean().default(false),
+  phoneCountry: Joi.string().pattern(/^[A-Za-z]{2}$/).uppercase().allow(null, '').optional(),
+  extractAddresses: Joi.boolean().default(false),
+  smartCrawling: Joi.boolean().default(true),
+  respectRobotsTxt: Joi.boolean().default(true),
+  useSitemaps: Joi.boolean().default(true),
+  concurrency: Joi.number().integer().min(1).max(10).default(3)
+}).optional();
+
+// How an uploaded file is read; detected when omitted
+const uploadFields = {
+  encoding: Joi.string().trim().max(40).optional(),
+  delimiter: Joi.string().valid(...UPLOAD_SETTINGS.delimiters).optional(),
+  sheet: Joi.string().max(200).optional()
+};
 
 /**
  * Validation schemas
  */
 const validationSchemas = {
-  // Scrape request validation schema
+  // Scrape request validation schema; longer lists are uploaded as a file
   scrapeRequest: Joi.object({
-    urls: Joi.array().items(Joi.string().custom((value, helpers) => {
-      // Custom URL validation that's more flexible
-      try {
-        const normalizedUrl = value.startsWith('http') ? value : `https://${value}`;
-        new URL(normalizedUrl);
-        return value;
-      } catch (error) {
-        return helpers.error('any.invalid', { message: 'Invalid URL format' });
-      }
-    })).min(1).max(100).required(),
+    urls: Joi.array().items(websiteUrl).min(1).max(JOB_SETTINGS.maxListedUrls).required(),
     csvData: Joi.array().items(Joi.object().pattern(Joi.string(), Joi.any())).optional(),
-    options: Joi.object({
-      maxDepth: Joi.number().integer().min(0).max(3).default(2),
-      timeout: Joi.number().integer().min(5000).max(60000).default(30000),
-      followRedirects: Joi.boolean().default(true),
-      extractPhoneNumbers: Joi.boolean().default(false),
-      extractAddresses: Joi.boolean().default(false),
-      smartCrawling: Joi.boolean().default(true)
-    }).optional()
+    options: scrapeOptions
+  }),
+
+  // Scrape request with an uploaded URL list (multipart fields): the column
+  // mapping of the file, URLs typed in next to it and the scrape options
+  scrapeUpload: Joi.object({
+    ...uploadFields,
+    urlColumn: Joi.string().max(200).required(),
+    columns: Joi.array().items(Joi.string().max(200)).optional(),
+    urls: Joi.array().items(websiteUrl).max(JOB_SETTINGS.maxListedUrls).optional(),
+    options: scrapeOptions
+  }),
+
+  // Resume-from-checkpoint request validation schema
+  resumeRequest: Joi.object({
+    onlyNonCritical: Joi.boolean().default(false)
   }),
 
-  // Email verification request validation schema
+  // Email verification request validation schema. Malformed addresses are
+  // reported per email as invalid instead of failing the whole request.
   emailVerification: Joi.object({
-    emails: Joi.array().items(Joi.string().email()).min(1).max(200).required()
+    emails: Joi.array().items(Joi.string().trim().max(320)).min(1).max(200).required()
+  }),
+
+  // XLSX export of results shown in the browser
+  xlsxExport: Joi.object({
+    results: Joi.array().items(Joi.object({
+      website: Joi.string().required()
+    }).unknown(true)).min(1).required()
+  }),
+
+  // Upload parsing options and column mapping (multipart fields; the
+  // carried columns arrive as columns[] fields)
+  upload: Joi.object({
+    ...uploadFields,
+    urlColumn: Joi.string().max(200).optional(),
+    columns: Joi.array().items(Joi.string().max(200)).optional()
+  }),
+
+  // Verification job validation schema; emails may also come from an
+  // uploaded file or a past scrape job
+  verificationJob: Joi.object({
+    emails: Joi.array().items(Joi.string().trim().max(320)).min(1).max(VERIFICATION_SETTINGS.maxJobEmails).optional(),
+    scrapeJobId: Joi.string().guid().optional(),
+    emailColumn: Joi.string().trim().max(200).optional()
   })
 };
 
@@ -0,0 +1,45 @@
+const express = require('express');
+const { validateRequest, validationSchemas } = require('../middleware/validation');
+const { summarizeResults } = require('../services/resultsService');
+const { getOriginalColumns, buildCsvHeaders, toCsvRecord } = require('../utils/outputUtils');
+const { buildResultsWorkbook } = require('../utils/spreadsheetUtils');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Export scraping results sent by the browser (e.g. a filtered view) as an
+ * XLSX file with the same columns as the CSV output, original spreadsheet
+ * columns first, and a sheet of run statistics
+ */
+router.post('/exports/xlsx', validateRequest(validationSchemas.xlsxExport), async (req, res) => {
+  try {
+    // Results saved by older versions may lack some of the list fields
+    const results = req.validatedData.results.map(result => ({
+      emails: [],
+      phoneNumbers: [],
+      socialLinks: {},
+      ...result
+    }));
+    const workbook = buildResultsWorkbook(buildCsvHeaders(getOriginalColumns(results)), results.map(toCsvRecord), {
+      generatedAt: new Date().toISOString(),
+      ...summarizeResults('scrape', { results })
+    });
+    const buffer = await workbook.xlsx.writeBuffer();
+
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="scraping-results-${new Date().toISOString().split('T')[0]}.xlsx"`
+    });
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    logger.error('XLSX export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,395 @@
+const express = require('express');
+const path = require('path');
+
+const { validateRequest, validationSchemas } = require('../middleware/validation');
+const { acceptFileUpload } = require('../middleware/upload');
+const {
+  createJob,
+  getJob,
+  removeJob,
+  listJobs,
+  saveJob,
+  writeJobInput,
+  enqueueJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  requeueJob,
+  subscribeToJob
+} = require('../services/jobService');
+const { getResumableIndexes } = require('../services/scrapeJobService');
+const { openUpload, createColumnMapper, toWebsiteUrl } = require('../services/uploadService');
+const { readResults, hasResultFiles } = require('../utils/outputUtils');
+const { logger } = require('../utils/logger');
+const { DIRECTORIES, JOB_SETTINGS, UPLOAD_SETTINGS } = require('../config/constants');
+
+const outputDir = path.join(__dirname, '..', DIRECTORIES.output);
+
+const router = express.Router();
+
+/**
+ * Pass on the URLs of a scrape request, failing once there are more than a
+ * job may hold
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Input entries ({ url, row })
+ * @returns {AsyncGenerator<Object>} The same entries
+ */
+async function* limitEntries(entries) {
+  let count = 0;
+  for await (const entry of entries) {
+    if (++count > JOB_SETTINGS.maxJobUrls) {
+      throw new Error(`At most ${JOB_SETTINGS.maxJobUrls} URLs can be scraped per job`);
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Validate a scrape request against the schema of its kind: a JSON list of
+ * URLs, or an uploaded file with its column mapping
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateScrapeRequest(req, res, next) {
+  const schema = req.file ? validationSchemas.scrapeUpload : validationSchemas.scrapeRequest;
+  return validateRequest(schema)(req, res, next);
+}
+
+/**
+ * Create a scrape job. The URLs come as a JSON list (`urls`, with optional
+ * `csvData` rows), or as an uploaded CSV, TXT or XLSX file (multipart field
+ * `file`) with the same mapping fields as POST /api/uploads and optional
+ * `urls[]` typed in next to it. The file is parsed straight into the job's
+ * input file. Responds immediately with the job ID; the scrape runs in the
+ * background.
+ */
+router.post('/jobs', acceptFileUpload(UPLOAD_SETTINGS.maxFileSize), validateScrapeRequest, async (req, res) => {
+  try {
+    const { options = {} } = req.validatedData;
+    let entries;
+
+    if (req.file) {
+      const { encoding, delimiter, sheet, urlColumn, columns, urls = [] } = req.validatedData;
+      // Typed URLs are normalized like the file's, so a site in both is scraped once
+      const listedUrls = Array.from(new Map(urls
+        .map(url => toWebsiteUrl(url) || url)
+        .map(url => [url.toLowerCase(), url])).values());
+      let upload;
+      let mapper;
+      try {
+        upload = await openUpload(req.file, { encoding, delimiter, sheet });
+        mapper = createColumnMapper(upload.headers, { urlColumn, columns }, listedUrls);
+      } catch (error) {
+        logger.warn(`Unreadable upload ${req.file.originalname}: ${error.message}`);
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // URLs typed in next to the file come first, without original columns
+      entries = (async function* () {
+        for (const url of listedUrls) yield { url, row: null };
+        for await (const row of upload.rows) {
+          const entry = mapper.map(row);
+          if (entry) yield entry;
+        }
+      })();
+    } else {
+      const { urls, csvData } = req.validatedData;
+      // Ensure csvData is always an array
+      const rows = Array.isArray(csvData) ? csvData : [];
+      entries = urls.map((url, index) => ({ url, row: rows[index] || null }));
+    }
+
+    const job = createJob('scrape', { options });
+    let totalUrls;
+    try {
+      totalUrls = await writeJobInput(job, limitEntries(entries));
+    } catch (error) {
+      await removeJob(job);
+      logger.warn(`Rejected scrape job input: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (totalUrls === 0) {
+      await removeJob(job);
+      return res.status(400).json({
+        success: false,
+        message: 'No valid URLs to scrape'
+      });
+    }
+
+    job.totalUrls = totalUrls;
+    await saveJob(job);
+    enqueueJob(job);
+
+    logger.info(`Created scrape job ${job.id} for ${totalUrls} URLs`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Scrape job created',
+      jobId: job.id,
+      status: job.status,
+      totalUrls: job.totalUrls
+    });
+  } catch (error) {
+    logger.error('Job creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List past and running jobs (summaries without per-URL data)
+ */
+router.get('/jobs', (req, res) => {
+  res.json({
+    success: true,
+    jobs: listJobs()
+  });
+});
+
+/**
+ * Job status, progress and (partial) results. Results are read from the
+ * job's JSONL output a page at a time (?offset=0&limit=1000); the downloads
+ * hold all of them.
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || JOB_SETTINGS.maxResultsPage), JOB_SETTINGS.maxResultsPage);
+    const page = job.files && job.files.jsonl
+      ? await readResults(job.files.jsonl, { offset, limit })
+      : { results: [], total: 0 };
+    res.json({
+      success: true,
+      job: {
+        ...job,
+        results: page.results,
+        resultsOffset: offset,
+        resultsTotal: page.total
+      }
+    });
+  } catch (error) {
+    logger.error('Job lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Server-Sent Events stream of a job's progress. Starts with a `snapshot`
+ * event holding the current state, then pushes url-started, page-visited,
+ * email-found, url-finished, job-status, run-broken and run-complete events.
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send('snapshot', { job });
+
+  if (['completed', 'cancelled', 'failed', 'interrupted'].includes(job.status)) {
+    send('run-complete', {
+      type: 'run-complete',
+      jobId: job.id,
+      status: job.status,
+      message: job.message,
+      statistics: job.statistics,
+      errorBreakInfo: job.errorBreakInfo,
+      files: job.files
+    });
+    return res.end();
+  }
+
+  const unsubscribe = subscribeToJob(job.id, event => {
+    send(event.type, event);
+    if (event.type === 'run-complete') {
+      cleanup();
+      res.end();
+    }
+  });
+
+  // Keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', cleanup);
+});
+
+/**
+ * Download the output of a job (?format=csv|jsonl|json|xlsx). The CSV and
+ * JSONL files grow while a scrape runs and can be downloaded at any time,
+ * in completion order; the JSON and XLSX files are written when it finishes.
+ */
+router.get('/jobs/:id/download', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const format = ['json', 'jsonl', 'xlsx'].includes(req.query.format) ? req.query.format : 'csv';
+  if (!job.files || !job.files[format]) {
+    return res.status(409).json({
+      success: false,
+      message: 'Job has no output files yet',
+      status: job.status
+    });
+  }
+  if (['json', 'xlsx'].includes(format) && !job.finishedAt) {
+    return res.status(409).json({
+      success: false,
+      message: `The ${format.toUpperCase()} file is written when the job finishes; download the CSV or JSONL file meanwhile`,
+      status: job.status
+    });
+  }
+
+  res.download(path.join(outputDir, job.files[format]), job.files[format], error => {
+    if (error && !res.headersSent) {
+      logger.error(`Download of ${job.files[format]} failed: ${error.message}`);
+      res.status(404).json({
+        success: false,
+        message: 'Output file not found'
+      });
+    }
+  });
+});
+
+/**
+ * Build a handler for a job control action (pause, resume, cancel)
+ * @param {Function} action - Job service function returning true on success
+ * @param {string} successMessage - Message sent when the action was applied
+ * @returns {Function} Express route handler
+ */
+function jobControlHandler(action, successMessage) {
+  return (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!action(job)) {
+      return res.status(409).json({
+        success: false,
+        message: `Job is ${job.status}`,
+        status: job.status
+      });
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      status: job.status
+    });
+  };
+}
+
+/**
+ * Pause, resume or cancel a job
+ */
+router.post('/jobs/:id/pause', jobControlHandler(pauseJob, 'Job paused'));
+router.post('/jobs/:id/resume', jobControlHandler(resumeJob, 'Job resumed'));
+router.post('/jobs/:id/cancel', jobControlHandler(cancelJob, 'Job cancellation requested'));
+
+/**
+ * Resume a finished job from its checkpoint: scrape the skipped and failed
+ * URLs again and merge the new results into the job and its output files
+ */
+router.post('/jobs/:id/retry', validateRequest(validationSchemas.resumeRequest), async (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    // The new results are merged into the job's output files; once those are
+    // deleted (by hand or by retention) every earlier result would be lost
+    if (job.files && !(await hasResultFiles(job.files))) {
+      return res.status(409).json({
+        success: false,
+        message: 'The output files of this job have been deleted; start a new job instead',
+        status: job.status
+      });
+    }
+
+    const indexes = await getResumableIndexes(job, req.validatedData);
+    if (indexes.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'No skipped or failed URLs to resume',
+        status: job.status
+      });
+    }
+
+    if (!(await requeueJob(job, indexes))) {
+      return res.status(409).json({
+        success: false,
+        message: `Job is ${job.status}`,
+        status: job.status
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Resuming ${indexes.length} URL(s)`,
+      jobId: job.id,
+      status: job.status,
+      resumedUrls: indexes.length
+    });
+  } catch (error) {
+    logger.error('Job resume error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const { PLATFORMS } = require('../config/platforms');
+
+const router = express.Router();
+
+/**
+ * List the social platforms the scraper recognises, in column order
+ */
+router.get('/platforms', (req, res) => {
+  res.json({
+    success: true,
+    platforms: PLATFORMS.map(({ id, name, icon, color }) => ({ id, name, icon, color }))
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const path = require('path');
+const {
+  isRunId,
+  listRuns,
+  getRun,
+  getRunFilePath,
+  getActiveRunJob,
+  deleteRun,
+  deleteRuns
+} = require('../services/resultsService');
+const { RESULTS_SETTINGS, JOB_SETTINGS } = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * List saved runs, newest first, with their statistics
+ * (?page=1&pageSize=20&type=scrape|verify)
+ */
+router.get('/results', async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && type !== 'scrape' && type !== 'verify') {
+      return res.status(400).json({
+        success: false,
+        message: 'type must be "scrape" or "verify"'
+      });
+    }
+
+    const listing = await listRuns({
+      type,
+      page: parseInt(req.query.page, 10) || 1,
+      pageSize: parseInt(req.query.pageSize, 10) || RESULTS_SETTINGS.defaultPageSize
+    });
+    res.json({
+      success: true,
+      ...listing
+    });
+  } catch (error) {
+    logger.error('Results listing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * A saved run with its results (a page of them for large scrapes:
+ * ?offset=0&limit=1000), or one of its files as a download (?format=csv,
+ * ?format=xlsx, ?format=jsonl, or ?format=json&download=true)
+ */
+router.get('/results/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const format = ['csv', 'xlsx', 'jsonl'].includes(req.query.format) ? req.query.format : 'json';
+
+    if (format !== 'json' || req.query.download === 'true') {
+      const filePath = await getRunFilePath(id, format);
+      if (!filePath) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved run not found'
+        });
+      }
+      return res.download(filePath, path.basename(filePath), error => {
+        if (error && !res.headersSent) {
+          logger.error(`Download of ${path.basename(filePath)} failed: ${error.message}`);
+          res.status(404).json({
+            success: false,
+            message: 'Output file not found'
+          });
+        }
+      });
+    }
+
+    const run = await getRun(id, {
+      offset: Math.max(0, parseInt(req.query.offset, 10) || 0),
+      limit: Math.max(1, parseInt(req.query.limit, 10) || JOB_SETTINGS.maxResultsPage)
+    });
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved run not found'
+      });
+    }
+    res.json({
+      success: true,
+      run
+    });
+  } catch (error) {
+    logger.error('Results loading error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a saved run's output files. Runs still written by a queued,
+ * running or paused job are refused with a 409.
+ */
+router.delete('/results/:id', async (req, res) => {
+  try {
+    const activeJob = isRunId(req.params.id) && await getActiveRunJob(req.params.id);
+    if (activeJob) {
+      return res.status(409).json({
+        success: false,
+        message: `The run's job is ${activeJob.status}; cancel it or wait until it finishes`,
+        jobId: activeJob.id,
+        status: activeJob.status
+      });
+    }
+    if (!isRunId(req.params.id) || !(await deleteRun(req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved run not found'
+      });
+    }
+    res.json({
+      success: true,
+      message: 'Saved run deleted'
+    });
+  } catch (error) {
+    logger.error('Results deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete saved runs older than a number of days (?olderThanDays=30) and/or
+ * all but the newest runs (?keep=50). Runs of queued, running or paused
+ * jobs are kept.
+ */
+router.delete('/results', async (req, res) => {
+  try {
+    const hasAge = /^\d+(\.\d+)?$/.test(String(req.query.olderThanDays || ''));
+    const hasKeep = /^[1-9]\d*$/.test(String(req.query.keep || ''));
+    if (!hasAge && !hasKeep) {
+      return res.status(400).json({
+        success: false,
+        message: 'olderThanDays (0 or more) or keep (1 or more) is required'
+      });
+    }
+
+    const deleted = await deleteRuns({
+      before: hasAge ? new Date(Date.now() - Number(req.query.olderThanDays) * 24 * 60 * 60 * 1000) : null,
+      keep: hasKeep ? Number(req.query.keep) : 0
+    });
+    res.json({
+      success: true,
+      message: `Deleted ${deleted} saved run(s)`,
+      deleted
+    });
+  } catch (error) {
+    logger.error('Results deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
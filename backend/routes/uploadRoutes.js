@@ -0,0 +1,69 @@
+const express = require('express');
+const { acceptFileUpload } = require('../middleware/upload');
+const { validateRequest, validationSchemas } = require('../middleware/validation');
+const { openUpload, detectUrlColumn, createColumnMapper } = require('../services/uploadService');
+const { UPLOAD_SETTINGS } = require('../config/constants');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Parse an uploaded CSV, TXT or XLSX file (multipart field `file`). Without
+ * a mapping the response previews the table: its columns, first rows and the
+ * column that looks like it holds the website URLs. With `urlColumn` (and
+ * optionally `columns[]`, the columns to carry into the output) it also
+ * checks the mapping: how many URLs it yields and how many rows it leaves
+ * out. The file is read once, row by row; only the preview rows are kept.
+ * The same file and fields start a scrape at POST /api/jobs.
+ * Optional fields: `encoding` and `delimiter` for text files, `sheet` for
+ * workbooks.
+ */
+router.post('/uploads', acceptFileUpload(UPLOAD_SETTINGS.maxFileSize), validateRequest(validationSchemas.upload), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A CSV, TXT or XLSX file is required'
+    });
+  }
+
+  const { encoding, delimiter, sheet, urlColumn, columns } = req.validatedData;
+  let upload;
+  let mapper = null;
+  const sampleUrls = [];
+  try {
+    upload = await openUpload(req.file, { encoding, delimiter, sheet });
+    if (urlColumn) {
+      mapper = createColumnMapper(upload.headers, { urlColumn, columns });
+    }
+    for await (const row of upload.rows) {
+      const entry = mapper && mapper.map(row);
+      if (entry && sampleUrls.length < UPLOAD_SETTINGS.previewRows) sampleUrls.push(entry.url);
+    }
+  } catch (error) {
+    logger.warn(`Unreadable upload ${req.file.originalname}: ${error.message}`);
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const { rows, sample, ...details } = upload;
+  const mapping = mapper && {
+    urlColumn,
+    columns: mapper.columns,
+    invalidRows: mapper.invalidRows,
+    duplicateRows: mapper.duplicateRows,
+    urlCount: mapper.urlCount,
+    sampleUrls
+  };
+  res.json({
+    success: true,
+    file: { name: req.file.originalname, size: req.file.size },
+    ...details,
+    preview: sample.slice(0, UPLOAD_SETTINGS.previewRows),
+    suggestedUrlColumn: detectUrlColumn(upload.headers, sample),
+    ...(mapping ? { mapping } : {})
+  });
+});
+
+module.exports = router;
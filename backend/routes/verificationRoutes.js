@@ -1,38 +1,140 @@
 const express = require('express');
+const { validateRequest, validationSchemas } = require('../middleware/validation');
+const { acceptFileUpload } = require('../middleware/upload');
 const { verifyEmails } = require('../services/emailVerificationService');
+const { createJob, getJob, removeJob, saveJob, writeJobInput, enqueueJob } = require('../services/jobService');
+const { readEmailFile, readScrapeJobEmails } = require('../services/verificationJobService');
+const { VERIFICATION_SETTINGS } = require('../config/constants');
 const { logger } = require('../utils/logger');
 
 const router = express.Router();
 
 /**
- * Email verification endpoint
+ * Email verification endpoint for small lists (up to 200 emails); larger
+ * lists are verified as a job
  */
-router.post('/verify', async (req, res) => {
+router.post('/verify', validateRequest(validationSchemas.emailVerification), async (req, res) => {
   try {
-    const { emails } = req.body || {};
-    if (!Array.isArray(emails) || emails.length === 0) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'emails[] is required' 
-      });
-    }
-    
+    const { emails } = req.validatedData;
+
     const start = Date.now();
     const results = await verifyEmails(emails);
     const duration = Date.now() - start;
-    
-    return res.json({ 
-      success: true, 
-      total: results.length, 
-      durationMs: duration, 
-      results 
+
+    return res.json({
+      success: true,
+      total: results.length,
+      durationMs: duration,
+      results
     });
   } catch (error) {
     logger.error('Verification error:', error);
-    return res.status(500).json({ 
-      success: false, 
-      message: 'Verification failed', 
-      error: error.message 
+    return res.status(500).json({
+      success: false,
+      message: 'Verification failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Pass on the entries of a verification request, failing once there are
+ * more emails than a job may hold
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Input entries ({ email, row })
+ * @returns {AsyncGenerator<Object>} The same entries
+ */
+async function* limitEntries(entries) {
+  let count = 0;
+  for await (const entry of entries) {
+    if (++count > VERIFICATION_SETTINGS.maxJobEmails) {
+      throw new Error(`At most ${VERIFICATION_SETTINGS.maxJobEmails} emails can be verified per job`);
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Create a verification job from an uploaded CSV, TXT or XLSX file (multipart field
+ * `file`, optional `emailColumn`), a JSON list of emails, or the emails found
+ * by a past scrape job (`scrapeJobId`). The emails are streamed into the
+ * job's input file. Responds immediately with the job ID; progress is
+ * streamed by the job events endpoint.
+ */
+router.post('/verify/jobs', acceptFileUpload(VERIFICATION_SETTINGS.maxUploadSize), validateRequest(validationSchemas.verificationJob), async (req, res) => {
+  try {
+    const { emails: listedEmails, scrapeJobId, emailColumn } = req.validatedData;
+    let entries;
+    let source;
+
+    if (req.file) {
+      try {
+        entries = await readEmailFile(req.file, emailColumn);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      source = { type: 'file', name: req.file.originalname };
+    } else if (scrapeJobId) {
+      const scrapeJob = getJob(scrapeJobId);
+      if (!scrapeJob || scrapeJob.type !== 'scrape') {
+        return res.status(404).json({
+          success: false,
+          message: 'Scrape job not found'
+        });
+      }
+      entries = readScrapeJobEmails(scrapeJob);
+      source = { type: 'scrape', jobId: scrapeJobId };
+    } else if (listedEmails) {
+      entries = listedEmails.map(email => ({ email, row: null }));
+      source = { type: 'list' };
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file, or send emails[] or scrapeJobId'
+      });
+    }
+
+    const job = createJob('verify', { totalEmails: 0, processedEmails: 0, source });
+    let totalEmails;
+    try {
+      totalEmails = await writeJobInput(job, limitEntries(entries));
+    } catch (error) {
+      await removeJob(job);
+      logger.warn(`Rejected verification job input: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (totalEmails === 0) {
+      await removeJob(job);
+      return res.status(400).json({
+        success: false,
+        message: 'No emails to verify'
+      });
+    }
+
+    job.totalEmails = totalEmails;
+    await saveJob(job);
+    enqueueJob(job);
+
+    logger.info(`Created verification job ${job.id} for ${totalEmails} emails`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Verification job created',
+      jobId: job.id,
+      status: job.status,
+      totalEmails
+    });
+  } catch (error) {
+    logger.error('Verification job creation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
   }
 });
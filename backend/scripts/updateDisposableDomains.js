@@ -0,0 +1,36 @@
+// Refresh data/disposable-domains.txt from the community-maintained blocklist
+// (DOMAIN_INTELLIGENCE.disposableListUrl). Domains already in the file are
+// kept, so local additions survive an update.
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const { DOMAIN_INTELLIGENCE } = require('../config/constants');
+
+const listPath = path.join(__dirname, '..', 'data', 'disposable-domains.txt');
+
+/**
+ * Download the blocklist and merge it into the bundled list
+ * @returns {Promise<Object>} Counts ({ before, after })
+ */
+async function updateDisposableDomains() {
+  const current = await fs.readFile(listPath, 'utf8');
+  const header = current.split('\n').filter(line => line.startsWith('#'));
+  const domains = new Set(current.split('\n').filter(line => line.trim() && !line.startsWith('#')).map(line => line.trim().toLowerCase()));
+  const before = domains.size;
+
+  const response = await axios.get(DOMAIN_INTELLIGENCE.disposableListUrl, { timeout: 30000, responseType: 'text' });
+  String(response.data).split('\n')
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(line => /^[a-z0-9.-]+\.[a-z]{2,}$/.test(line))
+    .forEach(domain => domains.add(domain));
+
+  await fs.writeFile(listPath, `${[...header, ...Array.from(domains).sort()].join('\n')}\n`);
+  return { before, after: domains.size };
+}
+
+updateDisposableDomains()
+  .then(({ before, after }) => console.log(`Disposable domains: ${before} -> ${after}`))
+  .catch(error => {
+    console.error(`Update failed: ${error.message}`);
+    process.exit(1);
+  });
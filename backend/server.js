@@ -5,16 +5,27 @@ const fs = require('fs-extra');
 const path = require('path');
 
 // Import configurations
-const { PORT, REQUEST_LIMITS, DIRECTORIES } = require('./config/constants');
+const { PORT, REQUEST_LIMITS, DIRECTORIES, RESULTS_SETTINGS } = require('./config/constants');
 
 // Import middleware
 const securityMiddleware = require('./middleware/security');
 const loggingMiddleware = require('./middleware/logging');
 
 // Import routes
-const scrapingRoutes = require('./routes/scrapingRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 const verificationRoutes = require('./routes/verificationRoutes');
 const statusRoutes = require('./routes/statusRoutes');
+const platformRoutes = require('./routes/platformRoutes');
+const resultsRoutes = require('./routes/resultsRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+
+// Import services
+const { registerJobRunner, loadJobs } = require('./services/jobService');
+const { loadVerificationCache } = require('./services/verificationCacheService');
+const { runScrapeJob } = require('./services/scrapeJobService');
+const { runVerificationJob } = require('./services/verificationJobService');
+const { pruneRuns } = require('./services/resultsService');
 
 // Import utilities
 const { logger } = require('./utils/logger');
@@ -46,16 +57,37 @@ fs.ensureDirSync(outputDir);
 fs.ensureDirSync(logsDir);
 
 // API Routes
-app.use('/api', scrapingRoutes);
+app.use('/api', jobRoutes);
 app.use('/api', verificationRoutes);
 app.use('/api', statusRoutes);
-
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 Server running on port ${PORT}`);
-  logger.info(`📁 Output directory: ${outputDir}`);
-  logger.info(`🌐 Health check: http://localhost:${PORT}/api/health`);
-});
+app.use('/api', platformRoutes);
+app.use('/api', resultsRoutes);
+app.use('/api', uploadRoutes);
+app.use('/api', exportRoutes);
+
+// Job runners
+registerJobRunner('scrape', runScrapeJob, 'scraping');
+registerJobRunner('verify', runVerificationJob, 'verification');
+
+// Restore persisted jobs and verification results, then start server
+loadVerificationCache()
+  .then(count => logger.info(`📬 Restored ${count} cached verification result(s)`))
+  .catch(error => logger.error('Failed to restore verification cache:', error))
+  .then(() => loadJobs())
+  .then(count => logger.info(`📋 Restored ${count} job(s) from disk`))
+  .catch(error => logger.error('Failed to restore jobs:', error))
+  .finally(() => {
+    app.listen(PORT, () => {
+      logger.info(`🚀 Server running on port ${PORT}`);
+      logger.info(`📁 Output directory: ${outputDir}`);
+      logger.info(`🌐 Health check: http://localhost:${PORT}/api/health`);
+    });
+  });
+
+// Delete saved runs past the configured retention, now and then hourly
+const applyRetention = () => pruneRuns().catch(error => logger.error('Failed to apply results retention:', error));
+applyRetention();
+setInterval(applyRetention, RESULTS_SETTINGS.pruneInterval).unref();
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
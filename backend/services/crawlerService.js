@@ -0,0 +1,135 @@
+const { contactHints } = require('../config/patterns');
+const { canonicalizeUrl, isSameSite } = require('../utils/urlUtils');
+const { logger } = require('../utils/logger');
+
+// Links to files that are never worth loading as a page
+const assetExtensions = /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|xml|txt|zip|rar|gz|mp3|mp4|avi|mov|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Score a link for crawl priority; contact/about/impressum/team pages first
+ * @param {string} url - Canonical link URL
+ * @param {string} text - Link text
+ * @returns {number} Priority score (higher is crawled earlier)
+ */
+function scoreLink(url, text) {
+  let score = 0;
+  if (contactHints.test(new URL(url).pathname)) score += 2;
+  if (contactHints.test(text || '')) score += 1;
+  return score;
+}
+
+/**
+ * Remove and return the next frontier entry: lowest depth first (breadth
+ * first), then highest priority, then discovery order
+ * @param {Array<Object>} frontier - Pending entries { url, depth, score, order }
+ * @returns {Object} Next entry to visit
+ */
+function takeNext(frontier) {
+  let best = 0;
+  for (let i = 1; i < frontier.length; i++) {
+    const candidate = frontier[i];
+    const current = frontier[best];
+    if (
+      candidate.depth < current.depth ||
+      (candidate.depth === current.depth && candidate.score > current.score) ||
+      (candidate.depth === current.depth && candidate.score === current.score && candidate.order < current.order)
+    ) {
+      best = i;
+    }
+  }
+  return frontier.splice(best, 1)[0];
+}
+
+/**
+ * Breadth-first crawl of a single site. Only links on the same registrable
+ * domain as the start page are followed, each canonical URL is visited once,
+ * and the crawl stops at `maxDepth` or after `maxPages` pages.
+ *
+ * `visitPage(url, depth)` loads and processes one page and resolves to
+ * { finalUrl, links, stop, skipped }: `links` are { url, text } found on
+ * the page, `finalUrl` is the URL after redirects, `stop` ends the crawl
+ * early and `skipped` reports the page as skipped rather than visited (e.g.
+ * it redirected to a page robots.txt disallows).
+ * Errors thrown by `visitPage` propagate to the caller. The optional
+ * `beforeVisit(url)` resolves to false to skip a page without spending
+ * budget on it (e.g. robots.txt rules). The optional `discoverSeeds(siteUrl)`
+ * is called once after the homepage when the crawl goes deeper and resolves
+ * to extra URLs (e.g. from sitemaps) queued alongside the homepage's links.
+ * @param {string} startUrl - Site homepage
+ * @param {Object} options - Crawl limits ({ maxDepth, maxPages, beforeVisit, discoverSeeds })
+ * @param {Function} visitPage - Page loader
+ * @returns {Object} Crawl summary ({ visitedPages, skippedPages, pendingPages })
+ */
+async function crawlSite(startUrl, { maxDepth = 0, maxPages = 1, beforeVisit = null, discoverSeeds = null } = {}, visitPage) {
+  const start = canonicalizeUrl(startUrl) || startUrl;
+  const seen = new Set([start]);
+  const frontier = [{ url: start, depth: 0, score: 0, order: 0 }];
+  const visitedPages = [];
+  const skippedPages = [];
+  let siteUrl = start;
+  let discovered = 0;
+
+  while (frontier.length > 0 && visitedPages.length < maxPages) {
+    const entry = takeNext(frontier);
+    if (beforeVisit && !(await beforeVisit(entry.url))) {
+      skippedPages.push(entry.url);
+      continue;
+    }
+
+    const outcome = (await visitPage(entry.url, entry.depth)) || {};
+    if (outcome.skipped) {
+      skippedPages.push(entry.url);
+    } else {
+      visitedPages.push(entry.url);
+    }
+
+    const finalUrl = outcome.finalUrl && canonicalizeUrl(outcome.finalUrl);
+    if (finalUrl) {
+      seen.add(finalUrl);
+      // A homepage redirect (e.g. example.com -> example.de) defines the site
+      if (entry.depth === 0) {
+        siteUrl = finalUrl;
+      }
+    }
+
+    if (outcome.stop) {
+      break;
+    }
+    if (entry.depth >= maxDepth) {
+      continue;
+    }
+
+    const links = outcome.links || [];
+    if (entry.depth === 0 && discoverSeeds) {
+      const seeds = await discoverSeeds(siteUrl);
+      links.push(...seeds.map(url => ({ url, text: '' })));
+    }
+
+    for (const link of links) {
+      const url = canonicalizeUrl(link.url);
+      if (!url || seen.has(url) || !isSameSite(url, siteUrl) || assetExtensions.test(new URL(url).pathname)) {
+        continue;
+      }
+      seen.add(url);
+      frontier.push({
+        url,
+        depth: entry.depth + 1,
+        score: scoreLink(url, link.text),
+        order: ++discovered
+      });
+    }
+  }
+
+  logger.debug(`Crawled ${visitedPages.length} page(s) of ${startUrl}, skipped ${skippedPages.length}, ${frontier.length} left in frontier`);
+
+  return {
+    visitedPages,
+    skippedPages,
+    pendingPages: frontier.length
+  };
+}
+
+module.exports = {
+  crawlSite,
+  scoreLink
+};
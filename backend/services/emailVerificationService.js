@@ -1,8 +1,57 @@
 const dns = require('dns').promises;
 const net = require('net');
+const crypto = require('crypto');
 const validator = require('validator');
-const { DISPOSABLE_DOMAINS } = require('../config/errorConfig');
+const { SMTP_SETTINGS, VERIFICATION_SETTINGS } = require('../config/constants');
 const { extractDomainFromEmail } = require('../utils/emailUtils');
+const { getDomainIntelligence } = require('../utils/domainIntelligence');
+const { logger } = require('../utils/logger');
+const {
+  getCachedResult,
+  setCachedResult,
+  getCachedDomain,
+  setCachedDomain,
+  saveVerificationCache
+} = require('./verificationCacheService');
+
+// 5xx answers that reject the sender (blocklists, reputation, policy) rather
+// than the mailbox; they say nothing about whether the address exists
+const policyRejection = /\b5\.7\.\d+\b|block|spam|blacklist|listed|reputation|policy|not allowed|denied|relay/i;
+
+// Open connections, waiting checks and the next free connection time per MX host
+const hostSlots = new Map();
+
+/**
+ * Run an SMTP conversation once the MX host has a free connection slot:
+ * at most maxConnectionsPerHost at a time, started hostDelay apart
+ * @param {string} host - MX host
+ * @param {Object} settings - Verification settings (maxConnectionsPerHost, hostDelay)
+ * @param {Function} task - Async function holding the connection
+ * @returns {Promise<*>} Result of the task
+ */
+async function withHostSlot(host, settings, task) {
+  if (!hostSlots.has(host)) hostSlots.set(host, { active: 0, nextStart: 0, waiting: [] });
+  const slot = hostSlots.get(host);
+
+  while (slot.active >= settings.maxConnectionsPerHost) {
+    await new Promise(resolve => slot.waiting.push(resolve));
+  }
+  slot.active += 1;
+  const startAt = Math.max(Date.now(), slot.nextStart);
+  slot.nextStart = startAt + settings.hostDelay;
+  if (startAt > Date.now()) {
+    await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+  }
+
+  try {
+    return await task();
+  } finally {
+    slot.active -= 1;
+    const next = slot.waiting.shift();
+    if (next) next();
+    else if (slot.active === 0 && slot.nextStart <= Date.now()) hostSlots.delete(host);
+  }
+}
 
 /**
  * Resolve MX records for a domain
@@ -19,50 +68,211 @@ async function resolveMxRecords(domain) {
 }
 
 /**
- * Test SMTP connection to a host
+ * Open an SMTP connection and read the server greeting
  * @param {string} host - SMTP host
- * @param {number} timeoutMs - Timeout in milliseconds
- * @returns {Object} Connection result
+ * @param {Object} settings - SMTP settings (port, connectTimeout, commandTimeout)
+ * @returns {Promise<Object>} Session ({ greeting, send, close }); `send` writes a command and
+ * resolves with the server reply ({ code, message }), `close` resolves once the connection is closed
  */
-function smtpConnect(host, timeoutMs = 5000) {
-  return new Promise((resolve) => {
-    const socket = net.createConnection(25, host);
-    let resolved = false;
-    const cleanup = (ok, info) => {
-      if (resolved) return;
-      resolved = true;
-      try { socket.destroy(); } catch {}
-      resolve({ ok, info });
-    };
-    socket.setTimeout(timeoutMs);
-    socket.on('connect', () => {});
-    socket.on('data', (buf) => {
-      const msg = buf.toString().trim();
-      if (/^220\s/i.test(msg)) {
-        cleanup(true, 'greeting');
+async function openSmtpSession(host, settings) {
+  const socket = net.createConnection({ host, port: settings.port });
+  socket.setEncoding('utf8');
+
+  let buffer = '';
+  let lines = [];
+  let pending = null;
+  let closed = false;
+
+  const settle = (error, reply) => {
+    if (!pending) return;
+    const { resolve, reject, timer } = pending;
+    pending = null;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(reply);
+  };
+  const expectReply = timeoutMs => new Promise((resolve, reject) => {
+    pending = { resolve, reject, timer: setTimeout(() => settle(new Error('SMTP timeout')), timeoutMs) };
+  });
+
+  socket.on('data', chunk => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // Multiline replies use "250-" on every line but the last
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), message: lines.map(item => item.slice(4)).join(' ').trim() };
+        lines = [];
+        settle(null, reply);
       }
-    });
-    socket.on('timeout', () => cleanup(false, 'timeout'));
-    socket.on('error', () => cleanup(false, 'error'));
-    socket.on('end', () => cleanup(false, 'end'));
+    }
   });
+  socket.on('error', error => {
+    closed = true;
+    settle(error);
+  });
+  socket.on('close', () => {
+    closed = true;
+    settle(new Error('SMTP connection closed'));
+  });
+
+  let greeting;
+  try {
+    greeting = await expectReply(settings.connectTimeout);
+  } catch (error) {
+    socket.destroy();
+    throw error;
+  }
+
+  return {
+    greeting,
+    send: command => {
+      if (closed) return Promise.reject(new Error('SMTP connection closed'));
+      const reply = expectReply(settings.commandTimeout);
+      socket.write(`${command}\r\n`);
+      return reply;
+    },
+    close: () => new Promise(resolve => {
+      if (closed) return resolve();
+      socket.once('close', resolve);
+      socket.end('QUIT\r\n');
+      setTimeout(() => socket.destroy(), 1000).unref();
+    })
+  };
 }
 
 /**
- * Verify email address with basic checks
+ * Ask one mail server whether it accepts a recipient: EHLO (or HELO), MAIL
+ * FROM and RCPT TO, then RCPT TO for a random address of the same domain to
+ * detect catch-all servers
+ * @param {string} email - Email address
+ * @param {string} host - SMTP host
+ * @param {Object} settings - SMTP settings; probeCatchAll: false skips the random address
+ * @returns {Promise<Object>} Conversation result ({ stage, reply, probe }): the stage the
+ * conversation ended at (greeting, helo, mail or rcpt), its reply and the catch-all probe reply
+ */
+async function askMailServer(email, host, settings) {
+  const session = await openSmtpSession(host, settings);
+  try {
+    if (session.greeting.code !== 220) return { stage: 'greeting', reply: session.greeting, probe: null };
+
+    let reply = await session.send(`EHLO ${settings.heloHost}`);
+    if (reply.code >= 500) reply = await session.send(`HELO ${settings.heloHost}`);
+    if (reply.code !== 250) return { stage: 'helo', reply, probe: null };
+
+    reply = await session.send(`MAIL FROM:<${settings.mailFrom}>`);
+    if (reply.code !== 250) return { stage: 'mail', reply, probe: null };
+
+    reply = await session.send(`RCPT TO:<${email}>`);
+    let probe = null;
+    if ((reply.code === 250 || reply.code === 251) && settings.probeCatchAll !== false) {
+      const probeAddress = `${crypto.randomBytes(10).toString('hex')}@${extractDomainFromEmail(email)}`;
+      probe = await session.send(`RCPT TO:<${probeAddress}>`);
+    }
+    return { stage: 'rcpt', reply, probe };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Classify the outcome of an SMTP conversation
+ * @param {Object} conversation - Conversation result of askMailServer
+ * @returns {string} valid, invalid, catch-all, temporary (4xx, worth retrying) or refused
+ * (the server would not answer for the mailbox)
+ */
+function classifyConversation({ stage, reply, probe }) {
+  if (reply.code >= 400 && reply.code < 500) return 'temporary';
+  if (stage !== 'rcpt') return 'refused';
+  if (reply.code === 250 || reply.code === 251) {
+    return probe && (probe.code === 250 || probe.code === 251) ? 'catch-all' : 'valid';
+  }
+  return policyRejection.test(reply.message) ? 'refused' : 'invalid';
+}
+
+/**
+ * Check whether a mailbox exists by talking SMTP to the domain's mail servers.
+ * Hosts are tried by MX priority; temporary failures such as greylisting are
+ * retried on the same host before moving on to the next one. Only the first
+ * `maxMxHosts` hosts are tried; a note says how many were left out.
+ * @param {string} email - Email address
+ * @param {Array<Object>} mxRecords - MX records sorted by priority
+ * @param {Object} options - Overrides of SMTP_SETTINGS and VERIFICATION_SETTINGS (port, retryDelay, maxMxHosts, ...)
+ * @returns {Promise<Object>} Mailbox check ({ mailbox, connected, host, code, response, notes }),
+ * where mailbox is valid, invalid, catch-all or unknown
+ */
+async function verifyMailbox(email, mxRecords, options = {}) {
+  const settings = { ...SMTP_SETTINGS, ...VERIFICATION_SETTINGS, ...options };
+  const check = { mailbox: 'unknown', connected: false, host: null, code: null, response: null, notes: [] };
+
+  const hosts = mxRecords.slice(0, settings.maxMxHosts);
+  for (const { exchange } of hosts) {
+    for (let attempt = 0; attempt <= settings.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, settings.retryDelay));
+      }
+
+      let conversation;
+      try {
+        conversation = await withHostSlot(exchange, settings, () => askMailServer(email, exchange, settings));
+      } catch (error) {
+        check.notes.push(`${exchange}: ${error.code || error.message}`);
+        break;
+      }
+
+      check.connected = true;
+      Object.assign(check, { host: exchange, code: conversation.reply.code, response: conversation.reply.message });
+      const outcome = classifyConversation(conversation);
+      if (outcome === 'temporary') {
+        check.notes.push(`${exchange}: temporary failure ${conversation.reply.code}`);
+        continue;
+      }
+      if (outcome === 'refused') {
+        check.notes.push(`${exchange}: refused at ${conversation.stage} (${conversation.reply.code})`);
+        break;
+      }
+      check.mailbox = outcome;
+      return check;
+    }
+  }
+
+  if (mxRecords.length > hosts.length) {
+    check.notes.push(`${mxRecords.length - hosts.length} lower-priority MX host(s) not tried (maxMxHosts is ${settings.maxMxHosts})`);
+  }
+  return check;
+}
+
+/**
+ * Verify an email address: syntax, disposable domain, MX records and an SMTP
+ * mailbox check. MX records and catch-all status are cached per domain, so
+ * known catch-all domains are not asked again.
  * @param {string} email - Email to verify
+ * @param {Object} options - Overrides of SMTP_SETTINGS and VERIFICATION_SETTINGS
+ * (e.g. maxMxHosts); `mxRecords` replaces the DNS lookup, and what those
+ * hosts answer is not cached for the domain
  * @returns {Object} Verification result
  */
-async function verifyEmailBasic(email) {
+async function verifyEmail(email, options = {}) {
+  const { mxRecords, ...smtpOptions } = options;
   const result = {
     email,
     isValidSyntax: false,
     isDisposable: false,
+    isFreeProvider: false,
+    isRoleAccount: false,
+    didYouMean: null,
     hasMxRecords: false,
     smtpConnectable: false,
+    mailbox: 'unknown',
+    isCatchAll: false,
+    smtp: null,
     score: 0,
     status: 'unknown',
-    notes: []
+    notes: [],
+    checkedAt: new Date().toISOString()
   };
 
   result.isValidSyntax = validator.isEmail(email || '');
@@ -79,20 +289,36 @@ async function verifyEmailBasic(email) {
     return result;
   }
 
-  if (DISPOSABLE_DOMAINS.has(domain)) {
-    result.isDisposable = true;
-    result.notes.push('Disposable domain');
-  }
+  Object.assign(result, getDomainIntelligence(email));
+  if (result.isDisposable) result.notes.push('Disposable domain');
+  if (result.isFreeProvider) result.notes.push('Free email provider');
+  if (result.isRoleAccount) result.notes.push('Role account');
+  if (result.didYouMean) result.notes.push(`Did you mean ${result.didYouMean}?`);
 
-  const mx = await resolveMxRecords(domain);
-  if (mx.length > 0) {
+  const domainInfo = mxRecords ? null : getCachedDomain(domain);
+  const mx = mxRecords || (domainInfo ? domainInfo.mxRecords : await resolveMxRecords(domain));
+  if (!domainInfo && !mxRecords) setCachedDomain(domain, { mxRecords: mx });
+
+  if (mx.length > 0 && domainInfo && domainInfo.catchAll) {
+    result.hasMxRecords = true;
+    result.smtpConnectable = true;
+    result.mailbox = 'catch-all';
+    result.isCatchAll = true;
+    result.notes.push('Domain accepts any address (cached)');
+  } else if (mx.length > 0) {
     result.hasMxRecords = true;
-    // Try connecting to the best MX quickly
-    try {
-      const { ok } = await smtpConnect(mx[0].exchange, 4000);
-      result.smtpConnectable = !!ok;
-      if (ok) result.notes.push(`SMTP reachable at ${mx[0].exchange}`);
-    } catch {}
+    // Domains known not to be catch-all need no random-address probe
+    const probeCatchAll = !(domainInfo && domainInfo.catchAll === false);
+    const check = await verifyMailbox(email, mx, { ...smtpOptions, probeCatchAll });
+    result.smtpConnectable = check.connected;
+    result.mailbox = check.mailbox;
+    result.isCatchAll = check.mailbox === 'catch-all';
+    result.smtp = check.host ? { host: check.host, code: check.code, response: check.response } : null;
+    result.notes.push(...check.notes);
+    if (check.mailbox === 'valid') result.notes.push(`Mailbox accepted by ${check.host}`);
+    if (check.mailbox === 'invalid') result.notes.push(`Mailbox rejected by ${check.host}`);
+    if (check.mailbox === 'catch-all') result.notes.push(`${check.host} accepts any address`);
+    if (check.mailbox !== 'unknown' && !mxRecords) setCachedDomain(domain, { catchAll: check.mailbox === 'catch-all' });
   } else {
     result.notes.push('No MX records');
   }
@@ -102,44 +328,78 @@ async function verifyEmailBasic(email) {
   if (result.isValidSyntax) score += 2;
   if (result.hasMxRecords) score += 3;
   if (result.smtpConnectable) score += 2;
+  if (result.mailbox === 'valid') score += 3;
+  if (result.mailbox === 'invalid') score -= 5;
+  if (result.isCatchAll) score -= 1;
   if (result.isDisposable) score -= 3;
+  if (result.isFreeProvider) score -= 1;
+  if (result.isRoleAccount) score -= 1;
+  if (result.didYouMean) score -= 3;
   result.score = score;
-  if (score >= 5) result.status = 'deliverable';
+
+  // A definite SMTP answer decides; otherwise fall back on the score
+  if (result.mailbox === 'invalid') result.status = 'undeliverable';
+  else if (result.isCatchAll) result.status = 'risky';
+  else if (score >= 5) result.status = 'deliverable';
   else if (score >= 3) result.status = 'risky';
   else result.status = 'undeliverable';
 
+  // Only a mailbox the server accepted is deliverable; throwaway and probably
+  // misspelled addresses are never better than risky either
+  if (result.status === 'deliverable' && (result.mailbox !== 'valid' || result.isDisposable || result.didYouMean)) {
+    result.status = 'risky';
+  }
   return result;
 }
 
 /**
- * Verify multiple email addresses
+ * Verify multiple email addresses. Cached results are reused (unless
+ * `mxRecords` overrides the DNS lookup); the others are verified
+ * VERIFICATION_SETTINGS.concurrency at a time, throttled per MX host.
  * @param {Array<string>} emails - Array of emails to verify
- * @returns {Array<Object>} Array of verification results
+ * @param {Object} options - Verification options passed to verifyEmail
+ * @returns {Array<Object>} Array of verification results, in input order
  */
-async function verifyEmails(emails) {
-  const unique = Array.from(new Set(emails.map(e => String(e || '').trim()).filter(Boolean))).slice(0, 200);
-  const results = [];
-  
-  for (const email of unique) {
-    try {
-      const verification = await verifyEmailBasic(email);
-      results.push(verification);
-      await new Promise(r => setTimeout(r, 50)); // Rate limiting
-    } catch (e) {
-      results.push({ 
-        email, 
-        status: 'error', 
-        error: e.message || 'verify error' 
-      });
+async function verifyEmails(emails, options = {}) {
+  const unique = Array.from(new Set(emails.map(e => String(e || '').trim()).filter(Boolean)));
+  const results = new Array(unique.length);
+  const pending = [];
+  const useCache = !options.mxRecords;
+
+  unique.forEach((email, index) => {
+    const cached = useCache && getCachedResult(email);
+    if (cached) results[index] = { ...cached, email, cached: true };
+    else pending.push(index);
+  });
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const index = pending.shift();
+      const email = unique[index];
+      try {
+        results[index] = await verifyEmail(email, options);
+        if (useCache) setCachedResult(results[index]);
+      } catch (e) {
+        logger.warn(`Verification of ${email} failed: ${e.message}`);
+        results[index] = {
+          email,
+          status: 'error',
+          error: e.message || 'verify error'
+        };
+      }
     }
-  }
-  
+  };
+
+  const concurrency = Math.min(options.concurrency || VERIFICATION_SETTINGS.concurrency, pending.length);
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  await saveVerificationCache();
+
   return results;
 }
 
 module.exports = {
-  verifyEmailBasic,
+  verifyEmail,
   verifyEmails,
-  resolveMxRecords,
-  smtpConnect
+  verifyMailbox,
+  resolveMxRecords
 };
@@ -0,0 +1,132 @@
+const net = require('net');
+const { verifyEmail, verifyMailbox } = require('./emailVerificationService');
+const { getCachedDomain } = require('./verificationCacheService');
+
+/**
+ * Start a fake SMTP server on a free local port. RCPT TO is answered with
+ * 250 for the accepted addresses (every address when catchAll is set) and
+ * 550 otherwise.
+ * @param {Object} behaviour - Server behaviour
+ * @param {Array<string>} [behaviour.accepted] - Mailboxes that exist
+ * @param {boolean} [behaviour.catchAll] - Accept every recipient
+ * @returns {Promise<Object>} Server ({ port, close })
+ */
+function startSmtpServer({ accepted = [], catchAll = false }) {
+  const server = net.createServer(socket => {
+    socket.setEncoding('utf8');
+    socket.write('220 mx.test ESMTP\r\n');
+
+    let buffer = '';
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250-mx.test\r\n250 8BITMIME\r\n');
+        } else if (command === 'MAIL') {
+          socket.write('250 2.1.0 Ok\r\n');
+        } else if (command === 'RCPT') {
+          const recipient = line.slice(line.indexOf('<') + 1, line.indexOf('>')).toLowerCase();
+          socket.write(catchAll || accepted.includes(recipient)
+            ? '250 2.1.5 Ok\r\n'
+            : '550 5.1.1 User unknown\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 2.0.0 Bye\r\n');
+        } else {
+          socket.write('502 5.5.2 Command not recognized\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+describe('emailVerificationService', () => {
+  const mxRecords = [{ exchange: '127.0.0.1', priority: 10 }];
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  it('reports a mailbox the server accepts as deliverable', async () => {
+    server = await startSmtpServer({ accepted: ['jane.doe@northwind-traders.com'] });
+
+    const result = await verifyEmail('jane.doe@northwind-traders.com', { mxRecords, port: server.port, hostDelay: 0 });
+
+    expect(result.status).toBe('deliverable');
+    expect(result.mailbox).toBe('valid');
+    expect(result.isCatchAll).toBe(false);
+    expect(result.smtp).toEqual({ host: '127.0.0.1', code: 250, response: '2.1.5 Ok' });
+  });
+
+  it('reports a mailbox the server rejects with 550 as undeliverable', async () => {
+    server = await startSmtpServer({ accepted: ['jane.doe@northwind-traders.com'] });
+
+    const result = await verifyEmail('john.roe@northwind-traders.com', { mxRecords, port: server.port, hostDelay: 0 });
+
+    expect(result.status).toBe('undeliverable');
+    expect(result.mailbox).toBe('invalid');
+    expect(result.smtp.code).toBe(550);
+    expect(result.notes).toContain('Mailbox rejected by 127.0.0.1');
+  });
+
+  it('reports a server accepting random addresses as catch-all', async () => {
+    server = await startSmtpServer({ catchAll: true });
+
+    const result = await verifyEmail('jane.doe@fabrikam-widgets.com', { mxRecords, port: server.port, hostDelay: 0 });
+
+    expect(result.status).toBe('risky');
+    expect(result.mailbox).toBe('catch-all');
+    expect(result.isCatchAll).toBe(true);
+  });
+
+  it('does not cache what the hosts of an mxRecords override answered', async () => {
+    server = await startSmtpServer({ catchAll: true });
+
+    await verifyEmail('jane.doe@contoso-supplies.com', { mxRecords, port: server.port, hostDelay: 0 });
+
+    expect(getCachedDomain('contoso-supplies.com')).toBeNull();
+  });
+
+  it('rates an address whose mailbox could not be checked no better than risky', async () => {
+    // Nothing listens on port 1, as when outbound port 25 is blocked
+    const result = await verifyEmail('jane.doe@northwind-traders.com', { mxRecords, port: 1, hostDelay: 0, maxRetries: 0 });
+
+    expect(result.mailbox).toBe('unknown');
+    expect(result.hasMxRecords).toBe(true);
+    expect(result.status).toBe('risky');
+  });
+
+  it('notes the MX hosts left out by maxMxHosts', async () => {
+    const hosts = [
+      { exchange: '127.0.0.1', priority: 10 },
+      { exchange: '127.0.0.2', priority: 20 },
+      { exchange: '127.0.0.3', priority: 30 }
+    ];
+
+    // Nothing listens on port 1, so the only host tried cannot be reached
+    const check = await verifyMailbox('jane.doe@northwind-traders.com', hosts, {
+      port: 1,
+      hostDelay: 0,
+      maxMxHosts: 1,
+      maxRetries: 0
+    });
+
+    expect(check.mailbox).toBe('unknown');
+    expect(check.connected).toBe(false);
+    expect(check.notes).toContain('2 lower-priority MX host(s) not tried (maxMxHosts is 1)');
+  });
+});
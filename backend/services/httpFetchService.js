@@ -0,0 +1,101 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { generateUserAgent } = require('../utils/urlUtils');
+const { detectRegionBlock } = require('../utils/contentUtils');
+const { jsRenderedIndicators } = require('../config/patterns');
+const { HTTP_HEADERS, HTTP_FETCH_SETTINGS } = require('../config/constants');
+
+// Elements whose text is never shown to visitors
+const hiddenElements = 'script, style, noscript, template, svg, iframe';
+// Elements that start a new line in the rendered page
+const blockElements = 'address, article, aside, br, dd, div, dl, dt, footer, form, h1, h2, h3, h4, h5, h6, header, li, main, nav, ol, p, section, table, td, th, tr, ul';
+
+/**
+ * Approximate a page's visible text (document.body.innerText) from its HTML
+ * @param {string} html - HTML content
+ * @returns {string} Visible text with one line per block element
+ */
+function htmlToText(html) {
+  const $ = cheerio.load(html || '');
+  $(hiddenElements).remove();
+  // Keep block boundaries so adjacent words and emails do not run together
+  $(blockElements).each((_, el) => {
+    $(el).append('\n');
+  });
+  return $('body').text()
+    .replace(/[ \t\f\v ]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Fetch a page with a plain HTTP GET
+ * @param {string} url - Page URL
+ * @param {Object} options - Fetch options ({ timeout, followRedirects })
+ * @returns {Object} Fetched page ({ finalUrl, status, contentType, content, textContent })
+ */
+async function fetchPage(url, { timeout = HTTP_FETCH_SETTINGS.timeout, followRedirects = true } = {}) {
+  const response = await axios.get(url, {
+    timeout,
+    maxRedirects: followRedirects ? HTTP_FETCH_SETTINGS.maxRedirects : 0,
+    maxContentLength: HTTP_FETCH_SETTINGS.maxSize,
+    responseType: 'text',
+    validateStatus: () => true,
+    headers: {
+      ...HTTP_HEADERS,
+      'User-Agent': generateUserAgent()
+    }
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  const isHtml = !contentType || /html|xml/i.test(contentType);
+  const content = isHtml && typeof response.data === 'string' ? response.data : '';
+
+  return {
+    finalUrl: (response.request && response.request.res && response.request.res.responseUrl) || url,
+    status: response.status,
+    contentType,
+    content,
+    textContent: htmlToText(content)
+  };
+}
+
+/**
+ * Decide whether a page fetched over HTTP has to be loaded in the browser
+ * @param {Object} fetched - Result of fetchPage
+ * @param {Object} options - Checks to apply
+ * @param {boolean} options.requireText - Treat a page with almost no text as unusable (homepages)
+ * @returns {string|null} Why the browser is needed, or null if the HTTP result is usable
+ */
+function getEscalationReason(fetched, { requireText = true } = {}) {
+  const { status, contentType, content, textContent, finalUrl } = fetched;
+  const lowerContent = content.toLowerCase();
+
+  if ([401, 403, 429, 503].includes(status)) {
+    return `blocked (HTTP ${status})`;
+  }
+  if (requireText && status >= 300) {
+    return `HTTP ${status}`;
+  }
+  if (!content) {
+    return `not an HTML page (${contentType || 'no content type'})`;
+  }
+  if (detectRegionBlock(content, finalUrl)) {
+    return 'blocked by a security check';
+  }
+  if (textContent.length < HTTP_FETCH_SETTINGS.minTextLength * 5 &&
+      jsRenderedIndicators.some(indicator => lowerContent.includes(indicator))) {
+    return 'looks JavaScript-rendered';
+  }
+  if (requireText && textContent.length < HTTP_FETCH_SETTINGS.minTextLength) {
+    return 'looks empty';
+  }
+
+  return null;
+}
+
+module.exports = {
+  htmlToText,
+  fetchPage,
+  getEscalationReason
+};
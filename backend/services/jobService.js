@@ -0,0 +1,572 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { createOutputStream } = require('../utils/outputUtils');
+const { DIRECTORIES, JOB_SETTINGS } = require('../config/constants');
+
+const jobsDir = path.join(__dirname, '..', DIRECTORIES.jobs);
+
+// In-memory view of every known job; the JSON files under jobsDir are the source of truth across restarts
+const jobs = new Map();
+const runners = {};
+const queue = [];
+const writeChains = new Map();
+// Per-URL outcome codes of scrape jobs by job ID, loaded from the checkpoint on first use
+const urlStatuses = new Map();
+let activeJobs = 0;
+
+// Progress events, emitted under the job's ID
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed', 'interrupted'];
+
+// Codes of the per-URL outcomes; a URL that failed with a critical error has its own code
+const URL_STATUS_CODES = { pending: 0, success: 1, error: 2, skipped: 3, critical: 4 };
+
+/**
+ * Register the function that executes jobs of a given type
+ * @param {string} type - Job type (e.g. 'scrape')
+ * @param {Function} runner - Async function receiving the job object
+ * @param {string} [activity] - What the jobs do, for failure messages (e.g. 'scraping')
+ */
+function registerJobRunner(type, runner, activity = type) {
+  runners[type] = { run: runner, activity };
+}
+
+/**
+ * Emit a progress event for a job to its stream subscribers
+ * @param {Object} job - Job the event belongs to
+ * @param {string} type - Event type (e.g. 'url-started', 'run-complete')
+ * @param {Object} data - Event payload
+ */
+function emitJobEvent(job, type, data = {}) {
+  jobEvents.emit(job.id, {
+    type,
+    jobId: job.id,
+    at: new Date().toISOString(),
+    ...data
+  });
+}
+
+/**
+ * Listen to the progress events of a job
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with every event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(id, listener) {
+  jobEvents.on(id, listener);
+  return () => jobEvents.off(id, listener);
+}
+
+/**
+ * Get the file path a job is persisted to
+ * @param {string} id - Job ID
+ * @returns {string} Absolute file path
+ */
+function getJobPath(id) {
+  return path.join(jobsDir, `${id}.json`);
+}
+
+/**
+ * Get the checkpoint file holding a job's per-URL outcomes
+ * @param {string} id - Job ID
+ * @returns {string} Absolute file path
+ */
+function getCheckpointPath(id) {
+  return path.join(jobsDir, `${id}.checkpoint.jsonl`);
+}
+
+/**
+ * Get the file holding a job's input, one JSON line per URL or email
+ * @param {string} id - Job ID
+ * @returns {string} Absolute file path
+ */
+function getInputPath(id) {
+  return path.join(jobsDir, `${id}.input.jsonl`);
+}
+
+/**
+ * Write the input of a job to its input file as the entries come in. Only
+ * the names of the original columns stay on the job; the runner reads the
+ * entries back in order.
+ * @param {Object} job - Job
+ * @param {AsyncIterable<Object>|Iterable<Object>} entries - Entries with their
+ * original rows (scrape jobs: { url, row }, verification jobs: { email, row })
+ * @returns {Promise<number>} Number of entries written
+ */
+async function writeJobInput(job, entries) {
+  const columns = new Set();
+  const output = createOutputStream(getInputPath(job.id));
+  let count = 0;
+  try {
+    for await (const entry of entries) {
+      Object.keys(entry.row || {}).forEach(column => columns.add(column));
+      await output.write(JSON.stringify({ ...entry, row: entry.row || null }) + '\n');
+      count++;
+    }
+  } catch (error) {
+    await output.end().catch(() => {});
+    throw error;
+  }
+  await output.end();
+
+  job.input = { columns: Array.from(columns) };
+  return count;
+}
+
+/**
+ * Read the input of a job one entry at a time
+ * @param {Object} job - Job
+ * @returns {AsyncGenerator<Object>} Entries in input order, with their index ({ index, ...entry })
+ */
+async function* readJobInput(job) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(getInputPath(job.id)),
+    crlfDelay: Infinity
+  });
+  let index = 0;
+  for await (const line of lines) {
+    if (!line) continue;
+    yield { index, ...JSON.parse(line) };
+    index++;
+  }
+}
+
+/**
+ * Get the status code a checkpoint line records
+ * @param {Object} entry - Checkpoint line ({ index, status, critical })
+ * @returns {number} Code from URL_STATUS_CODES
+ */
+function toStatusCode(entry) {
+  if (entry.status === 'error' && entry.critical) return URL_STATUS_CODES.critical;
+  return URL_STATUS_CODES[entry.status] || URL_STATUS_CODES.pending;
+}
+
+/**
+ * Add or remove one URL with the given status code to outcome counts
+ * @param {Object} counts - Counts ({ success, error, skipped }), updated in place
+ * @param {number} code - Code from URL_STATUS_CODES
+ * @param {number} change - 1 to add the URL, -1 to remove it
+ */
+function adjustUrlCounts(counts, code, change) {
+  if (code === URL_STATUS_CODES.success) counts.success += change;
+  else if (code === URL_STATUS_CODES.error || code === URL_STATUS_CODES.critical) counts.error += change;
+  else if (code === URL_STATUS_CODES.skipped) counts.skipped += change;
+}
+
+/**
+ * Count the outcomes held by a status array
+ * @param {Uint8Array} statuses - Per-URL status codes
+ * @returns {Object} Counts ({ success, error, skipped })
+ */
+function countUrlStatuses(statuses) {
+  const counts = { success: 0, error: 0, skipped: 0 };
+  statuses.forEach(code => adjustUrlCounts(counts, code, 1));
+  return counts;
+}
+
+/**
+ * Get the per-URL status codes of a scrape job, rebuilding them from its
+ * checkpoint file (the latest line for a URL wins) when they are not in
+ * memory yet. The job's counts are brought in line with the checkpoint.
+ * @param {Object} job - Scrape job
+ * @returns {Promise<Uint8Array>} Status code per URL index
+ */
+async function loadUrlStatuses(job) {
+  if (urlStatuses.has(job.id)) return urlStatuses.get(job.id);
+
+  const statuses = new Uint8Array(job.totalUrls);
+  const checkpointPath = getCheckpointPath(job.id);
+  if (await fs.pathExists(checkpointPath)) {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(checkpointPath),
+      crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.index >= 0 && entry.index < statuses.length) {
+          statuses[entry.index] = toStatusCode(entry);
+        }
+      } catch (_) {
+        // A line cut short by a crash; the URL will be treated as not done
+      }
+    }
+  }
+
+  urlStatuses.set(job.id, statuses);
+  job.urlCounts = countUrlStatuses(statuses);
+  job.processedUrls = job.urlCounts.success + job.urlCounts.error + job.urlCounts.skipped;
+  return statuses;
+}
+
+/**
+ * Set the status codes of some URLs, keep the job's counts in step and
+ * append the outcomes to the checkpoint file in one write. The statuses
+ * must have been loaded with loadUrlStatuses.
+ * @param {Object} job - Scrape job
+ * @param {Array<Object>} outcomes - Outcomes ({ index, status, critical })
+ * @returns {Promise} Resolves when the lines have been written
+ */
+function setUrlStatuses(job, outcomes) {
+  const statuses = urlStatuses.get(job.id);
+  const at = new Date().toISOString();
+  const lines = outcomes.map(outcome => {
+    const code = toStatusCode(outcome);
+    adjustUrlCounts(job.urlCounts, statuses[outcome.index], -1);
+    adjustUrlCounts(job.urlCounts, code, 1);
+    statuses[outcome.index] = code;
+    return JSON.stringify({ ...outcome, at }) + '\n';
+  });
+  job.processedUrls = job.urlCounts.success + job.urlCounts.error + job.urlCounts.skipped;
+
+  return fs.appendFile(getCheckpointPath(job.id), lines.join(''))
+    .catch(error => logger.error(`Failed to checkpoint job ${job.id}: ${error.message}`));
+}
+
+/**
+ * Record the outcome of one URL of a scrape job
+ * @param {Object} job - Scrape job
+ * @param {Object} outcome - Outcome ({ index, status, critical })
+ * @returns {Promise} Resolves when the checkpoint line has been written
+ */
+function recordUrlStatus(job, outcome) {
+  return setUrlStatuses(job, [outcome]);
+}
+
+/**
+ * Persist a job to disk. Writes for the same job are serialized so a slow
+ * write never overwrites a newer one.
+ * @param {Object} job - Job to persist
+ * @returns {Promise} Resolves when the write has finished
+ */
+function saveJob(job) {
+  const previous = writeChains.get(job.id) || Promise.resolve();
+  const next = previous
+    .then(() => fs.writeJson(getJobPath(job.id), job, { spaces: 2 }))
+    .catch(error => logger.error(`Failed to persist job ${job.id}: ${error.message}`));
+  writeChains.set(job.id, next);
+  return next;
+}
+
+/**
+ * Create and persist a new job
+ * @param {string} type - Job type
+ * @param {Object} input - Job input (options); other fields (e.g. the source of a
+ * verification job) are stored on the job as they are. The URLs or emails
+ * are written by writeJobInput.
+ * @returns {Object} Created job
+ */
+function createJob(type, input) {
+  const { options = {}, ...details } = input;
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    totalUrls: 0,
+    input: null,
+    options,
+    currentUrl: null,
+    currentIndex: 0,
+    activeUrls: [],
+    // The latest finished URLs (up to JOB_SETTINGS.recentUrls)
+    completedUrls: [],
+    processedUrls: 0,
+    urlCounts: { success: 0, error: 0, skipped: 0 },
+    statistics: null,
+    errorBreakInfo: null,
+    files: null,
+    duration: null,
+    success: null,
+    cancelRequested: false,
+    resumeCount: 0,
+    message: null,
+    error: null,
+    ...details
+  };
+  jobs.set(job.id, job);
+  saveJob(job);
+  pruneJobs();
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|undefined} Job or undefined if unknown
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Build the summary of a job used in listings (no per-URL data)
+ * @param {Object} job - Job object
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  const { csvData, completedUrls, results, emails, ...summary } = job;
+  return summary;
+}
+
+/**
+ * List all jobs, newest first
+ * @returns {Array<Object>} Job summaries
+ */
+function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(summarizeJob);
+}
+
+/**
+ * Delete the files a job is persisted to
+ * @param {string} id - Job ID
+ * @returns {Promise} Resolves when the files are gone
+ */
+function removeJobFiles(id) {
+  return Promise.all([getJobPath(id), getCheckpointPath(id), getInputPath(id)].map(filePath => fs.remove(filePath)));
+}
+
+/**
+ * Forget a job that never ran, e.g. one whose input could not be read, and
+ * delete its files once pending writes have finished
+ * @param {Object} job - Job to remove
+ * @returns {Promise} Resolves when the files are gone
+ */
+async function removeJob(job) {
+  jobs.delete(job.id);
+  urlStatuses.delete(job.id);
+  await writeChains.get(job.id);
+  writeChains.delete(job.id);
+  await removeJobFiles(job.id);
+}
+
+/**
+ * Remove the oldest finished jobs once the store exceeds its limit
+ */
+function pruneJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => FINISHED_STATUSES.includes(job.status))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  while (jobs.size > JOB_SETTINGS.maxStoredJobs && finished.length > 0) {
+    const job = finished.shift();
+    jobs.delete(job.id);
+    writeChains.delete(job.id);
+    urlStatuses.delete(job.id);
+    removeJobFiles(job.id).catch(() => {});
+  }
+}
+
+/**
+ * Queue a job and start it as soon as a slot is free
+ * @param {Object} job - Job to run
+ */
+function enqueueJob(job) {
+  if (!runners[job.type]) {
+    throw new Error(`No runner registered for job type "${job.type}"`);
+  }
+  queue.push(job.id);
+  processQueue();
+}
+
+/**
+ * Start queued jobs while below the concurrency limit
+ */
+function processQueue() {
+  while (activeJobs < JOB_SETTINGS.maxConcurrentJobs && queue.length > 0) {
+    const job = jobs.get(queue.shift());
+    if (!job || job.status !== 'queued') continue;
+
+    activeJobs++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    saveJob(job);
+    emitJobEvent(job, 'job-status', { status: job.status, cancelRequested: job.cancelRequested });
+    logger.info(`Starting ${job.type} job ${job.id}`);
+
+    const { run, activity } = runners[job.type];
+    run(job)
+      .catch(error => {
+        logger.error(`Job ${job.id} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        job.message = `An error occurred during ${activity}`;
+        job.currentUrl = null;
+        job.activeUrls = [];
+        job.finishedAt = new Date().toISOString();
+        emitJobEvent(job, 'run-complete', {
+          status: job.status,
+          message: job.message,
+          error: job.error
+        });
+        return saveJob(job);
+      })
+      .finally(() => {
+        activeJobs--;
+        processQueue();
+      });
+  }
+}
+
+/**
+ * Wait while a job is paused. Returns early when cancellation is requested.
+ * @param {Object} job - Running job
+ */
+async function waitWhilePaused(job) {
+  while (job.status === 'paused' && !job.cancelRequested) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+}
+
+/**
+ * Pause a running job. URLs already being scraped finish; no new URL starts
+ * until the job is resumed.
+ * @param {Object} job - Job to pause
+ * @returns {boolean} True if the job was paused
+ */
+function pauseJob(job) {
+  if (job.status !== 'running') return false;
+  job.status = 'paused';
+  saveJob(job);
+  emitJobEvent(job, 'job-status', { status: job.status, cancelRequested: job.cancelRequested });
+  logger.info(`Paused job ${job.id}`);
+  return true;
+}
+
+/**
+ * Resume a paused job
+ * @param {Object} job - Job to resume
+ * @returns {boolean} True if the job was resumed
+ */
+function resumeJob(job) {
+  if (job.status !== 'paused') return false;
+  job.status = 'running';
+  saveJob(job);
+  emitJobEvent(job, 'job-status', { status: job.status, cancelRequested: job.cancelRequested });
+  logger.info(`Resumed job ${job.id}`);
+  return true;
+}
+
+/**
+ * Cancel a job. Queued jobs are cancelled right away; running and paused
+ * jobs stop after the URLs in progress and still write their partial output.
+ * @param {Object} job - Job to cancel
+ * @returns {boolean} True if cancellation was accepted
+ */
+function cancelJob(job) {
+  if (job.status === 'queued') {
+    const position = queue.indexOf(job.id);
+    if (position !== -1) queue.splice(position, 1);
+    job.status = 'cancelled';
+    job.message = 'Scraping cancelled by user';
+    job.finishedAt = new Date().toISOString();
+    emitJobEvent(job, 'run-complete', { status: job.status, message: job.message });
+  } else if (job.status === 'running' || job.status === 'paused') {
+    job.cancelRequested = true;
+    emitJobEvent(job, 'job-status', { status: job.status, cancelRequested: true });
+  } else {
+    return false;
+  }
+  saveJob(job);
+  logger.info(`Cancellation requested for job ${job.id}`);
+  return true;
+}
+
+/**
+ * Queue a finished scrape job again for a subset of its URLs. Results of the
+ * other URLs are kept, so the new outcomes are merged into the same job and
+ * files. The URLs are marked pending in the checkpoint, which is what the
+ * scrape picks its URLs by.
+ * @param {Object} job - Finished job
+ * @param {Array<number>} indexes - URL indexes to scrape again
+ * @returns {Promise<boolean>} True if the job was queued
+ */
+async function requeueJob(job, indexes) {
+  if (!FINISHED_STATUSES.includes(job.status) || indexes.length === 0) return false;
+
+  await loadUrlStatuses(job);
+  await setUrlStatuses(job, indexes.map(index => ({ index, status: 'pending' })));
+  const requeued = new Set(indexes);
+  job.completedUrls = job.completedUrls.filter(completed => !requeued.has(completed.index));
+  job.resumeCount = (job.resumeCount || 0) + 1;
+  job.status = 'queued';
+  job.cancelRequested = false;
+  job.finishedAt = null;
+  job.error = null;
+  job.message = `Resuming ${indexes.length} URL(s) from checkpoint`;
+  logger.info(`Re-queued job ${job.id} for ${indexes.length} URL(s)`);
+  enqueueJob(job);
+  saveJob(job);
+  return true;
+}
+
+/**
+ * Load persisted jobs from disk. Jobs that were running or paused when the
+ * backend stopped are marked interrupted; queued jobs are queued again.
+ * @returns {Promise<number>} Number of jobs loaded
+ */
+async function loadJobs() {
+  await fs.ensureDir(jobsDir);
+  const files = (await fs.readdir(jobsDir)).filter(file => file.endsWith('.json'));
+
+  for (const file of files) {
+    try {
+      const job = await fs.readJson(path.join(jobsDir, file));
+      if (job.status === 'running' || job.status === 'paused') {
+        // The checkpoint may be ahead of the last saved counts
+        await loadUrlStatuses(job);
+        job.status = 'interrupted';
+        job.currentUrl = null;
+        job.activeUrls = [];
+        job.message = 'Backend restarted while the job was running';
+        job.finishedAt = new Date().toISOString();
+        saveJob(job);
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      logger.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+    }
+  }
+
+  Array.from(jobs.values())
+    .filter(job => job.status === 'queued' && runners[job.type])
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .forEach(enqueueJob);
+
+  return jobs.size;
+}
+
+module.exports = {
+  registerJobRunner,
+  waitWhilePaused,
+  createJob,
+  getJob,
+  removeJob,
+  listJobs,
+  emitJobEvent,
+  subscribeToJob,
+  summarizeJob,
+  saveJob,
+  writeJobInput,
+  readJobInput,
+  loadUrlStatuses,
+  recordUrlStatus,
+  URL_STATUS_CODES,
+  enqueueJob,
+  requeueJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  loadJobs
+};
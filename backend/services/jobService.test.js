@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Keep the jobs of these tests out of output/jobs
+jest.mock('../config/constants', () => {
+  const actual = jest.requireActual('../config/constants');
+  const mockPath = require('path');
+  const jobsDir = mockPath.join(require('os').tmpdir(), `job-service-test-${process.pid}`);
+  return {
+    ...actual,
+    DIRECTORIES: { ...actual.DIRECTORIES, jobs: mockPath.relative(mockPath.join(__dirname, '..'), jobsDir) }
+  };
+});
+
+const { DIRECTORIES } = require('../config/constants');
+const jobService = require('./jobService');
+
+const jobsDir = path.join(__dirname, '..', DIRECTORIES.jobs);
+
+/**
+ * Create a finished scrape job with URLs in its input file
+ * @param {number} count - Number of URLs
+ * @returns {Promise<Object>} Job
+ */
+async function createScrapeJob(count) {
+  const job = jobService.createJob('scrape', { options: {} });
+  const entries = Array.from({ length: count }, (_, i) => ({ url: `https://site-${i}.example.com/`, row: { Website: `site-${i}.example.com` } }));
+  job.totalUrls = await jobService.writeJobInput(job, entries);
+  job.status = 'completed';
+  job.finishedAt = new Date().toISOString();
+  await jobService.saveJob(job);
+  return job;
+}
+
+/**
+ * Write checkpoint lines for a job, as a run that stopped would have left them
+ * @param {Object} job - Job
+ * @param {string} content - Checkpoint file content
+ * @returns {Promise} Resolves when written
+ */
+function writeCheckpoint(job, content) {
+  return fs.writeFile(path.join(jobsDir, `${job.id}.checkpoint.jsonl`), content);
+}
+
+describe('jobService resume', () => {
+  beforeAll(async () => {
+    await jobService.loadJobs();
+  });
+
+  afterAll(async () => {
+    await fs.remove(jobsDir);
+  });
+
+  it('reads the input back in order with its rows', async () => {
+    const job = await createScrapeJob(3);
+
+    const entries = [];
+    for await (const entry of jobService.readJobInput(job)) entries.push(entry);
+
+    expect(entries.map(entry => entry.index)).toEqual([0, 1, 2]);
+    expect(entries[2]).toEqual({ index: 2, url: 'https://site-2.example.com/', row: { Website: 'site-2.example.com' } });
+    expect(job.input).toEqual({ columns: ['Website'] });
+  });
+
+  it('rebuilds URL statuses and counts from the checkpoint, the latest line winning', async () => {
+    const job = await createScrapeJob(5);
+    await writeCheckpoint(job, [
+      { index: 0, status: 'error' },
+      { index: 0, status: 'success' },
+      { index: 1, status: 'skipped' },
+      { index: 2, status: 'error', critical: true },
+      { index: 9, status: 'success' }
+    ].map(line => JSON.stringify(line)).join('\n') + '\n{"index":3,"sta');
+
+    const statuses = await jobService.loadUrlStatuses(job);
+
+    const { success, skipped, critical, pending } = jobService.URL_STATUS_CODES;
+    expect(Array.from(statuses)).toEqual([success, skipped, critical, pending, pending]);
+    expect(job.urlCounts).toEqual({ success: 1, error: 1, skipped: 1 });
+    expect(job.processedUrls).toBe(3);
+  });
+
+  it('appends recorded outcomes to the checkpoint and keeps the counts in step', async () => {
+    const job = await createScrapeJob(2);
+    await jobService.loadUrlStatuses(job);
+
+    await jobService.recordUrlStatus(job, { index: 1, status: 'error' });
+    await jobService.recordUrlStatus(job, { index: 1, status: 'success' });
+
+    expect(job.urlCounts).toEqual({ success: 1, error: 0, skipped: 0 });
+    const lines = (await fs.readFile(path.join(jobsDir, `${job.id}.checkpoint.jsonl`), 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line).status)).toEqual(['error', 'success']);
+  });
+
+  it('marks jobs that were running at a restart as interrupted, with the checkpointed counts', async () => {
+    const job = await createScrapeJob(3);
+    job.status = 'running';
+    job.finishedAt = null;
+    await jobService.saveJob(job);
+    await writeCheckpoint(job, '{"index":0,"status":"success"}\n{"index":1,"status":"error"}\n');
+
+    let restarted;
+    jest.isolateModules(() => {
+      restarted = require('./jobService');
+    });
+    await restarted.loadJobs();
+
+    const loaded = restarted.getJob(job.id);
+    expect(loaded.status).toBe('interrupted');
+    expect(loaded.urlCounts).toEqual({ success: 1, error: 1, skipped: 0 });
+    expect(loaded.processedUrls).toBe(2);
+  });
+
+  it('re-queues a finished job for some URLs and runs it with those URLs pending', async () => {
+    const job = await createScrapeJob(3);
+    await writeCheckpoint(job, [0, 1, 2].map(index => JSON.stringify({ index, status: index === 1 ? 'error' : 'success' })).join('\n') + '\n');
+    await jobService.loadUrlStatuses(job);
+    job.completedUrls = [0, 1, 2].map(index => ({ index, url: `https://site-${index}.example.com/` }));
+
+    const ran = new Promise(resolve => {
+      jobService.registerJobRunner('scrape', async runningJob => {
+        const statuses = await jobService.loadUrlStatuses(runningJob);
+        resolve({ status: runningJob.status, statuses: Array.from(statuses) });
+        runningJob.status = 'completed';
+      });
+    });
+
+    expect(await jobService.requeueJob(job, [1])).toBe(true);
+    expect(job.resumeCount).toBe(1);
+    expect(job.completedUrls.map(completed => completed.index)).toEqual([0, 2]);
+    expect(job.urlCounts).toEqual({ success: 2, error: 0, skipped: 0 });
+
+    const { success, pending } = jobService.URL_STATUS_CODES;
+    expect(await ran).toEqual({ status: 'running', statuses: [success, pending, success] });
+  });
+
+  it('fails a job whose runner throws, naming what the job was doing', async () => {
+    const job = jobService.createJob('verify', { totalEmails: 0 });
+    jobService.registerJobRunner('verify', async () => {
+      throw new Error('disk full');
+    }, 'verification');
+
+    const finished = new Promise(resolve => jobService.subscribeToJob(job.id, event => {
+      if (event.type === 'run-complete') resolve();
+    }));
+    jobService.enqueueJob(job);
+    await finished;
+
+    expect(job.status).toBe('failed');
+    expect(job.message).toBe('An error occurred during verification');
+    expect(job.error).toBe('disk full');
+  });
+
+  it('does not re-queue jobs that have not finished or without URLs', async () => {
+    const job = await createScrapeJob(1);
+
+    expect(await jobService.requeueJob(job, [])).toBe(false);
+    job.status = 'running';
+    expect(await jobService.requeueJob(job, [0])).toBe(false);
+  });
+});
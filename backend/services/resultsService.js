@@ -0,0 +1,401 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getJob, listJobs } = require('./jobService');
+const { readResultFile, readResults } = require('../utils/outputUtils');
+const { logger } = require('../utils/logger');
+const { DIRECTORIES, RESULTS_SETTINGS, JOB_SETTINGS } = require('../config/constants');
+
+const outputDir = path.join(__dirname, '..', DIRECTORIES.output);
+
+// Output files written by finalizeResultFiles and writeVerificationFiles; a
+// run is the JSON/JSONL/CSV/XLSX set sharing a name, which also serves as its
+// ID. A scrape that is still running only has its JSONL and CSV files, a
+// verification only its JSONL file.
+const runFilePattern = /^((scraping|verification)-results-\d{4}-\d{2}-\d{2}T[\d-]+Z)\.(json|jsonl|csv|xlsx)$/;
+const runIdPattern = /^(scraping|verification)-results-\d{4}-\d{2}-\d{2}T[\d-]+Z$/;
+const runTypes = { scraping: 'scrape', verification: 'verify' };
+
+// Job statuses during which a run's files are still being written
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+// Summaries of JSON/JSONL files by run ID, reused while the file is unchanged
+const summaryCache = new Map();
+
+/**
+ * Check whether a string is a well-formed run ID (and so safe to use in a path)
+ * @param {string} id - Run ID
+ * @returns {boolean} True if valid
+ */
+function isRunId(id) {
+  return runIdPattern.test(String(id || ''));
+}
+
+/**
+ * Get the time a run was started from the timestamp in its ID
+ * @param {string} id - Run ID (e.g. scraping-results-2024-05-01T10-20-30-123Z)
+ * @returns {string} ISO date
+ */
+function getRunDate(id) {
+  const stamp = id.replace(/^\w+-results-/, '').replace(/T(\d{2})-(\d{2})-(\d{2})-(\d+)Z$/, 'T$1:$2:$3.$4Z');
+  const date = new Date(stamp);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Find the saved runs in the output directory, newest first
+ * @returns {Promise<Array<Object>>} Runs ({ id, type, createdAt, files })
+ */
+async function findRuns() {
+  await fs.ensureDir(outputDir);
+  const runs = new Map();
+  (await fs.readdir(outputDir)).forEach(file => {
+    const match = runFilePattern.exec(file);
+    if (!match) return;
+    const [, id, kind, format] = match;
+    if (!runs.has(id)) {
+      runs.set(id, { id, type: runTypes[kind], createdAt: getRunDate(id), files: {} });
+    }
+    runs.get(id).files[format] = file;
+  });
+  return Array.from(runs.values()).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Create empty scrape run statistics
+ * @param {number} totalUrls - URLs of the run
+ * @returns {Object} Statistics with every count at zero
+ */
+function createScrapeStatistics(totalUrls) {
+  return {
+    totalUrls,
+    successfulUrls: 0,
+    errorUrls: 0,
+    skippedUrls: 0,
+    emailsFound: 0,
+    websitesWithSocialLinks: 0
+  };
+}
+
+/**
+ * Add a scraping result to a run's statistics
+ * @param {Object} statistics - Scrape run statistics, updated in place
+ * @param {Set<string>} emails - Lower-cased emails found so far, updated in place
+ * @param {Object} result - Scraping result
+ */
+function countScrapeResult(statistics, emails, result) {
+  if (result.skipped) statistics.skippedUrls++;
+  else if (result.error) statistics.errorUrls++;
+  else statistics.successfulUrls++;
+  (result.emails || []).forEach(email => emails.add(email.toLowerCase()));
+  if (Object.values(result.socialLinks || {}).some(Boolean)) statistics.websitesWithSocialLinks++;
+}
+
+/**
+ * Create empty verification run statistics
+ * @param {number} totalEmails - Emails of the run
+ * @returns {Object} Statistics with every count at zero
+ */
+function createVerifyStatistics(totalEmails) {
+  return {
+    totalEmails,
+    deliverable: 0,
+    risky: 0,
+    undeliverable: 0,
+    invalid: 0,
+    unknown: 0
+  };
+}
+
+/**
+ * Add a verification result to a run's statistics; errors and skipped
+ * emails count as unknown
+ * @param {Object} statistics - Verification run statistics, updated in place
+ * @param {Object} result - Verification result
+ */
+function countVerifyResult(statistics, result) {
+  if (['deliverable', 'risky', 'undeliverable', 'invalid'].includes(result.status)) statistics[result.status]++;
+  else statistics.unknown++;
+}
+
+/**
+ * Count the outcomes of a run's results
+ * @param {string} type - Run type ('scrape' or 'verify')
+ * @param {Object} data - Content of the run's JSON file
+ * @returns {Object} Statistics
+ */
+function summarizeResults(type, data) {
+  const results = (data.results || []).filter(Boolean);
+
+  if (type === 'verify') {
+    const statistics = createVerifyStatistics(data.totalEmails || results.length);
+    results.forEach(result => countVerifyResult(statistics, result));
+    return statistics;
+  }
+
+  const statistics = createScrapeStatistics(data.totalUrls || results.length);
+  const emails = new Set();
+  results.forEach(result => countScrapeResult(statistics, emails, result));
+  statistics.emailsFound = emails.size;
+  return statistics;
+}
+
+/**
+ * Count the outcomes of a run from its JSONL file, reading one result at a
+ * time. The file has no header, so the job that writes it is looked up for
+ * the run's ID and size.
+ * @param {string} type - Run type ('scrape' or 'verify')
+ * @param {string} fileName - JSONL file name
+ * @returns {Promise<Object>} Job ID (null once the job is pruned) and statistics ({ jobId, statistics })
+ */
+async function summarizeResultFile(type, fileName) {
+  const job = listJobs().find(candidate => candidate.files && candidate.files.jsonl === fileName);
+
+  if (type === 'verify') {
+    const statistics = createVerifyStatistics(job ? job.totalEmails : 0);
+    let count = 0;
+    for await (const result of readResultFile(fileName)) {
+      countVerifyResult(statistics, result);
+      count++;
+    }
+    if (!job) statistics.totalEmails = count;
+    return { jobId: job ? job.id : null, statistics };
+  }
+
+  const statistics = createScrapeStatistics(0);
+  const emails = new Set();
+  for await (const result of readResultFile(fileName)) {
+    countScrapeResult(statistics, emails, result);
+  }
+  statistics.emailsFound = emails.size;
+  statistics.totalUrls = job ? job.totalUrls : statistics.successfulUrls + statistics.errorUrls + statistics.skippedUrls;
+  return { jobId: job ? job.id : null, statistics };
+}
+
+/**
+ * Add file sizes, run metadata and statistics to a run. Statistics come from
+ * the JSONL file of the run (streamed, as it may hold many thousands of
+ * results) or the JSON file of older runs, and are cached until the file changes.
+ * @param {Object} run - Run found by findRuns
+ * @returns {Promise<Object>} Run summary
+ */
+async function describeRun(run) {
+  const summary = { ...run, updatedAt: null, size: 0, jobId: null, statistics: null, job: null };
+  const source = run.files.jsonl || run.files.json;
+
+  for (const file of Object.values(run.files)) {
+    try {
+      const stats = await fs.stat(path.join(outputDir, file));
+      summary.size += stats.size;
+      if (file === source) summary.updatedAt = stats.mtime.toISOString();
+    } catch (_) {
+      // Deleted since the directory was read
+    }
+  }
+
+  if (source && summary.updatedAt) {
+    const cached = summaryCache.get(run.id);
+    if (cached && cached.updatedAt === summary.updatedAt) {
+      Object.assign(summary, cached.details);
+    } else {
+      try {
+        let details;
+        if (source === run.files.jsonl) {
+          details = await summarizeResultFile(run.type, source);
+        } else {
+          const data = await fs.readJson(path.join(outputDir, source));
+          details = { jobId: data.jobId || null, statistics: summarizeResults(run.type, data) };
+        }
+        summaryCache.set(run.id, { updatedAt: summary.updatedAt, details });
+        Object.assign(summary, details);
+      } catch (error) {
+        logger.warn(`Could not read ${source}: ${error.message}`);
+      }
+    }
+  }
+
+  // Jobs are pruned separately, so older runs may have lost theirs
+  const job = summary.jobId && getJob(summary.jobId);
+  if (job) {
+    summary.job = {
+      status: job.status,
+      options: job.options,
+      source: job.source || null,
+      duration: job.duration,
+      message: job.message
+    };
+  }
+  return summary;
+}
+
+/**
+ * List saved runs, newest first
+ * @param {Object} query - Listing options
+ * @param {string} [query.type] - Only runs of this type ('scrape' or 'verify')
+ * @param {number} [query.page] - Page number, starting at 1
+ * @param {number} [query.pageSize] - Runs per page
+ * @returns {Promise<Object>} Page of run summaries ({ runs, total, page, pageSize, totalPages })
+ */
+async function listRuns({ type, page = 1, pageSize = RESULTS_SETTINGS.defaultPageSize } = {}) {
+  const runs = (await findRuns()).filter(run => !type || run.type === type);
+  const size = Math.min(Math.max(1, pageSize), RESULTS_SETTINGS.maxPageSize);
+  const totalPages = Math.max(1, Math.ceil(runs.length / size));
+  const current = Math.min(Math.max(1, page), totalPages);
+
+  return {
+    runs: await Promise.all(runs.slice((current - 1) * size, current * size).map(describeRun)),
+    total: runs.length,
+    page: current,
+    pageSize: size,
+    totalPages
+  };
+}
+
+/**
+ * Find a saved run by ID
+ * @param {string} id - Run ID
+ * @returns {Promise<Object|null>} Run ({ id, type, createdAt, files }), or null if unknown
+ */
+async function findRun(id) {
+  if (!isRunId(id)) return null;
+  return (await findRuns()).find(run => run.id === id) || null;
+}
+
+/**
+ * Load a saved run with its results. Runs with a JSONL file return a
+ * page of it (resultsTotal tells how many there are); older runs return
+ * every result of their JSON file.
+ * @param {string} id - Run ID
+ * @param {Object} [page] - Page of results to return
+ * @param {number} [page.offset] - Results to skip
+ * @param {number} [page.limit] - Most results to return (at most JOB_SETTINGS.maxResultsPage)
+ * @returns {Promise<Object|null>} Run summary with its results, or null if
+ * the run is unknown or has no JSON or JSONL file
+ */
+async function getRun(id, { offset = 0, limit = JOB_SETTINGS.maxResultsPage } = {}) {
+  const run = await findRun(id);
+  if (!run || !(run.files.jsonl || run.files.json)) return null;
+
+  if (run.files.jsonl) {
+    const { results, total } = await readResults(run.files.jsonl, {
+      offset,
+      limit: Math.min(limit, JOB_SETTINGS.maxResultsPage)
+    });
+    return {
+      ...(await describeRun(run)),
+      results,
+      resultsOffset: offset,
+      resultsTotal: total
+    };
+  }
+
+  const data = await fs.readJson(path.join(outputDir, run.files.json));
+  const results = (data.results || []).filter(Boolean);
+  return {
+    ...(await describeRun(run)),
+    results,
+    resultsOffset: 0,
+    resultsTotal: results.length
+  };
+}
+
+/**
+ * Get the absolute path of one of a run's files
+ * @param {string} id - Run ID
+ * @param {string} format - 'json', 'jsonl', 'csv' or 'xlsx'
+ * @returns {Promise<string|null>} File path, or null if the run has no such file
+ */
+async function getRunFilePath(id, format) {
+  const run = await findRun(id);
+  return run && run.files[format] ? path.join(outputDir, run.files[format]) : null;
+}
+
+/**
+ * Find the job that is still writing a run's files: a queued, running or
+ * paused job (a queued one may be a resumed job) whose files include them
+ * @param {Object} run - Run ({ id, type, createdAt, files })
+ * @returns {Object|null} Job, or null when no active job writes the run
+ */
+function findActiveJob(run) {
+  const files = Object.values(run.files);
+  const owner = listJobs().find(job => job.files && Object.values(job.files).some(file => files.includes(file)));
+  const job = owner && getJob(owner.id);
+  return job && ACTIVE_JOB_STATUSES.includes(job.status) ? job : null;
+}
+
+/**
+ * Get the job that is still writing a saved run's files
+ * @param {string} id - Run ID
+ * @returns {Promise<Object|null>} Queued, running or paused job, or null
+ */
+async function getActiveRunJob(id) {
+  const run = await findRun(id);
+  return run ? findActiveJob(run) : null;
+}
+
+/**
+ * Delete the files of a run. Runs of a queued, running or paused job are
+ * left alone.
+ * @param {string} id - Run ID
+ * @returns {Promise<boolean>} True if the run existed and was deleted
+ */
+async function deleteRun(id) {
+  const run = await findRun(id);
+  if (!run || findActiveJob(run)) return false;
+
+  await Promise.all(Object.values(run.files).map(file => fs.remove(path.join(outputDir, file))));
+  summaryCache.delete(id);
+  logger.info(`Deleted saved run ${id}`);
+  return true;
+}
+
+/**
+ * Delete runs started before a date, and the oldest runs beyond a count.
+ * Runs of a queued, running or paused job are skipped.
+ * @param {Object} limits - What to keep
+ * @param {Date} [limits.before] - Delete runs started before this date
+ * @param {number} [limits.keep] - Keep at most this many runs
+ * @returns {Promise<number>} Number of runs deleted
+ */
+async function deleteRuns({ before, keep } = {}) {
+  const runs = await findRuns();
+  const expired = runs.filter((run, index) => (
+    (before && run.createdAt && new Date(run.createdAt) < before) || (keep > 0 && index >= keep)
+  ));
+
+  let deleted = 0;
+  for (const run of expired) {
+    if (await deleteRun(run.id)) deleted++;
+  }
+  if (deleted < expired.length) {
+    logger.info(`Kept ${expired.length - deleted} expired run(s) whose job is still active`);
+  }
+  return deleted;
+}
+
+/**
+ * Apply the configured retention (RESULTS_SETTINGS.retentionDays and maxStoredRuns)
+ * @returns {Promise<number>} Number of runs deleted
+ */
+async function pruneRuns() {
+  const { retentionDays, maxStoredRuns } = RESULTS_SETTINGS;
+  if (!retentionDays && !maxStoredRuns) return 0;
+
+  const deleted = await deleteRuns({
+    before: retentionDays ? new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000) : null,
+    keep: maxStoredRuns
+  });
+  if (deleted > 0) logger.info(`🧹 Retention removed ${deleted} saved run(s)`);
+  return deleted;
+}
+
+module.exports = {
+  isRunId,
+  summarizeResults,
+  listRuns,
+  getRun,
+  getRunFilePath,
+  getActiveRunJob,
+  deleteRun,
+  deleteRuns,
+  pruneRuns
+};
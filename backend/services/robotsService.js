@@ -0,0 +1,246 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { ROBOTS_SETTINGS } = require('../config/constants');
+
+// Parsed robots.txt per origin; entries hold the fetch promise so concurrent
+// crawls of the same site share one request. The Map is kept in least
+// recently used order and bounded by ROBOTS_SETTINGS.maxCachedOrigins.
+const robotsCache = new Map();
+
+/**
+ * Drop expired robots rules and the least recently used ones beyond
+ * ROBOTS_SETTINGS.maxCachedOrigins
+ */
+function pruneRobotsCache() {
+  const now = Date.now();
+  robotsCache.forEach((entry, origin) => {
+    if (now - entry.fetchedAt >= ROBOTS_SETTINGS.cacheTtl) robotsCache.delete(origin);
+  });
+  while (robotsCache.size > ROBOTS_SETTINGS.maxCachedOrigins) {
+    robotsCache.delete(robotsCache.keys().next().value);
+  }
+}
+
+/**
+ * Parse a robots.txt file into user-agent groups
+ * @param {string} text - robots.txt content
+ * @returns {Object} Parsed file ({ groups: [{ agents, rules, crawlDelay }], sitemaps })
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastLineWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (!line || separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastLineWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastLineWasAgent = true;
+      return;
+    }
+    lastLineWasAgent = false;
+
+    if (key === 'sitemap') {
+      sitemaps.push(value);
+    } else if (!current) {
+      return;
+    } else if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) {
+        current.rules.push({ allow: key === 'allow', path: value });
+      }
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Pick the rules that apply to our user agent: all groups naming our token,
+ * or the `*` groups when none do
+ * @param {Object} parsed - Result of parseRobotsTxt
+ * @param {string} userAgent - Our robots product token
+ * @returns {Object} Applicable rules ({ rules, crawlDelay, sitemaps })
+ */
+function selectRules(parsed, userAgent) {
+  const token = userAgent.toLowerCase();
+  let groups = parsed.groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  if (groups.length === 0) {
+    groups = parsed.groups.filter(group => group.agents.includes('*'));
+  }
+
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps: parsed.sitemaps
+  };
+}
+
+/**
+ * Check whether a robots.txt path pattern matches a path. Supports the `*`
+ * wildcard and a trailing `$` anchor.
+ * @param {string} pattern - Allow/Disallow path pattern
+ * @param {string} path - URL path with query string
+ * @returns {boolean} True if the pattern matches
+ */
+function pathMatches(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Check a URL against robots rules. The longest matching pattern wins;
+ * Allow wins a tie.
+ * @param {Object} robots - Applicable rules from getRobotsRules
+ * @param {string} url - Absolute URL
+ * @returns {boolean} True if the URL may be crawled
+ */
+function isAllowedByRobots(robots, url) {
+  const { pathname, search } = new URL(url);
+  const path = `${pathname}${search}`;
+  if (pathname === '/robots.txt') return true;
+
+  let best = null;
+  robots.rules.forEach(rule => {
+    if (!pathMatches(rule.path, path)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return !best || best.allow;
+}
+
+/**
+ * Download and parse the robots.txt of an origin. A missing file (4xx)
+ * allows everything; server errors and timeouts disallow everything, as
+ * RFC 9309 requires. Hosts that do not resolve or refuse connections are
+ * let through so the page visit reports the real network error.
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @returns {Object} Applicable rules ({ rules, crawlDelay, sitemaps })
+ */
+async function fetchRobotsRules(origin) {
+  const allowAll = { rules: [], crawlDelay: null, sitemaps: [] };
+  const disallowAll = { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [] };
+
+  try {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: ROBOTS_SETTINGS.fetchTimeout,
+      maxRedirects: 5,
+      maxContentLength: ROBOTS_SETTINGS.maxSize,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: { 'User-Agent': ROBOTS_SETTINGS.userAgent }
+    });
+
+    if (response.status >= 500) {
+      logger.warn(`robots.txt of ${origin} returned ${response.status}, treating the site as disallowed`);
+      return disallowAll;
+    }
+    if (response.status >= 400) {
+      return allowAll;
+    }
+
+    return selectRules(parseRobotsTxt(response.data), ROBOTS_SETTINGS.userAgent);
+  } catch (error) {
+    if (['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED'].includes(error.code)) {
+      return allowAll;
+    }
+    logger.warn(`Could not fetch robots.txt of ${origin} (${error.message}), treating the site as disallowed`);
+    return disallowAll;
+  }
+}
+
+/**
+ * Get the robots rules for a URL's origin, cached for ROBOTS_SETTINGS.cacheTtl
+ * @param {string} url - Any URL on the site
+ * @returns {Object} Applicable rules ({ rules, crawlDelay, sitemaps })
+ */
+async function getRobotsRules(url) {
+  const { origin } = new URL(url);
+  let entry = robotsCache.get(origin);
+  if (entry && Date.now() - entry.fetchedAt < ROBOTS_SETTINGS.cacheTtl) {
+    // Re-inserting marks the origin as recently used
+    robotsCache.delete(origin);
+  } else {
+    entry = { fetchedAt: Date.now(), rules: fetchRobotsRules(origin) };
+  }
+  robotsCache.set(origin, entry);
+  pruneRobotsCache();
+  return entry.rules;
+}
+
+/**
+ * Create a per-crawl robots guard. `check(url)` resolves to false for pages
+ * robots.txt disallows, and otherwise waits out the origin's Crawl-delay
+ * since the previous page before resolving to true. Crawl delays above
+ * ROBOTS_SETTINGS.maxCrawlDelay only allow the first page of the origin.
+ * `checkRedirect(url)` checks the page a request ended on after a redirect
+ * to another origin; it was fetched already, so it only counts as a visit.
+ * @param {Map} [lastVisit] - Last fetch time per origin. Pass one map to the
+ * guards of several crawls (e.g. the URLs of a job) to keep the Crawl-delay
+ * between them; only origins with a Crawl-delay are recorded.
+ * @returns {Object} Guard with check(url) and checkRedirect(url)
+ */
+function createRobotsGuard(lastVisit = new Map()) {
+  return {
+    async checkRedirect(url) {
+      const robots = await getRobotsRules(url);
+      if (robots.crawlDelay) lastVisit.set(new URL(url).origin, Date.now());
+      return isAllowedByRobots(robots, url);
+    },
+
+    async check(url) {
+      const robots = await getRobotsRules(url);
+      const { origin } = new URL(url);
+
+      if (!isAllowedByRobots(robots, url)) {
+        return false;
+      }
+
+      const previous = lastVisit.get(origin);
+      if (robots.crawlDelay && previous !== undefined) {
+        if (robots.crawlDelay > ROBOTS_SETTINGS.maxCrawlDelay) {
+          logger.info(`Crawl-delay of ${robots.crawlDelay}s on ${origin} exceeds ${ROBOTS_SETTINGS.maxCrawlDelay}s, skipping ${url}`);
+          return false;
+        }
+        const wait = previous + robots.crawlDelay * 1000 - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+      }
+
+      if (robots.crawlDelay) lastVisit.set(origin, Date.now());
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  parseRobotsTxt,
+  isAllowedByRobots,
+  getRobotsRules,
+  createRobotsGuard
+};
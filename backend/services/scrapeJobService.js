@@ -0,0 +1,503 @@
+const { scrapePage, launchBrowser, createPagePool } = require('./scrapingService');
+const { isCriticalError, shouldBreakScraping, updateErrorStats } = require('./errorHandlingService');
+const {
+  saveJob,
+  emitJobEvent,
+  waitWhilePaused,
+  readJobInput,
+  loadUrlStatuses,
+  recordUrlStatus,
+  URL_STATUS_CODES
+} = require('./jobService');
+const { getResultFileNames, openResultWriter, finalizeResultFiles } = require('../utils/outputUtils');
+const { normalizeUrl } = require('../utils/urlUtils');
+const { logger } = require('../utils/logger');
+const { SCRAPING_DEFAULTS, JOB_SETTINGS } = require('../config/constants');
+
+/**
+ * Build an empty result for a URL that was not scraped
+ * @param {Object} entry - URL of the job's input ({ index, url, row })
+ * @param {string} reason - Why the URL was skipped
+ * @returns {Object} Skipped result
+ */
+function buildSkippedResult(entry, reason) {
+  const skippedResult = {
+    website: entry.url,
+    emails: [],
+    socialLinks: {},
+    phoneNumbers: [],
+    addresses: [],
+    error: reason,
+    skipped: true
+  };
+
+  if (entry.row) {
+    skippedResult.originalData = entry.row;
+  }
+
+  return skippedResult;
+}
+
+/**
+ * Get the host a URL is politeness-limited by
+ * @param {string} url - URL (with or without protocol)
+ * @returns {string} Lower-cased host without "www."
+ */
+function getHostKey(url) {
+  try {
+    return new URL(normalizeUrl(url)).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return String(url).toLowerCase();
+  }
+}
+
+/**
+ * Read the URLs of a job's input that have no outcome yet
+ * @param {Object} job - Scrape job
+ * @param {Uint8Array} statuses - Per-URL status codes of the job
+ * @returns {AsyncGenerator<Object>} Pending URLs in input order ({ index, url, row })
+ */
+async function* readPendingInput(job, statuses) {
+  for await (const entry of readJobInput(job)) {
+    if (statuses[entry.index] === URL_STATUS_CODES.pending) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * Create a scheduler that hands out URLs in input order while never giving
+ * out two URLs of the same host at once. Only a window of the input
+ * (JOB_SETTINGS.inputWindow URLs) is read ahead, so lists of any length are
+ * scheduled in bounded memory. `lastVisits` holds the last fetch time per
+ * origin for the job's robots guards, so a site's Crawl-delay also holds
+ * between two of its URLs, not only between the pages of one URL.
+ * @param {AsyncIterable<Object>} entries - URLs to schedule ({ index, url, row })
+ * @returns {Object} Scheduler with next(), done(entry), stop(), close() and lastVisits
+ */
+function createUrlScheduler(entries) {
+  const iterator = entries[Symbol.asyncIterator]();
+  const lastVisits = new Map();
+  const window = [];
+  const activeHosts = new Set();
+  let exhausted = false;
+  let filling = null;
+  let waiters = [];
+  let stopped = false;
+
+  const wakeAll = () => {
+    const current = waiters;
+    waiters = [];
+    current.forEach(resolve => resolve());
+  };
+
+  // Workers share one read of the input at a time
+  const fill = () => {
+    if (!filling) {
+      filling = (async () => {
+        while (!exhausted && !stopped && window.length < JOB_SETTINGS.inputWindow) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            exhausted = true;
+          } else {
+            window.push({ ...value, host: getHostKey(value.url) });
+          }
+        }
+      })().finally(() => {
+        filling = null;
+      });
+    }
+    return filling;
+  };
+
+  return {
+    lastVisits,
+
+    // Resolves with the next URL to scrape, or null when nothing is left
+    async next() {
+      while (!stopped) {
+        if (!exhausted && window.length < JOB_SETTINGS.inputWindow) {
+          await fill();
+          if (stopped) break;
+        }
+        const position = window.findIndex(entry => !activeHosts.has(entry.host));
+        if (position !== -1) {
+          const [entry] = window.splice(position, 1);
+          activeHosts.add(entry.host);
+          return entry;
+        }
+        if (exhausted && window.length === 0) break;
+        // Every URL in the window belongs to a host that is being scraped right now
+        await new Promise(resolve => waiters.push(resolve));
+      }
+      return null;
+    },
+
+    done(entry) {
+      activeHosts.delete(entry.host);
+      wakeAll();
+    },
+
+    stop() {
+      stopped = true;
+      wakeAll();
+    },
+
+    // Releases the input file once the workers are finished
+    async close() {
+      await filling;
+      await iterator.return();
+    }
+  };
+}
+
+/**
+ * Store the outcome of a URL: append its result to the output files, then
+ * checkpoint it and report it to the job's subscribers
+ * @param {Object} job - Scrape job
+ * @param {Object} writer - Result writer from openResultWriter
+ * @param {Object} entry - URL of the job's input ({ index, url })
+ * @param {string} status - 'success', 'error' or 'skipped'
+ * @param {Object} result - Result for the URL
+ * @param {number} duration - Time spent on the URL in milliseconds
+ * @returns {Promise} Resolves when the outcome has been recorded
+ */
+async function recordOutcome(job, writer, entry, status, result, duration) {
+  const { index, url } = entry;
+  // Written before the checkpoint, so a URL marked done always has its result
+  await writer.write(index, result);
+  await recordUrlStatus(job, { index, status, critical: Boolean(result.isCriticalError) });
+
+  job.completedUrls.push({
+    index,
+    url,
+    status,
+    emails: result.emails,
+    error: result.error,
+    duration
+  });
+  if (job.completedUrls.length > JOB_SETTINGS.recentUrls) {
+    job.completedUrls.shift();
+  }
+  emitJobEvent(job, 'url-finished', {
+    index,
+    url,
+    status,
+    emails: result.emails,
+    error: result.error,
+    duration,
+    urlCounts: job.urlCounts
+  });
+}
+
+/**
+ * Mark every URL that has no outcome yet as skipped
+ * @param {Object} job - Scrape job
+ * @param {Object} writer - Result writer from openResultWriter
+ * @param {string} reason - Why the URLs were skipped
+ * @returns {Promise} Resolves when every skipped URL has been recorded
+ */
+async function skipRemainingUrls(job, writer, reason) {
+  const statuses = await loadUrlStatuses(job);
+  for await (const entry of readPendingInput(job, statuses)) {
+    await recordOutcome(job, writer, entry, 'skipped', buildSkippedResult(entry, reason), 0);
+  }
+}
+
+/**
+ * Calculate final run statistics
+ * @param {Object} job - Scrape job
+ * @param {Object} errorStats - Error statistics of the run
+ * @returns {Object} Statistics
+ */
+function calculateStatistics(job, errorStats) {
+  const { success: successfulUrls, error: errorUrls, skipped: skippedUrls } = job.urlCounts;
+  const processedUrls = successfulUrls + errorUrls + skippedUrls;
+
+  return {
+    totalUrls: job.totalUrls,
+    processedUrls,
+    successfulUrls,
+    errorUrls,
+    skippedUrls,
+    errorRate: processedUrls > 0 ? ((errorUrls / processedUrls) * 100).toFixed(1) + '%' : '0%',
+    consecutiveErrors: errorStats.consecutiveErrors,
+    criticalErrors: errorStats.criticalErrors
+  };
+}
+
+/**
+ * Scrape a single URL of a job and record its result
+ * @param {Object} job - Scrape job
+ * @param {Object} writer - Result writer from openResultWriter
+ * @param {Object} entry - URL of the job's input ({ index, url, row })
+ * @param {Function} getPage - Resolves to a Puppeteer page when the browser is needed
+ * @param {Object} errorStats - Error statistics of the run
+ * @param {Map} lastVisits - Last fetch time per origin, shared by the job's URLs for Crawl-delay
+ * @returns {Object} Outcome with the error message when the scrape failed
+ */
+async function scrapeJobUrl(job, writer, entry, getPage, errorStats, lastVisits) {
+  const { index, url } = entry;
+  const urlStartTime = Date.now();
+
+  let scrapeResult;
+  try {
+    scrapeResult = await scrapePage(getPage, normalizeUrl(url), job.options, {
+      onPageVisited: pageUrl => emitJobEvent(job, 'page-visited', { index, url, pageUrl }),
+      onEmailsFound: (emails, pageUrl) => emitJobEvent(job, 'email-found', { index, url, pageUrl, emails }),
+      lastVisits
+    });
+  } catch (error) {
+    logger.error(`✗ Error scraping ${url}:`, error.message);
+    updateErrorStats(errorStats, error.message, false);
+
+    const errorResult = {
+      website: url,
+      emails: [],
+      socialLinks: {},
+      phoneNumbers: [],
+      addresses: [],
+      error: error.message,
+      isCriticalError: isCriticalError(error.message)
+    };
+
+    if (entry.row) {
+      errorResult.originalData = entry.row;
+    }
+
+    await recordOutcome(job, writer, entry, 'error', errorResult, Date.now() - urlStartTime);
+
+    return { error: error.message };
+  }
+
+  const result = {
+    website: url,
+    organization: scrapeResult.organization,
+    emails: scrapeResult.emails,
+    primaryEmail: scrapeResult.primaryEmail,
+    emailDetails: scrapeResult.emailDetails,
+    socialLinks: scrapeResult.socialLinks,
+    socialProfiles: scrapeResult.socialProfiles,
+    phoneNumbers: scrapeResult.phoneNumbers,
+    phoneDetails: scrapeResult.phoneDetails,
+    addresses: scrapeResult.addresses,
+    addressDetails: scrapeResult.addressDetails,
+    pagesCrawled: scrapeResult.pagesCrawled,
+    robotsSkippedPages: scrapeResult.robotsSkippedPages,
+    fetchTier: scrapeResult.fetchTier
+  };
+
+  if (scrapeResult.escalationReason) {
+    result.escalationReason = scrapeResult.escalationReason;
+  }
+
+  if (scrapeResult.optimizationNote) {
+    result.optimizationNote = scrapeResult.optimizationNote;
+  }
+
+  if (entry.row) {
+    result.originalData = entry.row;
+  }
+
+  if (scrapeResult.error) {
+    result.error = scrapeResult.error;
+  }
+
+  // A site that was reached but reported a problem (e.g. disallowed by robots.txt)
+  // counts as an error. Output write failures are not scrape failures and
+  // reach the job runner, which fails the job.
+  await recordOutcome(job, writer, entry, result.error ? 'error' : 'success', result, Date.now() - urlStartTime);
+  updateErrorStats(errorStats, null, true);
+
+  logger.info(`✓ ${url}: found ${scrapeResult.emails.length} emails and ${Object.keys(scrapeResult.socialLinks).length} social links`);
+  return { error: null };
+}
+
+/**
+ * Run a scrape job: read the URLs from the job's input file and scrape them
+ * with a pool of pages (never two pages on the same host at once). Every
+ * result is appended to the JSONL and CSV output as soon as its URL finishes,
+ * so those files can be downloaded while the job runs; at the end they are
+ * put in input order and the JSON/XLSX output is written.
+ * @param {Object} job - Scrape job created by the job service
+ */
+async function runScrapeJob(job) {
+  const startTime = Date.now();
+  // A resumed job only scrapes the URLs its checkpoint has no outcome for
+  const statuses = await loadUrlStatuses(job);
+  const pendingUrls = statuses.reduce((count, code) => count + (code === URL_STATUS_CODES.pending ? 1 : 0), 0);
+  const concurrency = Math.max(1, Math.min(job.options.concurrency || SCRAPING_DEFAULTS.concurrency, pendingUrls));
+  const errorStats = {
+    consecutiveErrors: 0,
+    totalErrors: 0,
+    criticalErrors: 0,
+    shouldBreak: false,
+    breakReason: null
+  };
+
+  job.activeUrls = [];
+  // Resumed jobs append to the files of their first run
+  job.files = getResultFileNames(job.files);
+  const writer = await openResultWriter(job.files, job.input.columns);
+  saveJob(job);
+
+  const scheduler = createUrlScheduler(readPendingInput(job, statuses));
+  const triggerBreak = (reason, skipReason) => {
+    if (errorStats.shouldBreak) return;
+    logger.error(`🛑 Breaking scraping process: ${reason}`);
+    errorStats.shouldBreak = true;
+    errorStats.breakReason = reason;
+    errorStats.skipReason = skipReason;
+    scheduler.stop();
+    emitJobEvent(job, 'run-broken', { reason });
+  };
+
+  // The browser only starts once a URL needs it
+  const pagePool = createPagePool(launchBrowser, concurrency);
+  try {
+    const worker = async () => {
+      for (;;) {
+        const entry = await scheduler.next();
+        if (entry === null) return;
+
+        await waitWhilePaused(job);
+        if (job.cancelRequested) {
+          scheduler.stop();
+          scheduler.done(entry);
+          return;
+        }
+
+        // Check if we should break before processing this URL
+        const breakCheck = shouldBreakScraping(errorStats, job.processedUrls, job.totalUrls);
+        if (breakCheck.shouldBreak) {
+          triggerBreak(breakCheck.reason, `Skipped due to error break condition: ${breakCheck.reason}`);
+          scheduler.done(entry);
+          return;
+        }
+
+        const { index, url } = entry;
+        job.currentUrl = url;
+        job.currentIndex = index;
+        job.activeUrls.push({ index, url });
+        emitJobEvent(job, 'url-started', { index, url });
+        logger.info(`[job ${job.id}] Scraping ${index + 1}/${job.totalUrls}: ${url}`);
+
+        let page = null;
+        const getPage = async () => {
+          if (!page) {
+            page = await pagePool.acquire();
+          }
+          return page;
+        };
+        const { error } = await scrapeJobUrl(job, writer, entry, getPage, errorStats, scheduler.lastVisits);
+
+        job.activeUrls = job.activeUrls.filter(active => active.index !== index);
+        const isCritical = error && isCriticalError(error);
+        if (page) {
+          // The page may be unusable after a browser-level failure
+          if (isCritical) {
+            await pagePool.discard(page);
+          } else {
+            pagePool.release(page);
+          }
+        }
+        if (isCritical) {
+          logger.error(`🚨 Critical error detected: ${error}`);
+          const criticalBreakCheck = shouldBreakScraping(errorStats, job.processedUrls, job.totalUrls);
+          if (criticalBreakCheck.shouldBreak) {
+            triggerBreak(criticalBreakCheck.reason, `Skipped due to critical error: ${criticalBreakCheck.reason}`);
+          }
+        }
+
+        // Checkpoint progress so partial results survive a refresh or restart
+        saveJob(job);
+
+        // Rate limiting between requests on this page
+        if (!errorStats.shouldBreak) {
+          await new Promise(resolve => setTimeout(resolve, SCRAPING_DEFAULTS.requestDelay));
+        }
+        scheduler.done(entry);
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: concurrency }, worker));
+    } finally {
+      await scheduler.close();
+    }
+
+    if (job.cancelRequested) {
+      await skipRemainingUrls(job, writer, 'Cancelled by user');
+    } else if (errorStats.shouldBreak) {
+      await skipRemainingUrls(job, writer, errorStats.skipReason);
+    }
+  } finally {
+    await pagePool.close();
+  }
+
+  const statistics = calculateStatistics(job, errorStats);
+  // Resumed jobs overwrite their output files with the merged results
+  const files = await finalizeResultFiles(job.files, job.input.columns, {
+    jobId: job.id,
+    totalUrls: job.totalUrls,
+    statistics
+  });
+  const duration = Date.now() - startTime;
+
+  logger.info(`Job ${job.id} ${job.cancelRequested ? 'cancelled' : 'completed'} after ${duration}ms. Results saved to:\n- ${files.jsonPath}\n- ${files.jsonlPath}\n- ${files.csvPath}\n- ${files.xlsxPath}`);
+
+  job.status = job.cancelRequested ? 'cancelled' : 'completed';
+  job.currentUrl = null;
+  job.activeUrls = [];
+  job.finishedAt = new Date().toISOString();
+  job.duration = `${duration}ms`;
+  job.statistics = statistics;
+  job.success = !errorStats.shouldBreak || statistics.successfulUrls > 0;
+  if (job.cancelRequested) {
+    job.message = `Scraping cancelled by user after ${statistics.processedUrls - statistics.skippedUrls} of ${job.totalUrls} URLs`;
+  } else if (errorStats.shouldBreak) {
+    job.message = `Scraping stopped early due to error conditions: ${errorStats.breakReason}`;
+  } else {
+    job.message = 'Scraping completed successfully';
+  }
+  job.errorBreakInfo = errorStats.shouldBreak ? {
+    broken: true,
+    reason: errorStats.breakReason,
+    breakPoint: statistics.processedUrls
+  } : null;
+  job.files = { json: files.json, jsonl: files.jsonl, csv: files.csv, xlsx: files.xlsx };
+
+  await saveJob(job);
+  emitJobEvent(job, 'run-complete', {
+    status: job.status,
+    message: job.message,
+    statistics,
+    errorBreakInfo: job.errorBreakInfo,
+    files: job.files
+  });
+}
+
+/**
+ * Pick the URLs of a finished job to scrape again: URLs without an outcome
+ * (e.g. interrupted by a restart), skipped URLs and URLs that failed
+ * @param {Object} job - Finished scrape job
+ * @param {Object} options - Selection options
+ * @param {boolean} options.onlyNonCritical - Leave URLs that failed with a critical error out
+ * @returns {Promise<Array<number>>} URL indexes in input order
+ */
+async function getResumableIndexes(job, { onlyNonCritical = false } = {}) {
+  // The latest recorded outcome of each URL decides
+  const statuses = await loadUrlStatuses(job);
+  const indexes = [];
+  statuses.forEach((code, index) => {
+    if (code === URL_STATUS_CODES.success) return;
+    if (code === URL_STATUS_CODES.critical && onlyNonCritical) return;
+    indexes.push(index);
+  });
+  return indexes;
+}
+
+module.exports = {
+  runScrapeJob,
+  getResumableIndexes
+};
@@ -1,14 +1,21 @@
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const { generateUserAgent } = require('../utils/urlUtils');
-const { extractEmails, extractEmailsFromHtml } = require('../utils/emailUtils');
+const { findEmails } = require('../utils/emailUtils');
+const { isJunkEmail, rankEmails } = require('../utils/emailRanking');
 const { 
-  findContactLikeLinks, 
+  extractLinks, 
   detectRegionBlock, 
-  extractSocialLinks, 
-  extractPhoneNumbers, 
-  extractAddresses 
+  extractSnippet
 } = require('../utils/contentUtils');
+const { extractStructuredData } = require('../utils/structuredDataUtils');
+const { extractSocialProfiles, chooseSocialProfiles } = require('../utils/socialUtils');
+const { findPhoneNumbers, normalizePhoneNumber, normalizeCountry, inferCountry } = require('../utils/phoneUtils');
+const { findAddresses, normalizeAddress, isSameAddress } = require('../utils/addressUtils');
+const { crawlSite } = require('./crawlerService');
+const { createRobotsGuard } = require('./robotsService');
+const { findSitemapCandidates } = require('./sitemapService');
+const { fetchPage, getEscalationReason } = require('./httpFetchService');
 const { logger } = require('../utils/logger');
 const { BROWSER_OPTIONS, VIEWPORT, HTTP_HEADERS, SCRAPING_DEFAULTS } = require('../config/constants');
 
@@ -16,162 +23,354 @@ const { BROWSER_OPTIONS, VIEWPORT, HTTP_HEADERS, SCRAPING_DEFAULTS } = require('
 puppeteer.use(StealthPlugin());
 
 /**
- * Enhanced page scraping function
+ * Read the HTML and visible text of the loaded page
  * @param {Object} page - Puppeteer page object
+ * @param {string} url - URL of the loaded page (for logging)
+ * @returns {Object} Page content ({ content, textContent })
+ */
+async function getPageContent(page, url) {
+  try {
+    const content = await page.content();
+    const textContent = await page.evaluate(() => document.body.innerText);
+    return { content, textContent };
+  } catch (error) {
+    logger.warn(`Failed to get page content for ${url}, using fallback: ${error.message}`);
+    const content = await page.evaluate(() => document.documentElement.outerHTML);
+    const textContent = await page.evaluate(() => document.documentElement.innerText || '');
+    return { content, textContent };
+  }
+}
+
+/**
+ * Navigate to the homepage, retrying once on failure
+ * @param {Object} page - Puppeteer page object
+ * @param {string} url - Homepage URL
+ * @param {number} timeout - Navigation timeout in ms
+ */
+async function gotoHomepage(page, url, timeout) {
+  let lastError = null;
+  const maxRetries = 2;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      await page.goto(url, { 
+        waitUntil: 'domcontentloaded',
+        timeout: Math.min(timeout, 30000)
+      });
+      return;
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxRetries) {
+        logger.warn(`Navigation attempt ${attempt} failed for ${url} (timeout: 30s), retrying...`);
+        await page.waitForTimeout(1000 * attempt);
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Enhanced page scraping function. Crawls the site breadth-first from `url`
+ * (see crawlerService) and merges what is found on every visited page.
+ *
+ * Pages are fetched in tiers: with `fetchMode` "auto" a plain HTTP GET is
+ * tried first and the site switches to the headless browser once a page
+ * looks JavaScript-rendered, empty or blocked. "http" and "browser" force
+ * one tier. The browser page is only requested from `getPage` when needed.
+ * @param {Function} getPage - Resolves to the Puppeteer page to use
  * @param {string} url - URL to scrape
  * @param {Object} options - Scraping options
+ * @param {Object} hooks - Progress callbacks (onPageVisited(pageUrl), onEmailsFound(emails, pageUrl)),
+ * and `lastVisits`, the robots guard's last fetch time per origin when it is shared by several URLs
  * @returns {Object} Scraping results
  */
-async function scrapePage(page, url, options = {}) {
+async function scrapePage(getPage, url, options = {}, hooks = {}) {
   const {
+    fetchMode = SCRAPING_DEFAULTS.fetchMode,
     maxDepth = SCRAPING_DEFAULTS.maxDepth,
+    maxPages = SCRAPING_DEFAULTS.maxPages,
     timeout = SCRAPING_DEFAULTS.timeout,
     followRedirects = SCRAPING_DEFAULTS.followRedirects,
     extractPhoneNumbers = SCRAPING_DEFAULTS.extractPhoneNumbers,
+    phoneCountry = SCRAPING_DEFAULTS.phoneCountry,
     extractAddresses = SCRAPING_DEFAULTS.extractAddresses,
-    smartCrawling = SCRAPING_DEFAULTS.smartCrawling
+    smartCrawling = SCRAPING_DEFAULTS.smartCrawling,
+    respectRobotsTxt = SCRAPING_DEFAULTS.respectRobotsTxt,
+    useSitemaps = SCRAPING_DEFAULTS.useSitemaps
   } = options;
+  const { onPageVisited = () => {}, onEmailsFound = () => {}, lastVisits } = hooks;
   
-  try {
-    // Set page options
-    await page.setDefaultNavigationTimeout(timeout);
-    await page.setUserAgent(generateUserAgent());
+  const results = {
+    emails: [],
+    emailDetails: [],
+    socialLinks: {},
+    socialProfiles: {},
+    phoneNumbers: [],
+    phoneDetails: [],
+    addresses: [],
+    addressDetails: [],
+    organization: { name: null, logo: null, description: null },
+    fetchTier: fetchMode === 'browser' ? 'browser' : 'http'
+  };
+  let browserPage = null;
+  // Homepage after redirects; emails are ranked against its domain
+  let siteUrl = url;
+  // Every social profile link seen on the site; the primary ones are chosen at the end
+  const socialFound = [];
+  // Country of national-format phone numbers and postcodes, set from the homepage
+  let siteCountry = normalizeCountry(phoneCountry);
+  const robotsGuard = respectRobotsTxt ? createRobotsGuard(lastVisits) : null;
+
+  /**
+   * Load a page in the headless browser
+   * @param {string} pageUrl - Page to load
+   * @param {boolean} isHomepage - Whether this is the site's first page
+   * @returns {Object} Loaded page ({ finalUrl, content, textContent })
+   */
+  const loadWithBrowser = async (pageUrl, isHomepage) => {
+    if (!browserPage) {
+      browserPage = await getPage();
+      await browserPage.setDefaultNavigationTimeout(timeout);
+      await browserPage.setUserAgent(generateUserAgent());
+    }
     
-    // Navigate to page with retry logic
-    let navigationSuccess = false;
-    let lastError = null;
-    const maxRetries = 2;
+    if (isHomepage) {
+      await gotoHomepage(browserPage, url, timeout);
+    } else {
+      await browserPage.goto(pageUrl, { 
+        waitUntil: 'domcontentloaded',
+        timeout: 15000
+      });
+    }
+    
+    // Wait for dynamic content
+    await browserPage.waitForTimeout(isHomepage ? 1000 : 500);
+    
+    return {
+      finalUrl: browserPage.url(),
+      ...(await getPageContent(browserPage, pageUrl))
+    };
+  };
+
+  /**
+   * Load a page with the current tier, escalating to the browser when the
+   * HTTP result is not usable
+   * @param {string} pageUrl - Page to load
+   * @param {boolean} isHomepage - Whether this is the site's first page
+   * @returns {Object} Loaded page ({ finalUrl, content, textContent })
+   */
+  const loadPage = async (pageUrl, isHomepage) => {
+    if (results.fetchTier === 'browser') {
+      return loadWithBrowser(pageUrl, isHomepage);
+    }
+    
+    let reason;
+    try {
+      const fetched = await fetchPage(isHomepage ? url : pageUrl, { timeout, followRedirects });
+      // Short sub-pages are fine; only the homepage has to show real content
+      reason = fetchMode === 'auto' ? getEscalationReason(fetched, { requireText: isHomepage }) : null;
+      if (!reason) {
+        return fetched;
+      }
+    } catch (error) {
+      // An unknown host fails in the browser just the same
+      if (fetchMode === 'http' || /ENOTFOUND|EAI_AGAIN/.test(error.message)) {
+        throw error;
+      }
+      reason = `HTTP fetch failed (${error.message})`;
+    }
     
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    logger.info(`${pageUrl}: ${reason}, switching to the browser`);
+    results.fetchTier = 'browser';
+    results.escalationReason = reason;
+    return loadWithBrowser(pageUrl, isHomepage);
+  };
+
+  /**
+   * Load one page of the site and merge its data into the results
+   * @param {string} pageUrl - Page to load
+   * @param {number} depth - Link distance from the homepage
+   * @returns {Object} Crawl outcome ({ finalUrl, links, stop, skipped })
+   */
+  const visitPage = async (pageUrl, depth) => {
+    const isHomepage = depth === 0;
+
+    // Homepage failures fail the whole URL; sub-page failures are only logged
+    let loaded;
+    if (isHomepage) {
+      loaded = await loadPage(pageUrl, true);
+    } else {
       try {
-        await page.goto(url, { 
-          waitUntil: 'domcontentloaded',
-          timeout: Math.min(timeout, 30000)
-        });
-        navigationSuccess = true;
-        break;
+        loaded = await loadPage(pageUrl, false);
       } catch (error) {
-        lastError = error;
-        if (attempt < maxRetries) {
-          logger.warn(`Navigation attempt ${attempt} failed for ${url} (timeout: 30s), retrying...`);
-          await page.waitForTimeout(1000 * attempt);
+        logger.warn(`Error scraping link ${pageUrl}:`, error.message);
+        return { links: [] };
+      }
+    }
+    const { finalUrl, content, textContent } = loaded;
+    // A redirect to another origin needs that origin's robots.txt to allow the page
+    if (robotsGuard && finalUrl && new URL(finalUrl).origin !== new URL(pageUrl).origin &&
+      !(await robotsGuard.checkRedirect(finalUrl))) {
+      logger.info(`${pageUrl} redirects to ${finalUrl}, which robots.txt disallows`);
+      return { finalUrl, links: [], skipped: true, stop: isHomepage };
+    }
+    if (isHomepage && finalUrl) {
+      siteUrl = finalUrl;
+    }
+    if (isHomepage && !siteCountry) {
+      siteCountry = inferCountry(siteUrl, content);
+    }
+    
+    onPageVisited(isHomepage ? url : pageUrl);
+    
+    if (!isHomepage) {
+      const regionBlockMessage = detectRegionBlock(content, pageUrl);
+      if (regionBlockMessage) {
+        logger.warn(regionBlockMessage);
+        if (!results.error) {
+          results.error = regionBlockMessage;
+        } else if (!results.error.includes('VPN')) {
+          results.error += ` | ${regionBlockMessage}`;
         }
+        return { finalUrl, links: [] };
       }
     }
     
-    if (!navigationSuccess) {
-      throw lastError;
+    // Extract data and merge it into the results, recording where each value came from
+    const sourceUrl = isHomepage ? url : pageUrl;
+    const firstSeen = new Date().toISOString();
+    const structuredData = extractStructuredData(content, finalUrl || sourceUrl);
+    const pageEmails = [
+      ...findEmails(textContent, content),
+      ...structuredData.emails.map(({ email, technique }) => ({ email, technique, context: '' }))
+    ];
+    const newEmailDetails = pageEmails
+      .filter(({ email }, position) => !results.emails.includes(email) && !isJunkEmail(email) &&
+        pageEmails.findIndex(other => other.email === email) === position)
+      .map(({ email, technique, context }) => ({
+        email,
+        technique,
+        sourceUrl,
+        snippet: extractSnippet(textContent, email) || extractSnippet(context, email) ||
+          (technique === 'obfuscated' ? extractSnippet(textContent, email.split('@')[0]) : null),
+        firstSeen
+      }));
+    const newEmails = newEmailDetails.map(({ email }) => email);
+    results.emails.push(...newEmails);
+    results.emailDetails.push(...newEmailDetails);
+    if (newEmails.length > 0) {
+      onEmailsFound(newEmails, sourceUrl);
     }
     
-    // Wait for dynamic content
-    await page.waitForTimeout(1000);
+    socialFound.push(
+      ...extractSocialProfiles(textContent, content, finalUrl || sourceUrl),
+      // Profiles the site declares (schema.org sameAs) are preferred as primary
+      ...structuredData.socialProfiles.map(profile => ({ ...profile, declared: true }))
+    );
     
-    // Get page content with fallback
-    let content, textContent;
-    try {
-      content = await page.content();
-      textContent = await page.evaluate(() => document.body.innerText);
-    } catch (error) {
-      logger.warn(`Failed to get page content for ${url}, using fallback: ${error.message}`);
-      content = await page.evaluate(() => document.documentElement.outerHTML);
-      textContent = await page.evaluate(() => document.documentElement.innerText || '');
-    }
-    
-    // Extract data
-    const emails = new Set([
-      ...extractEmails(textContent),
-      ...extractEmailsFromHtml(content)
-    ]);
-    const socialLinks = extractSocialLinks(textContent, content);
-    
-    let results = {
-      emails: Array.from(emails),
-      socialLinks: { ...socialLinks },
-      phoneNumbers: [],
-      addresses: []
-    };
+    Object.entries(structuredData.organization).forEach(([field, value]) => {
+      if (!results.organization[field] && value) {
+        results.organization[field] = value;
+      }
+    });
     
     // Extract phone numbers if requested
     if (extractPhoneNumbers) {
-      results.phoneNumbers = extractPhoneNumbers(textContent);
+      [
+        ...findPhoneNumbers(textContent, content, siteCountry),
+        ...structuredData.phones.map(({ phone, technique }) => normalizePhoneNumber(phone, siteCountry, technique))
+      ]
+        .forEach(found => {
+          // Checked one by one: text and structured data often hold the same number
+          if (!found || results.phoneNumbers.includes(found.phone)) return;
+          const { phone, raw, technique, type, country } = found;
+          results.phoneNumbers.push(phone);
+          results.phoneDetails.push({ phone, technique, type, country, sourceUrl, snippet: extractSnippet(textContent, raw), firstSeen });
+        });
     }
     
     // Extract addresses if requested
     if (extractAddresses) {
-      results.addresses = extractAddresses(textContent);
+      [
+        ...findAddresses(textContent, content, siteCountry),
+        ...structuredData.addresses.map(({ address, technique }) => {
+          const normalized = normalizeAddress(address, siteCountry);
+          return normalized && { ...normalized, raw: normalized.street || normalized.formatted, technique };
+        })
+      ]
+        .forEach(found => {
+          if (!found || results.addresses.some(address => isSameAddress(address, found))) return;
+          const { raw, technique, ...address } = found;
+          results.addresses.push(address);
+          results.addressDetails.push({ address: address.formatted, technique, sourceUrl, snippet: extractSnippet(textContent, raw), firstSeen });
+        });
     }
     
     // Smart crawling logic
-    const homepageHasEmails = results.emails.length > 0;
-    
-    if (maxDepth > 0 && (!homepageHasEmails || !smartCrawling)) {
-      logger.info(`No emails found on homepage ${url}, proceeding with deep crawling (depth: ${maxDepth})`);
-      
-      // Prioritize contact-like links discovered on this page
-      const prioritizedLinks = findContactLikeLinks(content, url);
-      
-      // Fallback to a few general links if none found
-      const fallbackLinks = await page.evaluate(() => {
-        const anchors = document.querySelectorAll('a[href]');
-        return Array.from(anchors, a => a.href)
-          .filter(href => href.startsWith('http'))
-          .slice(0, 5);
-      });
-      const links = Array.from(new Set([...
-        prioritizedLinks,
-        ...fallbackLinks
-      ])).slice(0, 8);
-      
-      // Scrape linked pages
-      for (const link of links) {
-        try {
-          await page.goto(link, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 15000
-          });
-          await page.waitForTimeout(500);
-          
-          const linkHtml = await page.content();
-          const regionBlockMessage = detectRegionBlock(linkHtml, link);
-          if (regionBlockMessage) {
-            logger.warn(regionBlockMessage);
-            if (!results.error) {
-              results.error = regionBlockMessage;
-            } else if (!results.error.includes('VPN')) {
-              results.error += ` | ${regionBlockMessage}`;
-            }
-            continue;
-          }
-          const linkText = await page.evaluate(() => document.body.innerText);
-          const linkEmails = new Set([
-            ...extractEmails(linkText),
-            ...extractEmailsFromHtml(linkHtml)
-          ]);
-          const linkSocialLinks = extractSocialLinks(linkText, linkHtml);
-          
-          // Merge results
-          Array.from(linkEmails).forEach(email => {
-            if (!results.emails.includes(email)) {
-              results.emails.push(email);
-            }
-          });
-          
-          Object.entries(linkSocialLinks).forEach(([platform, url]) => {
-            if (!results.socialLinks[platform]) {
-              results.socialLinks[platform] = url;
-            }
-          });
-        } catch (error) {
-          logger.warn(`Error scraping link ${link}:`, error.message);
-        }
+    if (isHomepage) {
+      const homepageHasEmails = results.emails.length > 0;
+      if (maxDepth === 0) {
+        logger.info(`No deep crawling requested for ${url} (maxDepth: ${maxDepth})`);
+      } else if (homepageHasEmails && smartCrawling) {
+        logger.info(`Emails found on homepage ${url} (${results.emails.length} emails), skipping deep crawling for efficiency`);
+        results.optimizationNote = `Skipped deep crawling - found ${results.emails.length} email(s) on homepage`;
+        return { finalUrl, stop: true };
+      } else if (!smartCrawling) {
+        logger.info(`Smart crawling disabled for ${url}, proceeding with full deep crawling (depth: ${maxDepth}, max pages: ${maxPages})`);
+      } else {
+        logger.info(`No emails found on homepage ${url}, proceeding with deep crawling (depth: ${maxDepth}, max pages: ${maxPages})`);
       }
-    } else if (homepageHasEmails && smartCrawling) {
-      logger.info(`Emails found on homepage ${url} (${results.emails.length} emails), skipping deep crawling for efficiency`);
-      results.optimizationNote = `Skipped deep crawling - found ${results.emails.length} email(s) on homepage`;
-    } else if (!smartCrawling) {
-      logger.info(`Smart crawling disabled for ${url}, proceeding with full deep crawling`);
-    } else {
-      logger.info(`No deep crawling requested for ${url} (maxDepth: ${maxDepth})`);
+    }
+    
+    return {
+      finalUrl,
+      links: depth < maxDepth ? extractLinks(content, finalUrl) : []
+    };
+  };
+  
+  /**
+   * Contact-like pages from the site's sitemaps, so pages missing from the
+   * homepage's links (e.g. JS-rendered menus) are crawled too
+   * @param {string} siteUrl - Homepage URL after redirects
+   * @returns {Array<string>} Candidate page URLs
+   */
+  const discoverSitemapPages = async (siteUrl) => {
+    try {
+      const candidates = await findSitemapCandidates(siteUrl);
+      if (candidates.length > 0) {
+        logger.info(`Found ${candidates.length} contact-like page(s) in the sitemaps of ${siteUrl}`);
+      }
+      return candidates;
+    } catch (error) {
+      logger.warn(`Sitemap discovery failed for ${siteUrl}: ${error.message}`);
+      return [];
+    }
+  };
+  
+  try {
+    const { visitedPages, skippedPages } = await crawlSite(url, {
+      maxDepth,
+      maxPages,
+      beforeVisit: robotsGuard && (pageUrl => robotsGuard.check(pageUrl)),
+      discoverSeeds: useSitemaps ? discoverSitemapPages : null
+    }, visitPage);
+    results.pagesCrawled = visitedPages.length;
+    
+    // Best contact first
+    const ranking = rankEmails(results.emailDetails, siteUrl);
+    results.emailDetails = ranking.emailDetails;
+    results.emails = ranking.emailDetails.map(({ email }) => email);
+    results.primaryEmail = ranking.primaryEmail;
+    
+    Object.assign(results, chooseSocialProfiles(socialFound, siteUrl, results.organization.name));
+    results.robotsSkippedPages = skippedPages;
+    
+    if (visitedPages.length === 0 && skippedPages.length > 0) {
+      logger.info(`robots.txt disallows ${url}, not scraping it`);
+      results.error = 'Disallowed by robots.txt';
+    } else if (skippedPages.length > 0) {
+      logger.info(`Skipped ${skippedPages.length} page(s) of ${url} because of robots.txt`);
     }
     
     return results;
@@ -230,8 +429,88 @@ async function setupPage(browser) {
   return page;
 }
 
+/**
+ * Create a pool of configured pages. The browser is launched on the first
+ * acquire, so runs that never need it (HTTP fetch mode) do not start one.
+ * Pages are created lazily up to `size`; callers wait for a free page once
+ * all are in use.
+ * @param {Function} launch - Resolves to a new browser instance
+ * @param {number} size - Maximum number of open pages
+ * @returns {Object} Pool with acquire(), release(page), discard(page) and close()
+ */
+function createPagePool(launch, size) {
+  const idle = [];
+  const waiters = [];
+  let created = 0;
+  let browserPromise = null;
+
+  // A failed launch stays rejected so later acquires fail fast
+  const getBrowser = () => {
+    if (!browserPromise) {
+      browserPromise = launch();
+    }
+    return browserPromise;
+  };
+
+  return {
+    async acquire() {
+      if (idle.length > 0) {
+        return idle.pop();
+      }
+      if (created < size) {
+        created++;
+        try {
+          return await setupPage(await getBrowser());
+        } catch (error) {
+          created--;
+          throw error;
+        }
+      }
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+
+    release(page) {
+      const waiter = waiters.shift();
+      if (waiter) {
+        waiter.resolve(page);
+      } else {
+        idle.push(page);
+      }
+    },
+
+    // Close a broken page (e.g. after a crash) so the next acquire opens a fresh one
+    async discard(page) {
+      created--;
+      try {
+        await page.close();
+      } catch (_) {
+        // Page may already be gone
+      }
+      const waiter = waiters.shift();
+      if (waiter) {
+        created++;
+        getBrowser().then(setupPage).then(waiter.resolve, error => {
+          created--;
+          waiter.reject(error);
+        });
+      }
+    },
+
+    async close() {
+      if (!browserPromise) return;
+      try {
+        const browser = await browserPromise;
+        await browser.close();
+      } catch (_) {
+        // Browser never started or is already gone
+      }
+    }
+  };
+}
+
 module.exports = {
   scrapePage,
   launchBrowser,
-  setupPage
+  setupPage,
+  createPagePool
 };
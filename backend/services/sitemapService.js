@@ -0,0 +1,154 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const { getRobotsRules } = require('./robotsService');
+const { scoreLink } = require('./crawlerService');
+const { canonicalizeUrl, isSameSite } = require('../utils/urlUtils');
+const { logger } = require('../utils/logger');
+const { SITEMAP_SETTINGS } = require('../config/constants');
+
+// Contact candidates per origin, cached like robots.txt. Entries hold the
+// lookup promise so concurrent crawls of a site share it; the Map is kept in
+// least recently used order and bounded by SITEMAP_SETTINGS.maxCachedSites.
+const candidateCache = new Map();
+
+/**
+ * Drop expired candidate lists and the least recently used ones beyond
+ * SITEMAP_SETTINGS.maxCachedSites
+ */
+function pruneCandidateCache() {
+  const now = Date.now();
+  candidateCache.forEach((entry, origin) => {
+    if (now - entry.fetchedAt >= SITEMAP_SETTINGS.cacheTtl) candidateCache.delete(origin);
+  });
+  while (candidateCache.size > SITEMAP_SETTINGS.maxCachedSites) {
+    candidateCache.delete(candidateCache.keys().next().value);
+  }
+}
+
+/**
+ * Download one sitemap file. Gzipped sitemaps (.xml.gz) are inflated up to
+ * SITEMAP_SETTINGS.maxSize.
+ * @param {string} sitemapUrl - Sitemap URL
+ * @returns {string|null} XML content, or null if the sitemap is unavailable
+ */
+async function fetchSitemap(sitemapUrl) {
+  try {
+    const response = await axios.get(sitemapUrl, {
+      timeout: SITEMAP_SETTINGS.fetchTimeout,
+      maxRedirects: 5,
+      maxContentLength: SITEMAP_SETTINGS.maxSize,
+      responseType: 'arraybuffer',
+      validateStatus: status => status === 200
+    });
+
+    const body = Buffer.from(response.data);
+    // gzip magic number; servers often send .xml.gz without Content-Encoding
+    if (body[0] === 0x1f && body[1] === 0x8b) {
+      return zlib.gunzipSync(body, { maxOutputLength: SITEMAP_SETTINGS.maxSize }).toString('utf8');
+    }
+    return body.toString('utf8');
+  } catch (error) {
+    logger.debug(`Sitemap ${sitemapUrl} unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Parse a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} Child sitemaps and page URLs ({ sitemaps, pages })
+ */
+function parseSitemap(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const locs = selector => $(selector).map((_, el) => $(el).text().trim()).get().filter(Boolean);
+
+  return {
+    sitemaps: locs('sitemapindex > sitemap > loc'),
+    pages: locs('urlset > url > loc')
+  };
+}
+
+/**
+ * Collect page URLs from a site's sitemaps: the `Sitemap:` lines of its
+ * robots.txt plus /sitemap.xml, following sitemap indexes. Bounded by
+ * SITEMAP_SETTINGS.maxSitemaps files and maxEntries URLs.
+ * @param {string} siteUrl - Any URL on the site
+ * @returns {Array<string>} Page URLs listed in the sitemaps
+ */
+async function collectSitemapPages(siteUrl) {
+  const { origin } = new URL(siteUrl);
+  const robots = await getRobotsRules(siteUrl);
+  const queue = Array.from(new Set([...robots.sitemaps, `${origin}/sitemap.xml`]));
+  const fetched = new Set();
+  const pages = new Set();
+
+  while (queue.length > 0 && fetched.size < SITEMAP_SETTINGS.maxSitemaps && pages.size < SITEMAP_SETTINGS.maxEntries) {
+    const sitemapUrl = queue.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+
+    const xml = await fetchSitemap(sitemapUrl);
+    if (!xml) continue;
+
+    try {
+      const parsed = parseSitemap(xml);
+      queue.push(...parsed.sitemaps);
+      parsed.pages.slice(0, SITEMAP_SETTINGS.maxEntries - pages.size).forEach(page => pages.add(page));
+    } catch (error) {
+      logger.debug(`Could not parse sitemap ${sitemapUrl}: ${error.message}`);
+    }
+  }
+
+  logger.debug(`Read ${fetched.size} sitemap(s) of ${origin}, ${pages.size} page(s) listed`);
+  return Array.from(pages);
+}
+
+/**
+ * Score the pages listed in a site's sitemaps with the crawler's
+ * contactHints scoring
+ * @param {Array<string>} pages - Page URLs listed in the sitemaps
+ * @param {string} siteUrl - Site homepage
+ * @returns {Array<string>} Same-site pages with a positive score, best first,
+ * up to SITEMAP_SETTINGS.maxCandidates
+ */
+function selectCandidates(pages, siteUrl) {
+  return pages
+    .map(page => canonicalizeUrl(page))
+    .filter(page => page && isSameSite(page, siteUrl))
+    .map(page => ({ page, score: scoreLink(page, '') }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || a.page.length - b.page.length)
+    .slice(0, SITEMAP_SETTINGS.maxCandidates)
+    .map(candidate => candidate.page);
+}
+
+/**
+ * Find the most promising contact pages listed in a site's sitemaps. Only
+ * the candidates are cached per origin, not the sitemap entries they were
+ * picked from.
+ * @param {string} siteUrl - Site homepage (after redirects)
+ * @returns {Promise<Array<string>>} Up to SITEMAP_SETTINGS.maxCandidates page URLs, best first
+ */
+async function findSitemapCandidates(siteUrl) {
+  const { origin } = new URL(siteUrl);
+  let entry = candidateCache.get(origin);
+  if (entry && Date.now() - entry.fetchedAt < SITEMAP_SETTINGS.cacheTtl) {
+    // Re-inserting marks the origin as recently used
+    candidateCache.delete(origin);
+  } else {
+    entry = {
+      fetchedAt: Date.now(),
+      candidates: collectSitemapPages(siteUrl).then(pages => selectCandidates(pages, siteUrl))
+    };
+  }
+  candidateCache.set(origin, entry);
+  pruneCandidateCache();
+
+  return (await entry.candidates).slice();
+}
+
+module.exports = {
+  parseSitemap,
+  findSitemapCandidates
+};
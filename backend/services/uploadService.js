@@ -0,0 +1,523 @@
+const fs = require('fs-extra');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { parse } = require('csv-parse');
+const { parse: parseSync } = require('csv-parse/sync');
+const iconv = require('iconv-lite');
+const { buildHeaders, toTableRow, readWorksheets } = require('../utils/spreadsheetUtils');
+const { UPLOAD_SETTINGS } = require('../config/constants');
+
+// Header names that usually hold a company's website
+const websiteKeywords = [
+  'website', 'url', 'link', 'domain', 'site', 'web', 'homepage',
+  'webpage', 'www', 'http'
+];
+
+const domainPattern = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*\.[a-z]{2,}(:\d+)?(\/\S*)?$/i;
+
+/**
+ * Get the file format of an upload from its name
+ * @param {string} filename - Original file name
+ * @returns {string} 'xlsx', 'csv' or 'txt'
+ */
+function getUploadFormat(filename) {
+  if (/\.xlsx$/i.test(filename || '')) return 'xlsx';
+  if (/\.(csv|tsv)$/i.test(filename || '')) return 'csv';
+  return 'txt';
+}
+
+/**
+ * Read the start of a file
+ * @param {string} filePath - File path
+ * @param {number} size - Bytes to read at most
+ * @returns {Promise<Buffer>} The first bytes of the file
+ */
+async function readHead(filePath, size) {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(size);
+    const { bytesRead } = await fs.read(fd, buffer, 0, size, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Check whether a whole file is valid UTF-8, one chunk at a time
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} True if every byte sequence is valid UTF-8
+ */
+async function isUtf8File(filePath) {
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  try {
+    for await (const chunk of fs.createReadStream(filePath)) {
+      decoder.decode(chunk, { stream: true });
+    }
+    decoder.decode();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect the text encoding of a file: a byte order mark wins, then UTF-16
+ * without BOM (every other byte zero), then UTF-8 if the bytes are valid
+ * UTF-8, and the legacy Windows encoding otherwise.
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Encoding name understood by iconv-lite
+ */
+async function detectEncoding(filePath) {
+  const sample = await readHead(filePath, 4096);
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) return 'utf-8';
+  if (sample[0] === 0xFF && sample[1] === 0xFE) return 'utf-16le';
+  if (sample[0] === 0xFE && sample[1] === 0xFF) return 'utf-16be';
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  if (oddZeros > sample.length / 4) return 'utf-16le';
+  if (evenZeros > sample.length / 4) return 'utf-16be';
+
+  return (await isUtf8File(filePath)) ? 'utf-8' : UPLOAD_SETTINGS.fallbackEncoding;
+}
+
+/**
+ * Get the encoding to decode an uploaded text file with
+ * @param {string} filePath - File path
+ * @param {string} [encoding] - Text encoding (detected when omitted)
+ * @returns {Promise<string>} Encoding name understood by iconv-lite
+ */
+async function resolveEncoding(filePath, encoding) {
+  const used = encoding || await detectEncoding(filePath);
+  if (!iconv.encodingExists(used)) {
+    throw new Error(`Unknown encoding "${used}"`);
+  }
+  return used;
+}
+
+/**
+ * Open a text file as a stream of decoded text
+ * @param {string} filePath - File path
+ * @param {string} encoding - Text encoding
+ * @param {...Object} transforms - Streams the text is piped through (e.g. a parser)
+ * @returns {Object} Readable end of the pipeline
+ */
+function openTextStream(filePath, encoding, ...transforms) {
+  // iconv strips a byte order mark; errors reach the last stream
+  return pipeline(fs.createReadStream(filePath), iconv.decodeStream(encoding), ...transforms, () => {});
+}
+
+/**
+ * Read the first UPLOAD_SETTINGS.sampleSize bytes of a text file, cut after
+ * the last complete line when the file is longer
+ * @param {string} filePath - File path
+ * @param {string} encoding - Text encoding
+ * @returns {Promise<string>} Decoded text
+ */
+async function readTextSample(filePath, encoding) {
+  const head = await readHead(filePath, UPLOAD_SETTINGS.sampleSize);
+  const text = iconv.decode(head, encoding);
+  if (head.length < UPLOAD_SETTINGS.sampleSize) return text;
+
+  const lastBreak = text.lastIndexOf('\n');
+  return lastBreak > 0 ? text.slice(0, lastBreak + 1) : text;
+}
+
+/**
+ * Read the lines of an uploaded text file, trimmed and without empty lines
+ * @param {Object} file - Uploaded file ({ path })
+ * @param {string} [encoding] - Text encoding (detected when omitted)
+ * @returns {Promise<AsyncGenerator<string>>} Lines in file order
+ */
+async function readTextLines(file, encoding) {
+  const used = await resolveEncoding(file.path, encoding);
+  const lines = readline.createInterface({
+    input: openTextStream(file.path, used),
+    crlfDelay: Infinity
+  });
+  return (async function* () {
+    for await (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed) yield trimmed;
+    }
+  })();
+}
+
+/**
+ * Get the csv-parse options used for every upload
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object} csv-parse options
+ */
+function getParseOptions(delimiter) {
+  return {
+    delimiter,
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    skip_records_with_empty_values: true,
+    relax_column_count: true,
+    relax_quotes: true
+  };
+}
+
+/**
+ * Parse delimited text into lines of trimmed cells, skipping empty lines.
+ * Quoted fields may span lines and contain the delimiter.
+ * @param {string} text - File content
+ * @param {string} delimiter - Field delimiter
+ * @param {number} [toLine] - Stop after this many lines
+ * @returns {Array<Array<string>>} Lines of cells
+ */
+function parseLines(text, delimiter, toLine) {
+  return parseSync(text, {
+    ...getParseOptions(delimiter),
+    ...(toLine ? { to_line: toLine } : {})
+  });
+}
+
+/**
+ * Detect the delimiter of a CSV file: the candidate that splits the first
+ * lines into the same, largest number of columns
+ * @param {string} text - File content
+ * @returns {string} Delimiter (a comma when nothing splits the lines)
+ */
+function detectDelimiter(text) {
+  let best = { delimiter: ',', columns: 1 };
+
+  UPLOAD_SETTINGS.delimiters.forEach(delimiter => {
+    let lines;
+    try {
+      lines = parseLines(text, delimiter, 20);
+    } catch (error) {
+      return;
+    }
+    if (lines.length === 0) return;
+
+    const columns = lines[0].length;
+    const consistent = lines.every(line => line.length === columns);
+    if (consistent && columns > best.columns) {
+      best = { delimiter, columns };
+    }
+  });
+
+  return best.delimiter;
+}
+
+/**
+ * Turn a cell into the website URL it holds: a full http(s) URL found in the
+ * text, or a bare domain (www. is dropped) with https:// added
+ * @param {string} value - Cell text
+ * @returns {string|null} URL, or null when the cell holds none
+ */
+function toWebsiteUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+
+  const fullUrl = trimmed.match(/https?:\/\/[^\s,;"'<>]+/i);
+  if (fullUrl) {
+    try {
+      new URL(fullUrl[0]);
+      return fullUrl[0];
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Email addresses are not websites even though their domain would match
+  if (trimmed.includes('@')) return null;
+
+  const cleanUrl = trimmed
+    .replace(/^www\./i, '')
+    .replace(/^\/+/, '')
+    .replace(/\/+$/, '');
+  return domainPattern.test(cleanUrl) ? `https://${cleanUrl}` : null;
+}
+
+/**
+ * Guess the column holding the website URLs: a header named like one
+ * (website, url, domain...), else the column whose values are mostly URLs
+ * @param {Array<string>} headers - Column names
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string|null} Column name, or null when no column looks like one
+ */
+function detectUrlColumn(headers, rows) {
+  const named = headers.find(header => {
+    const name = header.toLowerCase();
+    return !/e-?mail/.test(name) && websiteKeywords.some(keyword => name.includes(keyword));
+  });
+  if (named) return named;
+
+  const sample = rows.slice(0, 50);
+  let best = null;
+  let bestCount = 0;
+  headers.forEach(header => {
+    const values = sample.map(row => row[header]).filter(Boolean);
+    const count = values.filter(value => toWebsiteUrl(value)).length;
+    if (count > bestCount && count >= values.length / 2) {
+      best = header;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Open a CSV or TXT upload as a table. The delimiter, header row and columns
+ * are read from the start of the file; the rows are parsed as they are
+ * iterated. A first line holding URLs or emails is data, not a header row,
+ * so plain lists of domains keep their first entry.
+ * @param {string} filePath - File path
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.encoding] - Text encoding (detected when omitted)
+ * @param {string} [options.delimiter] - Field delimiter (detected when omitted)
+ * @returns {Promise<Object>} Table ({ encoding, delimiter, hasHeader, headers, rows }),
+ * rows an async generator of rows keyed by column name
+ */
+async function openDelimitedFile(filePath, options = {}) {
+  const encoding = await resolveEncoding(filePath, options.encoding);
+  const text = await readTextSample(filePath, encoding);
+  const delimiter = options.delimiter || detectDelimiter(text);
+
+  let lines;
+  try {
+    lines = parseLines(text, delimiter);
+  } catch (error) {
+    throw new Error(`The file could not be parsed: ${error.message}`);
+  }
+
+  const hasHeader = lines.length > 1 && !lines[0].some(cell => toWebsiteUrl(cell) || cell.includes('@'));
+  const width = Math.max(0, ...lines.map(values => values.length));
+  const headers = buildHeaders(lines[0] || [], width, hasHeader);
+
+  async function* readRows() {
+    const records = openTextStream(filePath, encoding, parse(getParseOptions(delimiter)));
+    let skipHeader = hasHeader;
+    try {
+      for await (const values of records) {
+        if (skipHeader) {
+          skipHeader = false;
+          continue;
+        }
+        yield toTableRow(headers, values);
+      }
+    } catch (error) {
+      throw new Error(`The file could not be parsed: ${error.message}`);
+    }
+  }
+
+  return { encoding, delimiter, hasHeader, headers, rows: readRows() };
+}
+
+/**
+ * Take the next item of a workbook reader, reporting unreadable files as such
+ * @param {Object} iterator - Async iterator over worksheets or their lines
+ * @returns {Promise<Object>} Iterator result ({ value, done })
+ */
+async function nextWorkbookItem(iterator) {
+  try {
+    return await iterator.next();
+  } catch (error) {
+    throw new Error('The file is not a readable Excel workbook');
+  }
+}
+
+/**
+ * Read up to `count` lines of a worksheet
+ * @param {Object} lines - Async iterator over the sheet's lines
+ * @param {number} count - Lines to read at most
+ * @returns {Promise<Array<Array<string>>>} Lines of cell texts
+ */
+async function takeWorksheetLines(lines, count) {
+  const taken = [];
+  while (taken.length < count) {
+    const next = await nextWorkbookItem(lines);
+    if (next.done) break;
+    taken.push(next.value);
+  }
+  return taken;
+}
+
+/**
+ * Count the data rows of a worksheet, reading it to the end
+ * @param {Object} lines - Async iterator over the sheet's lines
+ * @returns {Promise<number>} Non-empty rows below the header row
+ */
+async function countWorksheetRows(lines) {
+  let count = 0;
+  while (!(await nextWorkbookItem(lines)).done) count++;
+  return Math.max(0, count - 1);
+}
+
+/**
+ * Open an XLSX upload as a table. The first non-empty row of a sheet is its
+ * header row. Sheets are read in order, so the sheets after the chosen one
+ * are counted once its rows have been iterated.
+ * @param {string} filePath - File path
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.sheet] - Sheet to read (the first one with data when omitted)
+ * @returns {Promise<Object>} Table ({ sheets, sheet, hasHeader, headers, rows }),
+ * rows an async generator of rows keyed by column name
+ */
+async function openWorkbook(filePath, options = {}) {
+  const worksheets = readWorksheets(filePath);
+  const sheets = [];
+  let chosen = null;
+
+  for (let next = await nextWorkbookItem(worksheets); !next.done; next = await nextWorkbookItem(worksheets)) {
+    const entry = { name: next.value.name, rowCount: 0 };
+    const lines = next.value.lines;
+    sheets.push(entry);
+
+    if (options.sheet && entry.name !== options.sheet) {
+      entry.rowCount = await countWorksheetRows(lines);
+      continue;
+    }
+    // The header row and the rows the columns are named from
+    const firstLines = await takeWorksheetLines(lines, UPLOAD_SETTINGS.sampleRows + 1);
+    if (firstLines.length === 0 && !options.sheet) continue;
+
+    chosen = { entry, lines, firstLines };
+    break;
+  }
+
+  if (!chosen) {
+    if (options.sheet) throw new Error(`Sheet "${options.sheet}" not found`);
+    if (sheets.length === 0) throw new Error('The workbook has no sheets');
+    // Every sheet is empty
+    chosen = { entry: sheets[0], lines: null, firstLines: [] };
+  }
+
+  const { entry, lines, firstLines } = chosen;
+  const width = Math.max(0, ...firstLines.map(values => values.length));
+  const headers = buildHeaders(firstLines[0] || [], width);
+
+  async function* readRows() {
+    for (const values of firstLines.slice(1)) {
+      entry.rowCount++;
+      yield toTableRow(headers, values);
+    }
+    for (let next = lines && await nextWorkbookItem(lines); next && !next.done; next = await nextWorkbookItem(lines)) {
+      entry.rowCount++;
+      yield toTableRow(headers, next.value);
+    }
+    for (let next = await nextWorkbookItem(worksheets); !next.done; next = await nextWorkbookItem(worksheets)) {
+      sheets.push({ name: next.value.name, rowCount: await countWorksheetRows(next.value.lines) });
+    }
+  }
+
+  return { sheets, sheet: entry.name, hasHeader: true, headers, rows: readRows() };
+}
+
+/**
+ * Open an uploaded CSV, TXT or XLSX file as a table read from disk as it is
+ * iterated. The columns are named from the first rows, which are also kept
+ * (`sample`, up to UPLOAD_SETTINGS.sampleRows) for previews and column
+ * detection. `rowCount`, and the row counts of the `sheets` of a workbook,
+ * are complete once `rows` has been read to the end.
+ * @param {Object} file - Uploaded file ({ originalname, path })
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.encoding] - Text encoding of CSV/TXT files (detected when omitted)
+ * @param {string} [options.delimiter] - Field delimiter of CSV/TXT files (detected when omitted)
+ * @param {string} [options.sheet] - XLSX sheet (the first one with data when omitted)
+ * @returns {Promise<Object>} Table ({ format, headers, sample, rows, rowCount, ... })
+ * with the encoding and delimiter of text files, or the sheets of a workbook;
+ * rows is an async generator of rows keyed by column name
+ */
+async function openUpload(file, options = {}) {
+  const format = getUploadFormat(file.originalname);
+  const table = format === 'xlsx'
+    ? await openWorkbook(file.path, options)
+    : await openDelimitedFile(file.path, options);
+
+  const sample = [];
+  while (sample.length < UPLOAD_SETTINGS.sampleRows) {
+    const next = await table.rows.next();
+    if (next.done) break;
+    sample.push(next.value);
+  }
+
+  const upload = { format, ...table, sample, rowCount: 0 };
+  upload.rows = (async function* () {
+    for (const row of sample) {
+      upload.rowCount++;
+      yield row;
+    }
+    for await (const row of table.rows) {
+      upload.rowCount++;
+      yield row;
+    }
+  })();
+  return upload;
+}
+
+/**
+ * Create the column mapping of an uploaded table: the website URL of every
+ * row is taken from one column and only the chosen columns of the row are
+ * kept. Rows without a URL and repeated URLs are left out and counted.
+ * @param {Array<string>} headers - Column names of the table
+ * @param {Object} mapping - Column mapping
+ * @param {string} mapping.urlColumn - Column holding the website URLs
+ * @param {Array<string>} [mapping.columns] - Columns carried into the output (all when
+ * omitted); the URL column is always kept so every output row names its website
+ * @param {Array<string>} [knownUrls] - URLs already taken (e.g. typed in next to
+ * the file), compared the way the rows' URLs are normalized; rows repeating
+ * one count as duplicates
+ * @returns {Object} Mapper ({ columns, map, urlCount, invalidRows, duplicateRows });
+ * map(row) returns the row's entry ({ url, row }), or null when the row is left out
+ */
+function createColumnMapper(headers, mapping, knownUrls = []) {
+  const { urlColumn } = mapping;
+  if (!headers.includes(urlColumn)) {
+    throw new Error(`Column "${urlColumn}" not found`);
+  }
+  const unknownColumn = (mapping.columns || []).find(column => !headers.includes(column));
+  if (unknownColumn) {
+    throw new Error(`Column "${unknownColumn}" not found`);
+  }
+  const columns = mapping.columns ? [...new Set([urlColumn, ...mapping.columns])] : headers;
+  const seen = new Set(knownUrls.map(url => (toWebsiteUrl(url) || url).toLowerCase()));
+
+  const mapper = {
+    columns,
+    urlCount: 0,
+    invalidRows: 0,
+    duplicateRows: 0,
+    map(row) {
+      const url = toWebsiteUrl(row[urlColumn]);
+      if (!url) {
+        mapper.invalidRows++;
+        return null;
+      }
+      if (seen.has(url.toLowerCase())) {
+        mapper.duplicateRows++;
+        return null;
+      }
+      seen.add(url.toLowerCase());
+
+      const kept = {};
+      columns.forEach(column => {
+        kept[column] = row[column];
+      });
+      mapper.urlCount++;
+      return { url, row: kept };
+    }
+  };
+  return mapper;
+}
+
+module.exports = {
+  getUploadFormat,
+  toWebsiteUrl,
+  readTextLines,
+  openUpload,
+  detectUrlColumn,
+  createColumnMapper
+};
@@ -0,0 +1,243 @@
+const ExcelJS = require('exceljs');
+const fs = require('fs-extra');
+const iconv = require('iconv-lite');
+const os = require('os');
+const path = require('path');
+const { getUploadFormat, toWebsiteUrl, readTextLines, openUpload, detectUrlColumn, createColumnMapper } = require('./uploadService');
+
+let uploadDir;
+
+/**
+ * Write an upload to disk the way multer stores it
+ * @param {string} originalname - Name of the uploaded file
+ * @param {string|Buffer} content - File content
+ * @returns {Promise<Object>} Uploaded file ({ originalname, path })
+ */
+async function writeUpload(originalname, content) {
+  const filePath = path.join(uploadDir, `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  await fs.writeFile(filePath, content);
+  return { originalname, path: filePath };
+}
+
+/**
+ * Write an XLSX upload
+ * @param {Object} sheets - Rows of cell values per sheet name
+ * @returns {Promise<Object>} Uploaded file ({ originalname, path })
+ */
+async function writeWorkbookUpload(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const worksheet = workbook.addWorksheet(name);
+    rows.forEach(row => worksheet.addRow(row));
+  });
+  return writeUpload('companies.xlsx', await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Read an async iterable to the end
+ * @param {AsyncIterable} iterable - Iterable
+ * @returns {Promise<Array>} Items
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+beforeAll(async () => {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-service-test-'));
+});
+
+afterAll(async () => {
+  await fs.remove(uploadDir);
+});
+
+describe('getUploadFormat', () => {
+  it('tells the format from the file name', () => {
+    expect(getUploadFormat('Leads.XLSX')).toBe('xlsx');
+    expect(getUploadFormat('leads.tsv')).toBe('csv');
+    expect(getUploadFormat('leads.csv')).toBe('csv');
+    expect(getUploadFormat('leads.txt')).toBe('txt');
+    expect(getUploadFormat(undefined)).toBe('txt');
+  });
+});
+
+describe('readTextLines', () => {
+  it('yields trimmed non-empty lines', async () => {
+    const file = await writeUpload('urls.txt', '  contoso.com \r\n\r\nhttps://fabrikam.com/\n\n');
+
+    expect(await collect(await readTextLines(file))).toEqual(['contoso.com', 'https://fabrikam.com/']);
+  });
+
+  it('detects UTF-16 with a byte order mark', async () => {
+    const file = await writeUpload('urls.txt', iconv.encode('münchen-bäckerei.de\nzürich.ch\n', 'utf-16le', { addBOM: true }));
+
+    expect(await collect(await readTextLines(file))).toEqual(['münchen-bäckerei.de', 'zürich.ch']);
+  });
+
+  it('rejects unknown encodings', async () => {
+    const file = await writeUpload('urls.txt', 'contoso.com\n');
+
+    await expect(readTextLines(file, 'klingon-8')).rejects.toThrow('Unknown encoding "klingon-8"');
+  });
+});
+
+describe('openUpload', () => {
+  it('detects the delimiter and header row of a CSV file and streams its rows', async () => {
+    const file = await writeUpload('leads.csv', 'Company;Website;Notes\nContoso;contoso.com;"Call; then mail\nin March"\nFabrikam;fabrikam.com;\n');
+
+    const upload = await openUpload(file);
+    const rows = await collect(upload.rows);
+
+    expect(upload).toMatchObject({ format: 'csv', encoding: 'utf-8', delimiter: ';', hasHeader: true, headers: ['Company', 'Website', 'Notes'] });
+    expect(rows).toEqual([
+      { Company: 'Contoso', Website: 'contoso.com', Notes: 'Call; then mail\nin March' },
+      { Company: 'Fabrikam', Website: 'fabrikam.com', Notes: '' }
+    ]);
+    expect(upload.rowCount).toBe(2);
+  });
+
+  it('keeps the first line of a plain list of domains as data', async () => {
+    const file = await writeUpload('urls.txt', 'contoso.com\nfabrikam.com\n');
+
+    const upload = await openUpload(file);
+
+    expect(upload.hasHeader).toBe(false);
+    expect(upload.headers).toEqual(['Column 1']);
+    expect(await collect(upload.rows)).toEqual([{ 'Column 1': 'contoso.com' }, { 'Column 1': 'fabrikam.com' }]);
+  });
+
+  it('decodes files that are not UTF-8 with the fallback encoding', async () => {
+    const file = await writeUpload('leads.csv', iconv.encode('Firma,Website\nMüller GmbH,mueller.de\n', 'windows-1252'));
+
+    const upload = await openUpload(file);
+
+    expect(upload.encoding).toBe('windows-1252');
+    expect(upload.sample).toEqual([{ Firma: 'Müller GmbH', Website: 'mueller.de' }]);
+  });
+
+  it('samples the first rows and still yields every row once', async () => {
+    const lines = Array.from({ length: 120 }, (_, i) => `Company ${i},company-${i}.com`);
+    const file = await writeUpload('leads.csv', `Name,Domain\n${lines.join('\n')}\n`);
+
+    const upload = await openUpload(file);
+    const rows = await collect(upload.rows);
+
+    expect(upload.sample).toHaveLength(50);
+    expect(rows).toHaveLength(120);
+    expect(rows[119]).toEqual({ Name: 'Company 119', Domain: 'company-119.com' });
+    expect(upload.rowCount).toBe(120);
+  });
+
+  it('reads the first sheet with data of a workbook and counts the others', async () => {
+    const file = await writeWorkbookUpload({
+      Notes: [],
+      Leads: [['Company', 'Website'], ['Contoso', 'https://contoso.com'], ['Fabrikam', 'fabrikam.com']],
+      Archive: [['Company'], ['Northwind'], ['Tailspin'], ['Wingtip']]
+    });
+
+    const upload = await openUpload(file);
+    const rows = await collect(upload.rows);
+
+    expect(upload.format).toBe('xlsx');
+    expect(upload.sheet).toBe('Leads');
+    expect(upload.headers).toEqual(['Company', 'Website']);
+    expect(rows).toEqual([{ Company: 'Contoso', Website: 'https://contoso.com' }, { Company: 'Fabrikam', Website: 'fabrikam.com' }]);
+    expect(upload.sheets).toEqual([
+      { name: 'Notes', rowCount: 0 },
+      { name: 'Leads', rowCount: 2 },
+      { name: 'Archive', rowCount: 3 }
+    ]);
+  });
+
+  it('reads a chosen sheet and reports sheets that do not exist', async () => {
+    const file = await writeWorkbookUpload({
+      Leads: [['Website'], ['contoso.com']],
+      Archive: [['Website'], ['northwind.com']]
+    });
+
+    const upload = await openUpload(file, { sheet: 'Archive' });
+
+    expect(await collect(upload.rows)).toEqual([{ Website: 'northwind.com' }]);
+    await expect(openUpload(file, { sheet: 'Missing' })).rejects.toThrow('Sheet "Missing" not found');
+  });
+
+  it('reports files that are not workbooks', async () => {
+    const file = await writeUpload('leads.xlsx', 'Company,Website\n');
+
+    await expect(openUpload(file)).rejects.toThrow('The file is not a readable Excel workbook');
+  });
+});
+
+describe('toWebsiteUrl', () => {
+  it('adds https:// to bare domains and drops www. and trailing slashes', () => {
+    expect(toWebsiteUrl(' www.contoso.com/ ')).toBe('https://contoso.com');
+    expect(toWebsiteUrl('See http://fabrikam.com/about for more')).toBe('http://fabrikam.com/about');
+  });
+
+  it('returns null for cells without a website', () => {
+    expect(toWebsiteUrl('info@contoso.com')).toBeNull();
+    expect(toWebsiteUrl('Contoso Ltd')).toBeNull();
+    expect(toWebsiteUrl('')).toBeNull();
+  });
+});
+
+describe('detectUrlColumn', () => {
+  it('prefers a column named like a website column, never an email column', () => {
+    expect(detectUrlColumn(['E-Mail', 'Company Website'], [])).toBe('Company Website');
+  });
+
+  it('falls back to the column mostly holding URLs', () => {
+    const rows = [
+      { Name: 'Contoso', Reference: 'contoso.com' },
+      { Name: 'Fabrikam', Reference: 'https://fabrikam.com/about' },
+      { Name: 'Northwind', Reference: '' }
+    ];
+
+    expect(detectUrlColumn(['Name', 'Reference'], rows)).toBe('Reference');
+    expect(detectUrlColumn(['Name'], [{ Name: 'Contoso' }])).toBeNull();
+  });
+});
+
+describe('createColumnMapper', () => {
+  const headers = ['Company', 'Website', 'Phone'];
+
+  it('maps rows to URLs with the chosen columns and counts the rows left out', () => {
+    const mapper = createColumnMapper(headers, { urlColumn: 'Website', columns: ['Company'] }, ['https://fabrikam.com']);
+
+    const entries = [
+      { Company: 'Contoso', Website: 'www.contoso.com', Phone: '1' },
+      { Company: 'Contoso again', Website: 'https://CONTOSO.com', Phone: '2' },
+      { Company: 'Fabrikam', Website: 'https://fabrikam.com', Phone: '3' },
+      { Company: 'Nobody', Website: 'info@nobody.com', Phone: '4' },
+      { Company: 'Blank', Website: '', Phone: '5' },
+      { Company: 'Northwind', Website: 'Visit https://northwind.com/contact today', Phone: '6' }
+    ].map(row => mapper.map(row));
+
+    expect(entries.filter(Boolean)).toEqual([
+      { url: 'https://contoso.com', row: { Website: 'www.contoso.com', Company: 'Contoso' } },
+      { url: 'https://northwind.com/contact', row: { Website: 'Visit https://northwind.com/contact today', Company: 'Northwind' } }
+    ]);
+    expect(mapper.columns).toEqual(['Website', 'Company']);
+    expect(mapper).toMatchObject({ urlCount: 2, invalidRows: 2, duplicateRows: 2 });
+  });
+
+  it('takes known URLs as the rows would give them', () => {
+    const mapper = createColumnMapper(headers, { urlColumn: 'Website' }, ['contoso.com', 'www.Fabrikam.com/']);
+
+    expect(mapper.map({ Company: 'Contoso', Website: 'https://contoso.com', Phone: '1' })).toBeNull();
+    expect(mapper.map({ Company: 'Fabrikam', Website: 'fabrikam.com', Phone: '2' })).toBeNull();
+    expect(mapper.duplicateRows).toBe(2);
+  });
+
+  it('keeps every column when none are chosen', () => {
+    const mapper = createColumnMapper(headers, { urlColumn: 'Website' });
+
+    expect(mapper.map({ Company: 'Contoso', Website: 'contoso.com', Phone: '1' }).row).toEqual({ Company: 'Contoso', Website: 'contoso.com', Phone: '1' });
+  });
+
+  it('rejects columns the table does not have', () => {
+    expect(() => createColumnMapper(headers, { urlColumn: 'Domain' })).toThrow('Column "Domain" not found');
+    expect(() => createColumnMapper(headers, { urlColumn: 'Website', columns: ['Email'] })).toThrow('Column "Email" not found');
+  });
+});
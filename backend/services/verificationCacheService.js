@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { DIRECTORIES, VERIFICATION_SETTINGS } = require('../config/constants');
+
+const cachePath = path.join(__dirname, '..', DIRECTORIES.output, 'verification-cache.json');
+
+// Verification results by email and mail server facts (MX records, catch-all)
+// by domain; persisted to cachePath so they survive restarts
+const emailCache = new Map();
+const domainCache = new Map();
+let writeChain = Promise.resolve();
+
+/**
+ * Check whether a cache entry is still fresh
+ * @param {Object} entry - Cache entry with checkedAt and ttl
+ * @returns {boolean} True if the entry has not expired
+ */
+function isFresh(entry) {
+  return Boolean(entry) && Date.now() - new Date(entry.checkedAt).getTime() < entry.ttl;
+}
+
+/**
+ * Get the cached verification result of an email
+ * @param {string} email - Email address
+ * @returns {Object|null} Verification result, or null if not cached or expired
+ */
+function getCachedResult(email) {
+  const entry = emailCache.get(email.toLowerCase());
+  return isFresh(entry) ? entry.result : null;
+}
+
+/**
+ * Cache the verification result of an email. Definite SMTP answers are kept
+ * for VERIFICATION_SETTINGS.resultTtl, unknown ones for unknownResultTtl.
+ * @param {Object} result - Verification result
+ */
+function setCachedResult(result) {
+  if (!result || !result.email || result.status === 'error') return;
+  const ttl = result.mailbox === 'unknown' ? VERIFICATION_SETTINGS.unknownResultTtl : VERIFICATION_SETTINGS.resultTtl;
+  const key = result.email.toLowerCase();
+  // Re-inserting keeps the Map in least recently checked order for pruning
+  emailCache.delete(key);
+  emailCache.set(key, { result, checkedAt: result.checkedAt || new Date().toISOString(), ttl });
+}
+
+/**
+ * Get the cached mail server facts of a domain
+ * @param {string} domain - Email domain
+ * @returns {Object|null} Domain facts ({ mxRecords, catchAll }), or null if not cached or expired
+ */
+function getCachedDomain(domain) {
+  const entry = domainCache.get(domain.toLowerCase());
+  return isFresh(entry) ? entry.info : null;
+}
+
+/**
+ * Cache or update the mail server facts of a domain
+ * @param {string} domain - Email domain
+ * @param {Object} info - Facts to merge ({ mxRecords, catchAll }); catchAll is null while unknown
+ */
+function setCachedDomain(domain, info) {
+  const key = domain.toLowerCase();
+  const entry = domainCache.get(key);
+  if (isFresh(entry)) {
+    Object.assign(entry.info, info);
+  } else {
+    domainCache.set(key, {
+      info: { mxRecords: [], catchAll: null, ...info },
+      checkedAt: new Date().toISOString(),
+      ttl: VERIFICATION_SETTINGS.domainTtl
+    });
+  }
+}
+
+/**
+ * Drop expired entries and the oldest emails beyond VERIFICATION_SETTINGS.maxCachedEmails
+ */
+function pruneCache() {
+  [emailCache, domainCache].forEach(cache => {
+    cache.forEach((entry, key) => {
+      if (!isFresh(entry)) cache.delete(key);
+    });
+  });
+  const excess = emailCache.size - VERIFICATION_SETTINGS.maxCachedEmails;
+  Array.from(emailCache.keys()).slice(0, Math.max(0, excess)).forEach(key => emailCache.delete(key));
+}
+
+/**
+ * Persist the cache to disk. Writes are serialized so a slow write never
+ * overwrites a newer one.
+ * @returns {Promise} Resolves when the write has finished
+ */
+function saveVerificationCache() {
+  writeChain = writeChain
+    .then(() => {
+      pruneCache();
+      return fs.outputJson(cachePath, {
+        emails: Object.fromEntries(emailCache),
+        domains: Object.fromEntries(domainCache)
+      });
+    })
+    .catch(error => logger.error(`Failed to persist verification cache: ${error.message}`));
+  return writeChain;
+}
+
+/**
+ * Load the persisted cache from disk, skipping expired entries
+ * @returns {Promise<number>} Number of cached email results loaded
+ */
+async function loadVerificationCache() {
+  if (!(await fs.pathExists(cachePath))) return 0;
+  try {
+    const { emails = {}, domains = {} } = await fs.readJson(cachePath);
+    Object.entries(emails).forEach(([key, entry]) => emailCache.set(key, entry));
+    Object.entries(domains).forEach(([key, entry]) => domainCache.set(key, entry));
+    pruneCache();
+  } catch (error) {
+    logger.warn(`Ignoring unreadable verification cache: ${error.message}`);
+  }
+  return emailCache.size;
+}
+
+module.exports = {
+  getCachedResult,
+  setCachedResult,
+  getCachedDomain,
+  setCachedDomain,
+  saveVerificationCache,
+  loadVerificationCache
+};
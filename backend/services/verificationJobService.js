@@ -0,0 +1,199 @@
+const { verifyEmails } = require('./emailVerificationService');
+const { getUploadFormat, readTextLines, openUpload } = require('./uploadService');
+const { saveJob, emitJobEvent, waitWhilePaused, readJobInput } = require('./jobService');
+const {
+  getVerificationFileNames,
+  appendVerificationResults,
+  writeVerificationFiles,
+  readResultFile
+} = require('../utils/outputUtils');
+const { logger } = require('../utils/logger');
+const { VERIFICATION_SETTINGS } = require('../config/constants');
+
+/**
+ * Open the emails to verify in an uploaded file. TXT files hold one email
+ * per line; CSV and XLSX files keep every row so the output can repeat its
+ * columns. The file is read as the entries are iterated.
+ * @param {Object} file - Uploaded file ({ originalname, path })
+ * @param {string} [emailColumn] - Column holding the emails (detected when
+ * omitted: a column named like one, else the first holding an @ in the first rows)
+ * @returns {Promise<AsyncGenerator<Object>>} Entries ({ email, row })
+ */
+async function readEmailFile(file, emailColumn) {
+  const filename = file.originalname;
+  if (getUploadFormat(filename) === 'txt') {
+    const lines = await readTextLines(file);
+    return (async function* () {
+      for await (const email of lines) yield { email, row: null };
+    })();
+  }
+
+  const upload = await openUpload(file);
+  const { headers, sample } = upload;
+
+  let column = emailColumn
+    ? headers.find(header => header.toLowerCase() === emailColumn.toLowerCase())
+    : headers.find(header => /e-?mail/i.test(header));
+  if (!column && emailColumn) {
+    throw new Error(`Column "${emailColumn}" not found in ${filename}`);
+  }
+  if (!column) {
+    column = headers.find(header => sample.some(record => record[header].includes('@')));
+  }
+  if (!column) {
+    throw new Error(`No email column found in ${filename}`);
+  }
+
+  return (async function* () {
+    for await (const record of upload.rows) {
+      const email = record[column].trim();
+      if (email) yield { email, row: record };
+    }
+  })();
+}
+
+/**
+ * Read the emails found by a scrape job, one row per website and email,
+ * from the job's JSONL output
+ * @param {Object} scrapeJob - Scrape job
+ * @returns {AsyncGenerator<Object>} Entries ({ email, row })
+ */
+async function* readScrapeJobEmails(scrapeJob) {
+  if (!scrapeJob.files || !scrapeJob.files.jsonl) return;
+
+  for await (const result of readResultFile(scrapeJob.files.jsonl)) {
+    for (const email of result.emails || []) {
+      yield { email, row: { Website: result.website, Email: email } };
+    }
+  }
+}
+
+/**
+ * Create empty verification statistics
+ * @param {number} totalEmails - Emails of the job
+ * @returns {Object} Statistics with every count at zero
+ */
+function createStatistics(totalEmails) {
+  return {
+    totalEmails,
+    processedEmails: 0,
+    deliverable: 0,
+    risky: 0,
+    undeliverable: 0,
+    invalid: 0,
+    unknown: 0,
+    errors: 0,
+    cached: 0
+  };
+}
+
+/**
+ * Add a verification result to the statistics
+ * @param {Object} statistics - Statistics, updated in place
+ * @param {Object} result - Verification result
+ */
+function countResult(statistics, result) {
+  const key = result.status === 'error' ? 'errors' : result.status;
+  if (key in statistics) statistics[key]++;
+  if (result.cached) statistics.cached++;
+  statistics.processedEmails++;
+}
+
+/**
+ * Verify a batch of input entries (duplicates are checked once) and pair
+ * every entry with its result
+ * @param {Object} job - Verification job
+ * @param {Array<Object>} batch - Input entries ({ index, email, row })
+ * @returns {Promise<Array<Object>>} Results with their input index and original row
+ */
+async function verifyBatch(job, batch) {
+  const results = await verifyEmails(batch.map(entry => entry.email), job.options);
+  const byEmail = new Map(results.map(result => [result.email, result]));
+  return batch.map(({ index, email, row }) => {
+    const trimmed = String(email || '').trim();
+    const result = byEmail.get(trimmed) || { email: trimmed, status: 'error', error: 'No verification result' };
+    return row ? { index, ...result, originalData: row } : { index, ...result };
+  });
+}
+
+/**
+ * Run a verification job: read the emails from the job's input file in
+ * batches, append each batch's results to the JSONL file and keep only the
+ * counts on the job, then write the JSON/CSV/XLSX output at the end. Results
+ * keep the input order; a cancelled job lists the emails it did not reach as
+ * skipped.
+ * @param {Object} job - Verification job created by the job service
+ */
+async function runVerificationJob(job) {
+  const startTime = Date.now();
+  const statistics = createStatistics(job.totalEmails);
+  job.files = getVerificationFileNames();
+  job.statistics = statistics;
+  job.processedEmails = 0;
+  await saveJob(job);
+
+  let batch = [];
+  const verifyPending = async () => {
+    const lines = await verifyBatch(job, batch);
+    batch = [];
+    lines.forEach(line => countResult(statistics, line));
+    await appendVerificationResults(job.files.jsonl, lines);
+
+    job.processedEmails = statistics.processedEmails;
+    logger.info(`[job ${job.id}] Verified ${job.processedEmails}/${job.totalEmails} emails`);
+    emitJobEvent(job, 'verify-progress', {
+      processedEmails: job.processedEmails,
+      totalEmails: job.totalEmails,
+      statistics
+    });
+    // The job holds counts only, so saving it after every batch stays cheap
+    await saveJob(job);
+    await waitWhilePaused(job);
+  };
+  const skipPending = async () => {
+    const lines = batch.map(({ index, email, row }) => (
+      row ? { index, email, status: 'skipped', originalData: row } : { index, email, status: 'skipped' }
+    ));
+    batch = [];
+    await appendVerificationResults(job.files.jsonl, lines);
+  };
+
+  for await (const entry of readJobInput(job)) {
+    batch.push(entry);
+    if (batch.length >= VERIFICATION_SETTINGS.batchSize) {
+      await (job.cancelRequested ? skipPending() : verifyPending());
+    }
+  }
+  if (batch.length > 0) {
+    await (job.cancelRequested ? skipPending() : verifyPending());
+  }
+
+  const files = await writeVerificationFiles(job, statistics);
+  const duration = Date.now() - startTime;
+
+  logger.info(`Job ${job.id} ${job.cancelRequested ? 'cancelled' : 'completed'} after ${duration}ms. Results saved to:\n- ${files.jsonPath}\n- ${files.jsonlPath}\n- ${files.csvPath}\n- ${files.xlsxPath}`);
+
+  job.status = job.cancelRequested ? 'cancelled' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  job.duration = `${duration}ms`;
+  job.statistics = statistics;
+  job.success = true;
+  job.message = job.cancelRequested
+    ? `Verification cancelled by user after ${statistics.processedEmails} of ${job.totalEmails} emails`
+    : `Verified ${statistics.processedEmails} emails`;
+  job.files = { json: files.json, jsonl: files.jsonl, csv: files.csv, xlsx: files.xlsx };
+
+  await saveJob(job);
+  emitJobEvent(job, 'run-complete', {
+    status: job.status,
+    message: job.message,
+    statistics,
+    files: job.files
+  });
+}
+
+module.exports = {
+  readEmailFile,
+  readScrapeJobEmails,
+  runVerificationJob
+};
@@ -0,0 +1,221 @@
+const cheerio = require('cheerio');
+const { ADDRESS_FORMATS, COUNTRY_NAMES } = require('../config/addressFormats');
+
+// A street line: house number first (12 Main St, 10 rue de Rivoli) or last
+// (Hauptstraße 5, Keizersgracht 123-A)
+const streetPattern = /^(?:\d+[a-z]?(?:[-/]\d+[a-z]?)?,?\s+\p{L}[\p{L}\d.'’ -]{1,60}|\p{L}[\p{L}.'’ -]{1,60}\s+\d+[a-z]?(?:[-/]\d+[a-z]?)?)$/iu;
+// Lines longer than this are prose, not address lines
+const maxLineLength = 120;
+// Country prefix some postcodes are written with (D-10115, CH-8001)
+const countryPrefix = /^(D|A|CH|DK)-/;
+
+/**
+ * Look up a country by the name written in an address
+ * @param {string} name - Country name or code
+ * @returns {string|null} ISO 3166-1 alpha-2 code, or null if unknown
+ */
+function getCountryCode(name) {
+  const value = String(name || '').trim().toLowerCase();
+  if (!value) return null;
+  if (/^[a-z]{2}$/.test(value) && ADDRESS_FORMATS[value.toUpperCase()]) return value.toUpperCase();
+  const code = Object.keys(COUNTRY_NAMES).find(country => COUNTRY_NAMES[country].includes(value));
+  return code || null;
+}
+
+/**
+ * Find the postcode line of an address. The country is left null when the
+ * postcode fits several formats the same way (10115 Berlin could be German,
+ * French, Italian, Spanish or Finnish) and neither the country tried first
+ * nor a country prefix (D-10115) decides.
+ * @param {string} part - One line or comma-separated part of an address
+ * @param {string} country - Country tried first (named in the address, or the site's)
+ * @returns {Object|null} Match ({ country, postcode, city, region, index }) or null
+ */
+function matchLocality(part, country) {
+  const countries = Object.keys(ADDRESS_FORMATS);
+  const order = country && ADDRESS_FORMATS[country] ? [country, ...countries.filter(code => code !== country)] : countries;
+
+  for (const code of order) {
+    const match = ADDRESS_FORMATS[code].locality.exec(part);
+    if (match) {
+      const { postcode, city, region } = match.groups;
+      const ambiguous = code !== country && !countryPrefix.test(postcode) && order.some(other => {
+        if (other === code) return false;
+        const otherMatch = ADDRESS_FORMATS[other].locality.exec(part);
+        return Boolean(otherMatch) && otherMatch.groups.postcode === postcode;
+      });
+      return {
+        country: ambiguous ? null : code,
+        postcode: postcode.replace(countryPrefix, ''),
+        city: city ? city.trim() : null,
+        region: region || null,
+        index: match.index
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse an address into its components
+ * @param {Array<string>} parts - Address lines or comma-separated parts, in order
+ * @param {string} country - Site country, tried first for the postcode format
+ * @returns {Object|null} Address ({ formatted, street, city, region, postcode, country }),
+ * or null if no postcode line is found
+ */
+function parseAddress(parts, country) {
+  const cleaned = parts.map(part => part.replace(/\s+/g, ' ').trim().replace(/^,|,$/g, '').trim()).filter(Boolean);
+
+  let countryCode = null;
+  let countryName = null;
+  if (cleaned.length > 1 && getCountryCode(cleaned[cleaned.length - 1])) {
+    countryName = cleaned.pop();
+    countryCode = getCountryCode(countryName);
+  }
+
+  for (let i = cleaned.length - 1; i >= 0; i--) {
+    const locality = matchLocality(cleaned[i], countryCode || country);
+    if (!locality) continue;
+
+    // Street and postcode on one line (Hauptstraße 5 10115 Berlin)
+    const prefix = cleaned[i].slice(0, locality.index).trim().replace(/,$/, '');
+    let first = i;
+    let street = null;
+    if (streetPattern.test(prefix)) {
+      street = prefix;
+    } else {
+      for (let j = i - 1; j >= Math.max(0, i - 2); j--) {
+        if (streetPattern.test(cleaned[j])) {
+          street = cleaned[j];
+          first = j;
+          break;
+        }
+      }
+    }
+    // City on its own line before the postcode (London, N1 1AA)
+    let city = locality.city;
+    if (!city && i > 0 && first < i - 1) {
+      city = cleaned[i - 1];
+    } else if (!city && i > 0 && !street) {
+      city = cleaned[i - 1];
+      first = i - 1;
+    }
+
+    return {
+      formatted: [...cleaned.slice(first, i + 1), ...(countryName ? [countryName] : [])].join(', '),
+      street,
+      city,
+      region: locality.region,
+      postcode: locality.postcode,
+      country: countryCode || locality.country
+    };
+  }
+  return null;
+}
+
+/**
+ * Normalize an address taken from structured data
+ * @param {string|Object} address - Address string or PostalAddress components ({ street, city, region, postcode, country })
+ * @param {string} country - Site country
+ * @returns {Object|null} Address ({ formatted, street, city, region, postcode, country }) or null if empty
+ */
+function normalizeAddress(address, country) {
+  if (typeof address === 'string') {
+    const parts = address.split(/\s*[,\n]\s*/);
+    return parseAddress(parts, country) || (address.trim() ? {
+      formatted: address.replace(/\s+/g, ' ').trim(),
+      street: null,
+      city: null,
+      region: null,
+      postcode: null,
+      country: null
+    } : null);
+  }
+
+  const { street = null, city = null, region = null, postcode = null } = address || {};
+  const countryCode = getCountryCode(address && address.country);
+  const format = ADDRESS_FORMATS[countryCode || country];
+  const locality = format && format.cityFirst
+    ? [city, [region, postcode].filter(Boolean).join(' ')]
+    : [[postcode, city].filter(Boolean).join(' '), region];
+  const formatted = [street, ...locality, address && address.country].filter(Boolean).join(', ');
+  if (!formatted) return null;
+  return {
+    formatted,
+    street,
+    city,
+    region,
+    postcode,
+    country: countryCode || (address.country ? String(address.country) : null)
+  };
+}
+
+/**
+ * Find the postal addresses on a page: `<address>` elements and lines of the
+ * visible text that hold a postcode next to a street line
+ * @param {string} text - Visible text of the page
+ * @param {string} html - HTML of the page
+ * @param {string} country - Site country, tried first for postcode formats
+ * @returns {Array<Object>} Addresses as { formatted, street, city, region, postcode, country, raw, technique }
+ */
+function findAddresses(text, html, country) {
+  const found = [];
+  const add = (address, raw, technique) => {
+    if (address && !found.some(other => isSameAddress(other, address))) {
+      found.push({ ...address, raw, technique });
+    }
+  };
+
+  if (html) {
+    try {
+      const $ = cheerio.load(html);
+      $('address').each((_, el) => {
+        $(el).find('br').replaceWith('\n');
+        const lines = $(el).text().split('\n').flatMap(line => line.split(',')).filter(line => line.trim());
+        const address = parseAddress(lines, country);
+        if (address) add(address, address.street || address.city || address.postcode, 'address-element');
+      });
+    } catch (_) {
+      // Ignore parsing errors
+    }
+  }
+
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line && line.length <= maxLineLength);
+  // Address parts, without a leading label such as "Visit us:"
+  const splitLine = line => line.replace(/^[^:\d]{1,30}:\s*/, '').split(/\s*[,|·•]\s*/);
+  lines.forEach((line, i) => {
+    const parts = splitLine(line);
+    if (!parts.some(part => matchLocality(part, country))) return;
+
+    // The street is on this line or the one above it; a country name may follow
+    const previous = i > 0 ? splitLine(lines[i - 1]) : [];
+    const next = i + 1 < lines.length && getCountryCode(lines[i + 1]) ? [lines[i + 1]] : [];
+    const sameLine = parseAddress([...parts, ...next], country);
+    const address = sameLine && sameLine.street ? sameLine : parseAddress([...previous, ...parts, ...next], country);
+    if (address && address.street) {
+      add(address, address.street, 'plain');
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Check whether two parsed addresses are the same place
+ * @param {Object} a - Address
+ * @param {Object} b - Address
+ * @returns {boolean} True if they share postcode and street (or the formatted text)
+ */
+function isSameAddress(a, b) {
+  const key = address => address.postcode && address.street
+    ? `${address.postcode}|${address.street}`.toLowerCase().replace(/[^\p{L}\d|]/gu, '')
+    : address.formatted.toLowerCase().replace(/[^\p{L}\d]/gu, '');
+  return key(a) === key(b);
+}
+
+module.exports = {
+  parseAddress,
+  normalizeAddress,
+  findAddresses,
+  isSameAddress
+};
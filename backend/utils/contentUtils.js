@@ -1,15 +1,14 @@
 const cheerio = require('cheerio');
-const { socialPatterns, contactHints, cloudflareBlockIndicators, phonePattern, addressPattern } = require('../config/patterns');
+const { cloudflareBlockIndicators } = require('../config/patterns');
 const { resolveUrl } = require('./urlUtils');
-const { logger } = require('./logger');
 
 /**
- * Find likely contact/about/support links on a page
+ * Extract all followable links from a page
  * @param {string} html - HTML content
  * @param {string} baseUrl - Base URL for resolving relative links
- * @returns {Array<string>} Array of contact-like URLs
+ * @returns {Array<Object>} Links as { url, text } in document order
  */
-function findContactLikeLinks(html, baseUrl) {
+function extractLinks(html, baseUrl) {
   const results = [];
   if (!html) return results;
   
@@ -17,19 +16,18 @@ function findContactLikeLinks(html, baseUrl) {
     const $ = cheerio.load(html);
     $('a[href]').each((_, el) => {
       const href = ($(el).attr('href') || '').trim();
-      const text = ($(el).text() || '').trim();
-      if (!href || href.startsWith('#') || href.startsWith('javascript:')) return;
-      if (contactHints.test(href) || contactHints.test(text)) {
-        const absolute = resolveUrl(baseUrl, href);
-        results.push(absolute);
-      }
+      const rel = ($(el).attr('rel') || '').toLowerCase();
+      if (!href || href.startsWith('#') || /^(javascript|mailto|tel|data):/i.test(href) || rel.includes('nofollow')) return;
+      results.push({
+        url: resolveUrl(baseUrl, href),
+        text: ($(el).text() || '').replace(/\s+/g, ' ').trim()
+      });
     });
   } catch (_) {
     // Ignore parsing errors
   }
   
-  // De-duplicate while preserving order
-  return Array.from(new Set(results)).slice(0, 5);
+  return results;
 }
 
 /**
@@ -71,105 +69,25 @@ function detectRegionBlock(html, currentUrl) {
 }
 
 /**
- * Extract social media links from text and HTML
- * @param {string} text - Text content
- * @param {string} html - HTML content
- * @returns {Object} Object with social media links
- */
-function extractSocialLinks(text, html) {
-  const socialLinks = {};
-  
-  // Extract from text content
-  Object.entries(socialPatterns).forEach(([platform, pattern]) => {
-    const matches = text.match(pattern);
-    if (matches && matches.length > 0) {
-      let url = matches[0];
-      if (!url.startsWith('http')) {
-        url = 'https://' + url;
-      }
-      socialLinks[platform] = url;
-    }
-  });
-  
-  // Extract from HTML for better accuracy
-  if (html) {
-    try {
-      const $ = cheerio.load(html);
-      
-      // Look for social media links in href attributes
-      $('a[href*="facebook"], a[href*="fb.com"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.facebook) {
-          socialLinks.facebook = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-      
-      $('a[href*="twitter"], a[href*="x.com"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.twitter) {
-          socialLinks.twitter = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-      
-      $('a[href*="linkedin"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.linkedin) {
-          socialLinks.linkedin = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-      
-      $('a[href*="instagram"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.instagram) {
-          socialLinks.instagram = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-      
-      $('a[href*="youtube"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.youtube) {
-          socialLinks.youtube = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-      
-      $('a[href*="tiktok"]').each((i, el) => {
-        const href = $(el).attr('href');
-        if (href && !socialLinks.tiktok) {
-          socialLinks.tiktok = href.startsWith('http') ? href : `https://${href}`;
-        }
-      });
-    } catch (error) {
-      logger.warn('Error parsing HTML for social links:', error.message);
-    }
-  }
-  
-  return socialLinks;
-}
-
-/**
- * Extract phone numbers from text
- * @param {string} text - Text content
- * @returns {Array<string>} Array of phone numbers
+ * Cut the text around a value, for showing where a contact was found
+ * @param {string} text - Text to search
+ * @param {string} value - Value to find (case-insensitive)
+ * @param {number} radius - Characters kept on each side of the value
+ * @returns {string|null} Snippet with whitespace collapsed, or null if the value is not in the text
  */
-function extractPhoneNumbers(text) {
-  const phoneMatches = text.match(phonePattern);
-  return phoneMatches ? [...new Set(phoneMatches)] : [];
-}
+function extractSnippet(text, value, radius = 60) {
+  if (!text || !value) return null;
+  const flat = text.replace(/\s+/g, ' ');
+  const index = flat.toLowerCase().indexOf(value.toLowerCase());
+  if (index === -1) return null;
 
-/**
- * Extract addresses from text
- * @param {string} text - Text content
- * @returns {Array<string>} Array of addresses
- */
-function extractAddresses(text) {
-  const addressMatches = text.match(addressPattern);
-  return addressMatches ? [...new Set(addressMatches)] : [];
+  const start = Math.max(0, index - radius);
+  const end = Math.min(flat.length, index + value.length + radius);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
 }
 
 module.exports = {
-  findContactLikeLinks,
+  extractLinks,
   detectRegionBlock,
-  extractSocialLinks,
-  extractPhoneNumbers,
-  extractAddresses
+  extractSnippet
 };
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { parse: parseDomain } = require('tldts');
+const { DOMAIN_INTELLIGENCE } = require('../config/constants');
+const { classifyEmail } = require('./emailRanking');
+const { logger } = require('./logger');
+
+const dataDir = path.join(__dirname, '..', 'data');
+const disposableFile = path.join(dataDir, 'disposable-domains.txt');
+const freeProviderFile = path.join(dataDir, 'free-email-providers.txt');
+
+// Loaded on first use; reloadDomainLists() picks up edited or updated files
+let lists = null;
+
+/**
+ * Read a domain list: one domain per line, # starts a comment
+ * @param {string} file - List file
+ * @returns {Array<string>} Lower-cased domains
+ */
+function readDomainList(file) {
+  try {
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+      .filter(Boolean);
+  } catch (error) {
+    logger.warn(`Could not read domain list ${file}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Read the disposable domains of the disposable-email-domains package. The
+ * JSON is parsed rather than required so it is not kept twice in memory.
+ * @returns {Array<string>} Lower-cased domains, including those whose
+ * subdomains are all disposable
+ */
+function readPackagedDisposableList() {
+  try {
+    const packageDir = path.dirname(require.resolve('disposable-email-domains/package.json'));
+    return ['index.json', 'wildcard.json']
+      .flatMap(file => JSON.parse(fs.readFileSync(path.join(packageDir, file), 'utf8')))
+      .map(domain => String(domain).trim().toLowerCase())
+      .filter(Boolean);
+  } catch (error) {
+    logger.warn(`Could not read the disposable-email-domains package: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * (Re)load the disposable and free-provider lists from disk and the
+ * disposable-email-domains package
+ * @returns {Object} Loaded list sizes ({ disposable, freeProviders })
+ */
+function reloadDomainLists() {
+  const disposable = new Set(readDomainList(disposableFile));
+  if (DOMAIN_INTELLIGENCE.usePackagedDisposableList) {
+    readPackagedDisposableList().forEach(domain => disposable.add(domain));
+  }
+  if (DOMAIN_INTELLIGENCE.extraDisposableFile) {
+    readDomainList(DOMAIN_INTELLIGENCE.extraDisposableFile).forEach(domain => disposable.add(domain));
+  }
+  lists = {
+    disposable,
+    freeProviders: new Set(readDomainList(freeProviderFile))
+  };
+  return { disposable: lists.disposable.size, freeProviders: lists.freeProviders.size };
+}
+
+/**
+ * Get the loaded lists, loading them on first use
+ * @returns {Object} Lists ({ disposable, freeProviders })
+ */
+function getLists() {
+  if (!lists) reloadDomainLists();
+  return lists;
+}
+
+/**
+ * Check whether a domain, or a domain it is a subdomain of, is in a list
+ * @param {Set<string>} list - Domain list
+ * @param {string} domain - Domain to check
+ * @returns {boolean} True if listed
+ */
+function isListed(list, domain) {
+  const labels = domain.toLowerCase().split('.');
+  return labels.slice(0, -1).some((_, i) => list.has(labels.slice(i).join('.')));
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions and swaps of
+ * neighbouring letters) that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Suggest the domain a misspelled one was probably meant to be: a free
+ * provider a typo or two away (gmial.com to gmail.com), or the same name with
+ * a misspelled TLD fixed (example.con to example.com). A domain under a TLD
+ * that exists keeps it, so company.cm is not taken for company.com.
+ * @param {string} domain - Email domain
+ * @returns {string|null} Suggested domain, or null if the domain looks intended
+ */
+function suggestDomain(domain) {
+  const value = domain.toLowerCase();
+  const { disposable, freeProviders } = getLists();
+  if (freeProviders.has(value) || isListed(disposable, value)) return null;
+
+  const { publicSuffix, isIcann } = parseDomain(value);
+
+  // Short provider names get fewer edits, and the shortest (gmx, aol, web)
+  // none, or every short company domain would look like a typo
+  let best = null;
+  let bestDistance = Infinity;
+  freeProviders.forEach(provider => {
+    const nameLength = provider.split('.')[0].length;
+    if (nameLength < 5) return;
+    if (isIcann && parseDomain(provider).publicSuffix !== publicSuffix) return;
+    const maxDistance = nameLength < 8 ? 1 : DOMAIN_INTELLIGENCE.maxTypoDistance;
+    if (Math.abs(provider.length - value.length) > maxDistance) return;
+    const distance = editDistance(value, provider);
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = provider;
+      bestDistance = distance;
+    }
+  });
+  if (best) return best;
+
+  if (isIcann) return null;
+  const tld = value.split('.').pop();
+  const fixedTld = DOMAIN_INTELLIGENCE.tldTypos[tld];
+  return fixedTld ? `${value.slice(0, -tld.length)}${fixedTld}` : null;
+}
+
+/**
+ * Look up what is known about an email address's domain and mailbox
+ * @param {string} email - Email address
+ * @returns {Object} Intelligence ({ isDisposable, isFreeProvider, isRoleAccount, didYouMean }),
+ * where didYouMean is the address with a suggested domain, or null
+ */
+function getDomainIntelligence(email) {
+  const [localPart, domain = ''] = String(email || '').toLowerCase().split('@');
+  const { disposable, freeProviders } = getLists();
+  const { type } = classifyEmail(email);
+  const suggestion = domain ? suggestDomain(domain) : null;
+
+  return {
+    isDisposable: Boolean(domain) && isListed(disposable, domain),
+    isFreeProvider: freeProviders.has(domain),
+    isRoleAccount: type === 'role' || type === 'no-reply',
+    didYouMean: suggestion ? `${localPart}@${suggestion}` : null
+  };
+}
+
+module.exports = {
+  getDomainIntelligence,
+  suggestDomain,
+  reloadDomainLists
+};
@@ -0,0 +1,38 @@
+const { getDomainIntelligence, suggestDomain } = require('./domainIntelligence');
+
+describe('suggestDomain', () => {
+  it('suggests the free provider a typo away', () => {
+    expect(suggestDomain('gmial.com')).toBe('gmail.com');
+    expect(suggestDomain('hotmial.co.uk')).toBe('hotmail.co.uk');
+  });
+
+  it('fixes top-level domains that do not exist', () => {
+    expect(suggestDomain('gmail.con')).toBe('gmail.com');
+    expect(suggestDomain('northwind-traders.con')).toBe('northwind-traders.com');
+    expect(suggestDomain('contoso.nett')).toBe('contoso.net');
+  });
+
+  it('leaves domains under a real country TLD alone', () => {
+    expect(suggestDomain('company.cm')).toBeNull();
+    expect(suggestDomain('acme.om')).toBeNull();
+    expect(suggestDomain('yahoo.cm')).toBeNull();
+  });
+
+  it('leaves known providers and ordinary domains alone', () => {
+    expect(suggestDomain('gmail.com')).toBeNull();
+    expect(suggestDomain('northwind-traders.com')).toBeNull();
+  });
+});
+
+describe('getDomainIntelligence', () => {
+  it('flags disposable, free-provider and role addresses', () => {
+    expect(getDomainIntelligence('info@gmail.com')).toEqual({
+      isDisposable: false,
+      isFreeProvider: true,
+      isRoleAccount: true,
+      didYouMean: null
+    });
+    expect(getDomainIntelligence('jane@mailinator.com').isDisposable).toBe(true);
+    expect(getDomainIntelligence('jane@gmial.com').didYouMean).toBe('jane@gmail.com');
+  });
+});
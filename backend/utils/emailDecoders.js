@@ -0,0 +1,252 @@
+const cheerio = require('cheerio');
+const { emailPatterns } = require('../config/patterns');
+
+// The standard email pattern; decoders only reveal plain addresses
+const standardEmailPattern = emailPatterns[0];
+
+/**
+ * Find plain email addresses in decoded text
+ * @param {string} text - Decoded text
+ * @param {string} context - Readable text around the hidden address, for snippets
+ * @returns {Array<Object>} Email candidates as { email, context } (not yet validated)
+ */
+function matchEmails(text, context = text) {
+  const matches = text ? text.match(new RegExp(standardEmailPattern.source, 'g')) || [] : [];
+  return matches.map(email => ({ email, context }));
+}
+
+/**
+ * Decode a Cloudflare email-protection hex string: the first byte is the
+ * XOR key for the remaining bytes
+ * @param {string} encoded - Hex string from data-cfemail or an email-protection link
+ * @returns {string} Decoded string, or '' if malformed
+ */
+function decodeCloudflareEmail(encoded) {
+  if (!/^([0-9a-f]{2})+$/i.test(encoded || '') || encoded.length < 4) return '';
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let decoded = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    decoded += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return decoded;
+}
+
+/**
+ * Emails hidden by Cloudflare email protection (`data-cfemail` attributes and
+ * `/cdn-cgi/l/email-protection#...` links)
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array<Object>} Email candidates
+ */
+function decodeCloudflare($) {
+  const encoded = [];
+  $('[data-cfemail]').each((_, el) => {
+    encoded.push({ value: $(el).attr('data-cfemail'), el });
+  });
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, el) => {
+    encoded.push({ value: ($(el).attr('href') || '').split('#')[1], el });
+  });
+  return encoded.flatMap(({ value, el }) => {
+    const decoded = decodeCloudflareEmail(value);
+    // Show the address where the page shows its "[email protected]" placeholder
+    const context = $(el).parent().text().replace($(el).text(), decoded);
+    return matchEmails(decoded, context);
+  });
+}
+
+/**
+ * Decode numeric and common named HTML entities in raw markup
+ * @param {string} html - Raw HTML
+ * @returns {string} HTML with entities decoded
+ */
+function decodeEntities(html) {
+  const named = { commat: '@', period: '.', dot: '.', amp: '&', nbsp: ' ', lowbar: '_', hyphen: '-', dash: '-' };
+  return html
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] || match);
+}
+
+/**
+ * Emails written with HTML entities (e.g. `info&#64;example&#46;com`)
+ * @param {string} html - Raw HTML
+ * @returns {Array<Object>} Email candidates that only appear once entities are decoded
+ */
+function decodeHtmlEntities(html) {
+  if (!/&#|&commat;|&period;/i.test(html)) return [];
+  // The visible text already shows these decoded, so it gives the snippet
+  return matchEmails(decodeEntities(html), '').filter(({ email }) => !html.includes(email));
+}
+
+/**
+ * Emails written backwards and flipped back with CSS (`direction: rtl` with
+ * `unicode-bidi: bidi-override`), inline or through a style rule. Plain
+ * `direction: rtl` does not reverse Latin text, so it is not enough.
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array<Object>} Email candidates
+ */
+function decodeReversedText($) {
+  const reversingStyle = /unicode-bidi\s*:\s*bidi-override/i;
+  const elements = [];
+  const selectors = [];
+
+  $('[style]').each((_, el) => {
+    if (reversingStyle.test($(el).attr('style'))) {
+      elements.push(el);
+    }
+  });
+
+  // Class rules in <style> blocks, e.g. .mail { direction: rtl; unicode-bidi: bidi-override }
+  $('style').each((_, el) => {
+    const css = $(el).html() || '';
+    const rulePattern = /([^{}]+)\{([^}]*)\}/g;
+    let rule;
+    while ((rule = rulePattern.exec(css)) !== null) {
+      if (reversingStyle.test(rule[2])) {
+        rule[1].split(',').map(selector => selector.trim()).filter(Boolean).forEach(selector => selectors.push(selector));
+      }
+    }
+  });
+
+  selectors.forEach(selector => {
+    try {
+      $(selector).each((_, el) => {
+        elements.push(el);
+      });
+    } catch (_) {
+      // Ignore selectors cheerio does not support
+    }
+  });
+
+  return elements.flatMap(el => matchEmails($(el).text().split('').reverse().join('')));
+}
+
+/**
+ * Evaluate a JavaScript string literal
+ * @param {string} literal - Quoted literal including its quotes
+ * @returns {string} String value
+ */
+function unquote(literal) {
+  return literal.slice(1, -1).replace(/\\(x[0-9a-f]{2}|u[0-9a-f]{4}|.)/gi, (_, escape) => {
+    if (/^x/i.test(escape) || /^u/i.test(escape)) {
+      return String.fromCharCode(parseInt(escape.slice(1), 16));
+    }
+    return escape;
+  });
+}
+
+/**
+ * Emails assembled by JavaScript string concatenation in inline scripts, e.g.
+ * `'info' + '@' + 'example.com'` or `user + '@' + domain` with the variables
+ * assigned string literals in the same script
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array<Object>} Email candidates
+ */
+function decodeJsConcatenation($) {
+  const literal = `"(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'`;
+  const term = `(?:${literal}|[A-Za-z_$][\\w$]*)`;
+  const expressionPattern = new RegExp(`${term}(?:\\s*\\+\\s*${term})+`, 'g');
+  const assignmentPattern = new RegExp(`([A-Za-z_$][\\w$]*)\\s*=\\s*(${literal})`, 'g');
+  const termPattern = new RegExp(term, 'g');
+  const candidates = [];
+
+  $('script').each((_, el) => {
+    const source = $(el).html() || '';
+    // Large bundled scripts never hold a hand-written address
+    if (!source.includes('+') || source.length > 200000) return;
+
+    const variables = {};
+    let assignment;
+    while ((assignment = assignmentPattern.exec(source)) !== null) {
+      variables[assignment[1]] = unquote(assignment[2]);
+    }
+
+    (source.match(expressionPattern) || []).forEach(expression => {
+      let value = '';
+      for (const part of expression.match(termPattern)) {
+        if (part[0] === '"' || part[0] === "'") {
+          value += unquote(part);
+        } else if (Object.prototype.hasOwnProperty.call(variables, part)) {
+          value += variables[part];
+        } else {
+          return;
+        }
+      }
+      candidates.push(...matchEmails(value));
+    });
+  });
+  return candidates;
+}
+
+/**
+ * Decode a base64 string if it holds printable text
+ * @param {string} value - Possibly base64-encoded value
+ * @returns {string} Decoded text, or '' if not base64 text
+ */
+function decodeBase64Text(value) {
+  if (!/^[A-Za-z0-9+/]{12,}={0,2}$/.test(value || '')) return '';
+  const decoded = Buffer.from(value, 'base64').toString('utf8');
+  return /^[\x20-\x7e]+$/.test(decoded) ? decoded : '';
+}
+
+/**
+ * Emails base64-encoded in data attributes or `atob('...')` calls
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array<Object>} Email candidates
+ */
+function decodeBase64($) {
+  const encoded = [];
+  $('*').each((_, el) => {
+    Object.entries(el.attribs || {}).forEach(([name, value]) => {
+      if (name.startsWith('data-')) {
+        encoded.push(value.trim());
+      }
+    });
+  });
+  $('script').each((_, el) => {
+    const source = $(el).html() || '';
+    const atobPattern = /atob\(\s*["']([A-Za-z0-9+/=]+)["']\s*\)/g;
+    let call;
+    while ((call = atobPattern.exec(source)) !== null) {
+      encoded.push(call[1]);
+    }
+  });
+  return encoded.flatMap(value => matchEmails(decodeBase64Text(value)));
+}
+
+/**
+ * Run every decoder over a page's HTML
+ * @param {string} html - Raw HTML
+ * @returns {Array<Object>} Candidates as { email, technique, context } (not yet validated)
+ */
+function decodeHiddenEmails(html) {
+  if (!html) return [];
+
+  let $;
+  try {
+    $ = cheerio.load(html);
+  } catch (_) {
+    return [];
+  }
+
+  const decoders = [
+    ['cloudflare', () => decodeCloudflare($)],
+    ['html-entities', () => decodeHtmlEntities(html)],
+    ['rtl', () => decodeReversedText($)],
+    ['js-concatenation', () => decodeJsConcatenation($)],
+    ['base64', () => decodeBase64($)]
+  ];
+
+  return decoders.flatMap(([technique, decode]) => {
+    try {
+      return decode().map(candidate => ({ ...candidate, technique }));
+    } catch (_) {
+      // A decoder failing on odd markup must not lose the other techniques
+      return [];
+    }
+  });
+}
+
+module.exports = {
+  decodeCloudflareEmail,
+  decodeHiddenEmails
+};
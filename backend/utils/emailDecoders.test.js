@@ -0,0 +1,94 @@
+const { decodeCloudflareEmail, decodeHiddenEmails } = require('./emailDecoders');
+
+/**
+ * Encode an address the way Cloudflare email protection does
+ * @param {string} email - Address to hide
+ * @param {number} key - XOR key byte
+ * @returns {string} Hex string
+ */
+function encodeCloudflare(email, key = 0x42) {
+  const hex = value => value.toString(16).padStart(2, '0');
+  return hex(key) + email.split('').map(char => hex(char.charCodeAt(0) ^ key)).join('');
+}
+
+/**
+ * Addresses found with a technique
+ * @param {string} html - Page HTML
+ * @param {string} technique - Decoder name
+ * @returns {Array<string>} Decoded addresses
+ */
+function emailsBy(html, technique) {
+  return decodeHiddenEmails(html)
+    .filter(candidate => candidate.technique === technique)
+    .map(candidate => candidate.email);
+}
+
+describe('decodeCloudflareEmail', () => {
+  it('decodes a data-cfemail hex string', () => {
+    expect(decodeCloudflareEmail(encodeCloudflare('jane.doe@northwind-traders.com'))).toBe('jane.doe@northwind-traders.com');
+  });
+
+  it('returns an empty string for malformed input', () => {
+    expect(decodeCloudflareEmail('')).toBe('');
+    expect(decodeCloudflareEmail('42')).toBe('');
+    expect(decodeCloudflareEmail('4z2f')).toBe('');
+    expect(decodeCloudflareEmail('42a')).toBe('');
+  });
+});
+
+describe('decodeHiddenEmails', () => {
+  it('decodes Cloudflare attributes and links, with the address in the snippet', () => {
+    const html = `<p>Write to <span data-cfemail="${encodeCloudflare('sales@northwind-traders.com')}">[email&#160;protected]</span> today</p>
+      <a href="/cdn-cgi/l/email-protection#${encodeCloudflare('press@northwind-traders.com', 0x17)}">Press</a>`;
+
+    const candidates = decodeHiddenEmails(html).filter(candidate => candidate.technique === 'cloudflare');
+
+    expect(candidates.map(candidate => candidate.email)).toEqual(['sales@northwind-traders.com', 'press@northwind-traders.com']);
+    expect(candidates[0].context).toContain('Write to sales@northwind-traders.com today');
+  });
+
+  it('decodes numeric and named HTML entities', () => {
+    const html = '<p>info&#64;fabrikam&#x2E;com or support&commat;fabrikam&period;com</p>';
+
+    expect(emailsBy(html, 'html-entities')).toEqual(['info@fabrikam.com', 'support@fabrikam.com']);
+  });
+
+  it('skips addresses the markup already shows in plain text', () => {
+    expect(emailsBy('<p>info@fabrikam.com &#169; 2024</p>', 'html-entities')).toEqual([]);
+  });
+
+  it('reverses text flipped with bidi-override, inline or through a style rule', () => {
+    const html = `<style>.mail, .other { direction: rtl; unicode-bidi: bidi-override; }</style>
+      <span style="direction: rtl; unicode-bidi: bidi-override">moc.osotnoc@ofni</span>
+      <span class="mail">moc.osotnoc@selas</span>
+      <span style="direction: rtl">moc.osotnoc@sserp</span>`;
+
+    expect(emailsBy(html, 'rtl')).toEqual(['info@contoso.com', 'sales@contoso.com']);
+  });
+
+  it('assembles string concatenation in inline scripts, variables included', () => {
+    const html = `<script>
+      var user = 'office';
+      var domain = "contoso.com";
+      document.write('info' + '\\x40' + 'contoso.com');
+      document.write(user + '@' + domain);
+      document.write(user + '@' + unknown);
+    </script>`;
+
+    expect(emailsBy(html, 'js-concatenation')).toEqual(['info@contoso.com', 'office@contoso.com']);
+  });
+
+  it('decodes base64 in data attributes and atob calls', () => {
+    const encode = value => Buffer.from(value).toString('base64');
+    const html = `<a data-mail="${encode('hello@fabrikam.com')}">Mail</a>
+      <script>location.href = 'mailto:' + atob('${encode('jobs@fabrikam.com')}');</script>
+      <div data-id="${encode('no address here')}"></div>`;
+
+    expect(emailsBy(html, 'base64')).toEqual(['hello@fabrikam.com', 'jobs@fabrikam.com']);
+  });
+
+  it('finds nothing in empty or plain pages', () => {
+    expect(decodeHiddenEmails('')).toEqual([]);
+    expect(decodeHiddenEmails('<p>Contact us at info@contoso.com</p>')).toEqual([]);
+  });
+});
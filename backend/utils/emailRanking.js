@@ -0,0 +1,104 @@
+const { contactHints } = require('../config/patterns');
+const { ROLE_LOCAL_PARTS, noReplyPattern, THIRD_PARTY_DOMAINS, junkPatterns } = require('../config/emailRules');
+const { extractDomainFromEmail } = require('./emailUtils');
+const { getRegistrableDomain } = require('./urlUtils');
+
+// Score weights; see scoreEmail
+const SCORES = {
+  domainMatch: 40,
+  personal: 25,
+  role: { primary: 30, secondary: 20, low: 5 },
+  noReply: -100,
+  thirdParty: -50,
+  contactPage: 10,
+  mailto: 5,
+  structuredData: 10
+};
+
+/**
+ * Check whether a string that passed email validation is not a real address
+ * (image file names, error-tracker keys, placeholders)
+ * @param {string} email - Email address
+ * @returns {boolean} True if the email is junk
+ */
+function isJunkEmail(email) {
+  return junkPatterns.some(pattern => pattern.test(email));
+}
+
+/**
+ * Classify an email address
+ * @param {string} email - Email address
+ * @returns {Object} Classification ({ type, role }) where type is personal,
+ * role, no-reply or third-party and role is the role tier (primary, secondary, low) or null
+ */
+function classifyEmail(email) {
+  const localPart = email.split('@')[0].toLowerCase();
+  const domain = getRegistrableDomain(`http://${extractDomainFromEmail(email)}`);
+
+  if (noReplyPattern.test(localPart)) {
+    return { type: 'no-reply', role: null };
+  }
+  if (THIRD_PARTY_DOMAINS.has(domain)) {
+    return { type: 'third-party', role: null };
+  }
+
+  // Sub-addressing and separators do not change the mailbox (sales+web, sales.de)
+  const mailbox = localPart.split('+')[0];
+  const baseMailbox = mailbox.split(/[-_.]/)[0];
+  const role = Object.keys(ROLE_LOCAL_PARTS).find(tier =>
+    ROLE_LOCAL_PARTS[tier].includes(mailbox) || ROLE_LOCAL_PARTS[tier].includes(baseMailbox)
+  );
+  return role ? { type: 'role', role } : { type: 'personal', role: null };
+}
+
+/**
+ * Score how useful an email is as the site's contact
+ * @param {Object} detail - Email detail ({ email, technique, sourceUrl })
+ * @param {string} siteUrl - URL of the scraped website
+ * @returns {Object} Ranking fields ({ type, role, domainMatch, score })
+ */
+function scoreEmail(detail, siteUrl) {
+  const { type, role } = classifyEmail(detail.email);
+  const emailDomain = getRegistrableDomain(`http://${extractDomainFromEmail(detail.email)}`);
+  const domainMatch = emailDomain !== null && emailDomain === getRegistrableDomain(siteUrl);
+
+  let score = 0;
+  if (domainMatch) score += SCORES.domainMatch;
+  if (type === 'personal') score += SCORES.personal;
+  if (type === 'role') score += SCORES.role[role];
+  if (type === 'no-reply') score += SCORES.noReply;
+  if (type === 'third-party') score += SCORES.thirdParty;
+  if (detail.sourceUrl && contactHints.test(new URL(detail.sourceUrl).pathname)) score += SCORES.contactPage;
+  if (detail.technique === 'mailto') score += SCORES.mailto;
+  // The site's own schema.org markup names its contact address
+  if (detail.technique === 'json-ld' || detail.technique === 'microdata') score += SCORES.structuredData;
+
+  return { type, role, domainMatch, score };
+}
+
+/**
+ * Rank a site's emails: classify and score each one, order them best first
+ * and pick the primary contact email (the best personal or role address)
+ * @param {Array<Object>} emailDetails - Email details found on the site
+ * @param {string} siteUrl - URL of the scraped website
+ * @returns {Object} Ranked details and the primary email ({ emailDetails, primaryEmail })
+ */
+function rankEmails(emailDetails, siteUrl) {
+  const ranked = emailDetails
+    .filter(detail => !isJunkEmail(detail.email))
+    .map(detail => ({ ...detail, ...scoreEmail(detail, siteUrl) }))
+    .sort((a, b) => b.score - a.score);
+
+  const primary = ranked.find(detail => (detail.type === 'personal' || detail.type === 'role') && detail.score > 0);
+
+  return {
+    emailDetails: ranked,
+    primaryEmail: primary ? primary.email : null
+  };
+}
+
+module.exports = {
+  isJunkEmail,
+  classifyEmail,
+  rankEmails
+};
@@ -1,6 +1,7 @@
 const validator = require('validator');
 const cheerio = require('cheerio');
 const { emailPatterns } = require('../config/patterns');
+const { decodeHiddenEmails } = require('./emailDecoders');
 
 /**
  * Extract emails from text content using various patterns
@@ -53,7 +54,12 @@ function extractEmailsFromHtml(html) {
     $('a[href^="mailto:"]').each((_, el) => {
       const href = $(el).attr('href');
       if (!href) return;
-      const mail = href.replace(/^mailto:/i, '').split('?')[0].trim();
+      let mail = href.replace(/^mailto:/i, '').split('?')[0].trim();
+      try {
+        mail = decodeURIComponent(mail);
+      } catch (_) {
+        // Keep malformed percent-encoding as is
+      }
       if (mail && validator.isEmail(mail)) {
         emails.add(mail.toLowerCase());
       }
@@ -65,6 +71,42 @@ function extractEmailsFromHtml(html) {
   return Array.from(emails);
 }
 
+/**
+ * Find all emails on a page, each tagged with the technique that revealed
+ * it: mailto, plain, obfuscated ([at]/(dot) spellings), cloudflare,
+ * html-entities, rtl, js-concatenation or base64. An email found several
+ * ways keeps the first technique in that order.
+ * @param {string} text - Visible text of the page
+ * @param {string} html - HTML of the page
+ * @returns {Array<Object>} Emails as { email, technique, context }; context is
+ * readable text around addresses that are not in the visible text as they are
+ */
+function findEmails(text, html) {
+  const found = new Map();
+  const add = (email, technique, context = '') => {
+    const clean = String(email).trim().toLowerCase();
+    if (!found.has(clean) && validator.isEmail(clean)) {
+      found.set(clean, { email: clean, technique, context });
+    }
+  };
+  
+  const visibleEmails = extractEmails(text || '');
+  const standardPattern = new RegExp(emailPatterns[0].source, 'g');
+  const plainEmails = new Set(((text || '').match(standardPattern) || []).map(email => email.toLowerCase()));
+  const rawHtml = (html || '').toLowerCase();
+  
+  extractEmailsFromHtml(html).forEach(email => add(email, 'mailto'));
+  // Plain addresses that are in the markup as they are
+  visibleEmails
+    .filter(email => plainEmails.has(email) && (!html || rawHtml.includes(email)))
+    .forEach(email => add(email, 'plain'));
+  decodeHiddenEmails(html).forEach(({ email, technique, context }) => add(email, technique, context));
+  // What is left was spelled out ([at], (dot)) or rendered by scripts
+  visibleEmails.forEach(email => add(email, plainEmails.has(email) ? 'plain' : 'obfuscated'));
+  
+  return Array.from(found.values());
+}
+
 /**
  * Extract domain from email address
  * @param {string} email - Email address
@@ -81,5 +123,6 @@ function extractDomainFromEmail(email) {
 module.exports = {
   extractEmails,
   extractEmailsFromHtml,
+  findEmails,
   extractDomainFromEmail
 };
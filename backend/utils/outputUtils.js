@@ -0,0 +1,550 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { createObjectCsvStringifier } = require('csv-writer');
+const { DIRECTORIES } = require('../config/constants');
+const { PLATFORMS } = require('../config/platforms');
+const { createResultsWorkbookWriter } = require('./spreadsheetUtils');
+
+const outputDir = path.join(__dirname, '..', DIRECTORIES.output);
+
+// Scraping result columns written after the original CSV columns
+const baseHeaders = [
+  { id: 'website', title: 'Website' },
+  { id: 'organizationName', title: 'Organization' },
+  { id: 'organizationLogo', title: 'Logo' },
+  { id: 'organizationDescription', title: 'Description' },
+  { id: 'emails', title: 'Emails' },
+  { id: 'primaryEmail', title: 'Primary Email' },
+  { id: 'emailTypes', title: 'Email Types' },
+  { id: 'emailTechniques', title: 'Email Techniques' },
+  { id: 'emailSources', title: 'Email Sources' },
+  // One column per platform in the registry
+  ...PLATFORMS.map(platform => ({ id: platform.id, title: platform.name })),
+  { id: 'phoneNumbers', title: 'Phone Numbers' },
+  { id: 'phoneTypes', title: 'Phone Types' },
+  { id: 'addresses', title: 'Addresses' },
+  { id: 'addressStreet', title: 'Street' },
+  { id: 'addressCity', title: 'City' },
+  { id: 'addressRegion', title: 'Region' },
+  { id: 'addressPostcode', title: 'Postcode' },
+  { id: 'addressCountry', title: 'Country' },
+  { id: 'pagesCrawled', title: 'Pages Crawled' },
+  { id: 'fetchTier', title: 'Fetch Tier' },
+  { id: 'robotsSkippedPages', title: 'Skipped by robots.txt' },
+  { id: 'optimizationNote', title: 'Optimization Note' },
+  { id: 'isCriticalError', title: 'Critical Error' },
+  { id: 'skipped', title: 'Skipped' },
+  { id: 'error', title: 'Error' }
+];
+
+/**
+ * Check whether an original CSV column holds the website itself
+ * @param {string} key - Column name
+ * @returns {boolean} True if the column is the website/url column
+ */
+function isWebsiteColumn(key) {
+  return key.toLowerCase() === 'website' || key.toLowerCase() === 'url';
+}
+
+/**
+ * Collect the original CSV columns of a set of scraping results
+ * @param {Array<Object>} results - Scraping results
+ * @returns {Array<string>} Column names in order of first appearance
+ */
+function getOriginalColumns(results) {
+  const originalColumns = new Set();
+  results.forEach(result => {
+    Object.keys(result.originalData || {}).forEach(key => originalColumns.add(key));
+  });
+  return Array.from(originalColumns);
+}
+
+/**
+ * Build CSV headers with original columns first, then scraping results
+ * @param {Array<string>} columns - Original CSV columns of the input
+ * @returns {Array<Object>} csv-writer header definitions
+ */
+function buildCsvHeaders(columns) {
+  const originalHeaders = columns
+    .filter(col => !isWebsiteColumn(col))
+    .map(col => ({
+      id: `original_${col}`,
+      title: col
+    }));
+
+  return [...originalHeaders, ...baseHeaders];
+}
+
+/**
+ * Flatten a scraping result into a CSV record
+ * @param {Object} result - Scraping result
+ * @returns {Object} CSV record keyed by header id
+ */
+function toCsvRecord(result) {
+  // Results saved before addresses were parsed hold plain strings
+  const addresses = (result.addresses || []).map(address => (typeof address === 'string' ? { formatted: address } : address));
+  // The component columns describe the first address found
+  const [address = {}] = addresses;
+  const record = {
+    website: result.website,
+    organizationName: (result.organization && result.organization.name) || '',
+    organizationLogo: (result.organization && result.organization.logo) || '',
+    organizationDescription: (result.organization && result.organization.description) || '',
+    emails: result.emails.join('; '),
+    primaryEmail: result.primaryEmail || '',
+    emailTypes: (result.emailDetails || []).filter(detail => detail.type).map(detail => `${detail.email} (${detail.type})`).join('; '),
+    emailTechniques: (result.emailDetails || []).map(detail => `${detail.email} (${detail.technique})`).join('; '),
+    emailSources: (result.emailDetails || []).map(detail => `${detail.email} (${detail.sourceUrl})`).join('; '),
+    ...Object.fromEntries(PLATFORMS.map(platform => [platform.id, (result.socialLinks || {})[platform.id] || ''])),
+    phoneNumbers: result.phoneNumbers.join('; '),
+    phoneTypes: (result.phoneDetails || []).map(detail => `${detail.phone} (${detail.type || 'unknown'})`).join('; '),
+    addresses: addresses.map(item => item.formatted).join('; '),
+    addressStreet: address.street || '',
+    addressCity: address.city || '',
+    addressRegion: address.region || '',
+    addressPostcode: address.postcode || '',
+    addressCountry: address.country || '',
+    pagesCrawled: result.pagesCrawled || 0,
+    fetchTier: result.fetchTier || '',
+    robotsSkippedPages: (result.robotsSkippedPages || []).join('; '),
+    optimizationNote: result.optimizationNote || '',
+    isCriticalError: result.isCriticalError ? 'Yes' : 'No',
+    skipped: result.skipped ? 'Yes' : 'No',
+    error: result.error || ''
+  };
+
+  // Add original CSV data
+  if (result.originalData) {
+    Object.keys(result.originalData).forEach(key => {
+      if (!isWebsiteColumn(key)) {
+        record[`original_${key}`] = result.originalData[key];
+      }
+    });
+  }
+
+  return record;
+}
+
+/**
+ * Get the output file names of a scrape run. The JSONL file grows while the
+ * job runs; the others are written when it finishes.
+ * @param {Object|null} existing - Files of a run to continue (jobs from before
+ * the JSONL file existed are named after their JSON file)
+ * @returns {Object} File names ({ json, jsonl, csv, xlsx })
+ */
+function getResultFileNames(existing = null) {
+  const base = existing
+    ? (existing.jsonl || existing.json).replace(/\.jsonl?$/, '')
+    : `scraping-results-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  return {
+    json: `${base}.json`,
+    jsonl: `${base}.jsonl`,
+    csv: `${base}.csv`,
+    xlsx: `${base}.xlsx`
+  };
+}
+
+/**
+ * Check whether the results of a scrape run are still on disk. A resumed job
+ * appends to its JSONL file and rebuilds the other files from it.
+ * @param {Object} files - File names of the run ({ jsonl })
+ * @returns {Promise<boolean>} True if the JSONL file exists
+ */
+function hasResultFiles(files) {
+  return fs.pathExists(path.join(outputDir, files.jsonl));
+}
+
+/**
+ * Read a text file line by line
+ * @param {string} filePath - File path
+ * @returns {AsyncIterable<string>} Lines without their line break
+ */
+function readLines(filePath) {
+  return readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+}
+
+/**
+ * Make sure a file that is appended to ends with a line break, so a line
+ * cut short by a crash does not swallow the next one
+ * @param {string} filePath - File path
+ */
+async function endWithNewline(filePath) {
+  if (!(await fs.pathExists(filePath))) return;
+  const { size } = await fs.stat(filePath);
+  if (size === 0) return;
+
+  const fd = await fs.open(filePath, 'r');
+  const lastByte = Buffer.alloc(1);
+  try {
+    await fs.read(fd, lastByte, 0, 1, size - 1);
+  } finally {
+    await fs.close(fd);
+  }
+  if (lastByte[0] !== 0x0a) {
+    await fs.appendFile(filePath, '\n');
+  }
+}
+
+/**
+ * Open the JSONL and CSV files of a scrape run for appending results as
+ * URLs finish. JSONL lines carry the URL index ({ index, ...result }); both
+ * files are in completion order until finalizeResultFiles sorts them.
+ * @param {Object} files - File names from getResultFileNames
+ * @param {Array<string>} columns - Original CSV columns of the input
+ * @returns {Promise<Object>} Writer with write(index, result), which resolves
+ * once the result is in both files
+ */
+async function openResultWriter(files, columns) {
+  const jsonlPath = path.join(outputDir, files.jsonl);
+  const csvPath = path.join(outputDir, files.csv);
+  const csvStringifier = createObjectCsvStringifier({ header: buildCsvHeaders(columns) });
+
+  await fs.ensureDir(outputDir);
+  await endWithNewline(jsonlPath);
+  await endWithNewline(csvPath);
+  if (!(await fs.pathExists(csvPath))) {
+    await fs.writeFile(csvPath, csvStringifier.getHeaderString());
+  }
+
+  // Appends are chained so lines of parallel URLs never interleave
+  let writes = Promise.resolve();
+  return {
+    write(index, result) {
+      const line = JSON.stringify({ index, ...result }) + '\n';
+      const row = csvStringifier.stringifyRecords([toCsvRecord(result)]);
+      writes = writes
+        .then(() => fs.appendFile(jsonlPath, line))
+        .then(() => fs.appendFile(csvPath, row));
+      return writes;
+    }
+  };
+}
+
+/**
+ * Open a file for streamed writing
+ * @param {string} filePath - File path
+ * @returns {Object} Stream with write(chunk), which waits while the stream
+ * is full, and end()
+ */
+function createOutputStream(filePath) {
+  const stream = fs.createWriteStream(filePath);
+  let failure = null;
+  stream.on('error', error => {
+    failure = error;
+  });
+
+  return {
+    write(chunk) {
+      if (failure) return Promise.reject(failure);
+      if (stream.write(chunk)) return Promise.resolve();
+      return new Promise((resolve, reject) => {
+        const settle = () => {
+          stream.off('drain', settle);
+          stream.off('error', settle);
+          if (failure) reject(failure);
+          else resolve();
+        };
+        stream.on('drain', settle);
+        stream.on('error', settle);
+      });
+    },
+
+    end() {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        stream.once('error', reject);
+        stream.end(resolve);
+      });
+    }
+  };
+}
+
+/**
+ * Write the final output of a scrape run from its JSONL file: the JSONL and
+ * CSV files are rewritten in input order with the latest result of every URL
+ * (a resumed URL has several lines), and the JSON and XLSX files are written
+ * next to them. Results are streamed one at a time, so memory use does not
+ * grow with the number of URLs.
+ * @param {Object} files - File names from getResultFileNames
+ * @param {Array<string>} columns - Original CSV columns of the input
+ * @param {Object} meta - Extra fields for the JSON file (jobId, totalUrls, statistics)
+ * @returns {Promise<Object>} File names and absolute paths of the written files
+ */
+async function finalizeResultFiles(files, columns, meta) {
+  const jsonPath = path.join(outputDir, files.json);
+  const jsonlPath = path.join(outputDir, files.jsonl);
+  const csvPath = path.join(outputDir, files.csv);
+  const xlsxPath = path.join(outputDir, files.xlsx);
+  await fs.ensureFile(jsonlPath);
+
+  // First pass: where the latest line of each URL starts and how long it is
+  const offsets = new Float64Array(meta.totalUrls).fill(-1);
+  const lengths = new Uint32Array(meta.totalUrls);
+  let position = 0;
+  for await (const line of readLines(jsonlPath)) {
+    const length = Buffer.byteLength(line);
+    const match = /^\{"index":(\d+)/.exec(line);
+    const index = match ? Number(match[1]) : -1;
+    if (index >= 0 && index < offsets.length) {
+      offsets[index] = position;
+      lengths[index] = length;
+    }
+    position += length + 1;
+  }
+
+  // Second pass: read those lines in input order into every output file
+  const timestamp = new Date().toISOString();
+  const headers = buildCsvHeaders(columns);
+  const csvStringifier = createObjectCsvStringifier({ header: headers });
+  const sortedPath = `${jsonlPath}.tmp`;
+  const jsonl = createOutputStream(sortedPath);
+  const csv = createOutputStream(csvPath);
+  const json = createOutputStream(jsonPath);
+  const workbook = createResultsWorkbookWriter(xlsxPath, headers);
+  const emails = new Set();
+  // The JSON file keeps the layout fs.writeJson gave it, results last
+  const [jsonHead, jsonTail] = JSON.stringify({ timestamp, ...meta, results: [] }, null, 2).split('"results": []');
+  let written = 0;
+
+  await csv.write(csvStringifier.getHeaderString());
+  await json.write(`${jsonHead}"results": [`);
+  const fd = await fs.open(jsonlPath, 'r');
+  try {
+    for (let index = 0; index < offsets.length; index++) {
+      if (offsets[index] < 0) continue;
+      const buffer = Buffer.alloc(lengths[index]);
+      await fs.read(fd, buffer, 0, lengths[index], offsets[index]);
+      const line = buffer.toString('utf8');
+      let result;
+      try {
+        result = JSON.parse(line);
+      } catch (_) {
+        // A line cut short by a crash
+        continue;
+      }
+      delete result.index;
+
+      const record = toCsvRecord(result);
+      (result.emails || []).forEach(email => emails.add(email.toLowerCase()));
+      await jsonl.write(`${line}\n`);
+      await csv.write(csvStringifier.stringifyRecords([record]));
+      await json.write(`${written > 0 ? ',' : ''}\n    ${JSON.stringify(result, null, 2).replace(/\n/g, '\n    ')}`);
+      workbook.addRecord(record);
+      written++;
+    }
+  } finally {
+    await fs.close(fd);
+  }
+  await json.write(`${written > 0 ? '\n  ' : ''}]${jsonTail}`);
+  await Promise.all([jsonl.end(), csv.end(), json.end()]);
+  await fs.move(sortedPath, jsonlPath, { overwrite: true });
+
+  await workbook.finish({
+    generatedAt: timestamp,
+    ...meta,
+    ...(meta.statistics || {}),
+    emailsFound: emails.size
+  });
+
+  return {
+    ...files,
+    jsonPath,
+    jsonlPath,
+    csvPath,
+    xlsxPath
+  };
+}
+
+/**
+ * Read the results of a scrape run from its JSONL file, one at a time
+ * @param {string} fileName - JSONL file name in the output directory
+ * @returns {AsyncGenerator<Object>} Results in file order
+ */
+async function* readResultFile(fileName) {
+  const filePath = path.join(outputDir, fileName);
+  if (!(await fs.pathExists(filePath))) return;
+
+  for await (const line of readLines(filePath)) {
+    try {
+      const { index, ...result } = JSON.parse(line);
+      yield result;
+    } catch (_) {
+      // Blank, or cut short by a crash
+    }
+  }
+}
+
+/**
+ * Read a page of the results of a scrape run from its JSONL file
+ * @param {string} fileName - JSONL file name in the output directory
+ * @param {Object} [page] - Page to read
+ * @param {number} [page.offset] - Results to skip
+ * @param {number} [page.limit] - Most results to return
+ * @returns {Promise<Object>} Results and the number of lines in the file ({ results, total })
+ */
+async function readResults(fileName, { offset = 0, limit = Infinity } = {}) {
+  const filePath = path.join(outputDir, fileName);
+  const results = [];
+  let total = 0;
+  if (!(await fs.pathExists(filePath))) return { results, total };
+
+  for await (const line of readLines(filePath)) {
+    if (!line) continue;
+    if (total >= offset && results.length < limit) {
+      try {
+        const { index, ...result } = JSON.parse(line);
+        results.push(result);
+      } catch (_) {
+        // Cut short by a crash
+      }
+    }
+    total++;
+  }
+  return { results, total };
+}
+
+// Verification result columns written after the original CSV columns
+const verificationHeaders = [
+  { id: 'email', title: 'Email' },
+  { id: 'status', title: 'Status' },
+  { id: 'score', title: 'Score' },
+  { id: 'mailbox', title: 'Mailbox' },
+  { id: 'isDisposable', title: 'Disposable' },
+  { id: 'isFreeProvider', title: 'Free Provider' },
+  { id: 'isRoleAccount', title: 'Role Account' },
+  { id: 'didYouMean', title: 'Did You Mean' },
+  { id: 'mxHost', title: 'MX Host' },
+  { id: 'notes', title: 'Notes' },
+  { id: 'error', title: 'Error' }
+];
+
+/**
+ * Get the output file names of a verification run. The JSONL file grows
+ * batch by batch while the job runs; the others are written when it finishes.
+ * @returns {Object} File names ({ json, jsonl, csv, xlsx })
+ */
+function getVerificationFileNames() {
+  const base = `verification-results-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  return {
+    json: `${base}.json`,
+    jsonl: `${base}.jsonl`,
+    csv: `${base}.csv`,
+    xlsx: `${base}.xlsx`
+  };
+}
+
+/**
+ * Append verification results to the JSONL file of a run, one line per
+ * input row ({ index, ...result, originalData })
+ * @param {string} fileName - JSONL file name in the output directory
+ * @param {Array<Object>} lines - Results with their input index and original row
+ * @returns {Promise} Resolves when the lines have been written
+ */
+async function appendVerificationResults(fileName, lines) {
+  await fs.ensureDir(outputDir);
+  await fs.appendFile(path.join(outputDir, fileName), lines.map(line => JSON.stringify(line) + '\n').join(''));
+}
+
+/**
+ * Flatten a verification result into a CSV record, original columns included
+ * @param {Object} result - Verification result, with the original row as originalData
+ * @returns {Object} CSV record keyed by header id
+ */
+function toVerificationRecord(result) {
+  const record = {
+    email: result.email,
+    status: result.status || '',
+    score: typeof result.score === 'number' ? result.score : '',
+    mailbox: result.mailbox || '',
+    isDisposable: result.isDisposable ? 'yes' : '',
+    isFreeProvider: result.isFreeProvider ? 'yes' : '',
+    isRoleAccount: result.isRoleAccount ? 'yes' : '',
+    didYouMean: result.didYouMean || '',
+    mxHost: (result.smtp && result.smtp.host) || '',
+    notes: (result.notes || []).join('; '),
+    error: result.error || ''
+  };
+  Object.entries(result.originalData || {}).forEach(([key, value]) => {
+    record[`original_${key}`] = value;
+  });
+  return record;
+}
+
+/**
+ * Write the JSON, CSV and XLSX output of a verification job from its JSONL
+ * file: one row per input row, with the original columns followed by the
+ * verification result. Results are streamed one at a time.
+ * @param {Object} job - Verification job ({ id, totalEmails, input, files })
+ * @param {Object} statistics - Run statistics for the XLSX statistics sheet
+ * @returns {Promise<Object>} File names and absolute paths of the written files
+ */
+async function writeVerificationFiles(job, statistics = {}) {
+  const { files } = job;
+  const jsonPath = path.join(outputDir, files.json);
+  const jsonlPath = path.join(outputDir, files.jsonl);
+  const csvPath = path.join(outputDir, files.csv);
+  const xlsxPath = path.join(outputDir, files.xlsx);
+  await fs.ensureFile(jsonlPath);
+
+  const timestamp = new Date().toISOString();
+  const headers = [
+    ...((job.input && job.input.columns) || []).map(col => ({ id: `original_${col}`, title: col })),
+    ...verificationHeaders
+  ];
+  const csvStringifier = createObjectCsvStringifier({ header: headers });
+  const csv = createOutputStream(csvPath);
+  const json = createOutputStream(jsonPath);
+  const workbook = createResultsWorkbookWriter(xlsxPath, headers);
+  const [jsonHead, jsonTail] = JSON.stringify({
+    timestamp,
+    jobId: job.id,
+    totalEmails: job.totalEmails,
+    results: []
+  }, null, 2).split('"results": []');
+  let written = 0;
+
+  await csv.write(csvStringifier.getHeaderString());
+  await json.write(`${jsonHead}"results": [`);
+  for await (const result of readResultFile(files.jsonl)) {
+    const record = toVerificationRecord(result);
+    await csv.write(csvStringifier.stringifyRecords([record]));
+    await json.write(`${written > 0 ? ',' : ''}\n    ${JSON.stringify(result, null, 2).replace(/\n/g, '\n    ')}`);
+    workbook.addRecord(record);
+    written++;
+  }
+  await json.write(`${written > 0 ? '\n  ' : ''}]${jsonTail}`);
+  await Promise.all([csv.end(), json.end()]);
+  await workbook.finish({
+    generatedAt: timestamp,
+    jobId: job.id,
+    ...statistics
+  });
+
+  return {
+    ...files,
+    jsonPath,
+    jsonlPath,
+    csvPath,
+    xlsxPath
+  };
+}
+
+module.exports = {
+  createOutputStream,
+  getResultFileNames,
+  hasResultFiles,
+  openResultWriter,
+  finalizeResultFiles,
+  readResultFile,
+  readResults,
+  getVerificationFileNames,
+  appendVerificationResults,
+  writeVerificationFiles,
+  getOriginalColumns,
+  buildCsvHeaders,
+  toCsvRecord
+};
@@ -0,0 +1,152 @@
+const cheerio = require('cheerio');
+const { parse: parseDomain } = require('tldts');
+const {
+  findPhoneNumbersInText,
+  parsePhoneNumberFromString,
+  isSupportedCountry
+} = require('libphonenumber-js/max');
+const { PHONE_SETTINGS } = require('../config/constants');
+
+// Dates and version strings that the phone matcher accepts as numbers
+const dateLikePattern = /^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/;
+
+// libphonenumber number types as shown in results; FIXED_LINE_OR_MOBILE and
+// UNKNOWN cannot be told apart from the number alone and stay unlabelled
+const numberTypes = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'landline',
+  TOLL_FREE: 'toll-free',
+  PREMIUM_RATE: 'premium-rate',
+  SHARED_COST: 'shared-cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
+
+/**
+ * Normalize a country code option
+ * @param {string} country - ISO 3166-1 alpha-2 code (any case; UK is accepted for GB)
+ * @returns {string|null} Upper-case code, or null if not a supported country
+ */
+function normalizeCountry(country) {
+  if (!country) return null;
+  const code = String(country).trim().toUpperCase() === 'UK' ? 'GB' : String(country).trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) && isSupportedCountry(code) ? code : null;
+}
+
+/**
+ * Infer the country a site's national-format numbers belong to: from its
+ * country-code TLD, then its `<html lang>` region (en-GB) or language (de),
+ * then PHONE_SETTINGS.fallbackCountry
+ * @param {string} siteUrl - Homepage URL after redirects
+ * @param {string} html - Homepage HTML
+ * @returns {string} ISO 3166-1 alpha-2 country code
+ */
+function inferCountry(siteUrl, html) {
+  const { publicSuffix } = parseDomain(siteUrl || '');
+  const tld = (publicSuffix || '').split('.').pop();
+  if (tld && tld.length === 2 && !PHONE_SETTINGS.genericCountryTlds.includes(tld)) {
+    const country = normalizeCountry(tld);
+    if (country) return country;
+  }
+
+  let lang = '';
+  try {
+    lang = (cheerio.load(html || '')('html').attr('lang') || '').trim().toLowerCase();
+  } catch (_) {
+    // Ignore parsing errors
+  }
+  const [language, region] = lang.split(/[-_]/);
+  return normalizeCountry(region) ||
+    normalizeCountry(PHONE_SETTINGS.languageCountries[language]) ||
+    PHONE_SETTINGS.fallbackCountry;
+}
+
+/**
+ * Describe a parsed phone number
+ * @param {Object} parsed - libphonenumber PhoneNumber
+ * @param {string} raw - Number as written on the page
+ * @param {string} technique - How it was found
+ * @returns {Object} Phone ({ phone, raw, technique, type, country })
+ */
+function describeNumber(parsed, raw, technique) {
+  return {
+    phone: parsed.number,
+    raw,
+    technique,
+    type: numberTypes[parsed.getType()] || null,
+    country: parsed.country || null
+  };
+}
+
+/**
+ * Parse and validate a single phone number
+ * @param {string} raw - Phone number in any format (tel: prefixes are accepted)
+ * @param {string} country - Country for numbers without a country code
+ * @param {string} technique - How the number was found
+ * @returns {Object|null} Phone ({ phone, raw, technique, type, country }) or null if invalid
+ */
+function normalizePhoneNumber(raw, country, technique = 'plain') {
+  const cleaned = String(raw || '').replace(/^tel:/i, '').split(/[;,]/)[0].trim();
+  let value = cleaned;
+  try {
+    value = decodeURIComponent(cleaned);
+  } catch (_) {
+    // Keep malformed percent-encoding as is
+  }
+  const parsed = parsePhoneNumberFromString(value, normalizeCountry(country) || undefined);
+  return parsed && parsed.isValid() ? describeNumber(parsed, value, technique) : null;
+}
+
+/**
+ * Find the phone numbers on a page: numbers in the visible text, `tel:`
+ * links and WhatsApp click-to-chat links (wa.me, api.whatsapp.com), all
+ * validated and normalized to E.164
+ * @param {string} text - Visible text of the page
+ * @param {string} html - HTML of the page
+ * @param {string} country - Country for numbers without a country code
+ * @returns {Array<Object>} Phones as { phone, raw, technique, type, country }; technique is tel, whatsapp or plain
+ */
+function findPhoneNumbers(text, html, country) {
+  const found = new Map();
+  const add = phone => {
+    if (phone && !found.has(phone.phone)) {
+      found.set(phone.phone, phone);
+    }
+  };
+
+  if (html) {
+    try {
+      const $ = cheerio.load(html);
+      $('a[href^="tel:"], a[href^="TEL:"]').each((_, el) => {
+        add(normalizePhoneNumber($(el).attr('href'), country, 'tel'));
+      });
+      $('a[href*="wa.me/"], a[href*="whatsapp.com/send"]').each((_, el) => {
+        const href = $(el).attr('href') || '';
+        const match = href.match(/wa\.me\/\+?(\d{6,15})/i) || href.match(/[?&]phone=\+?(\d{6,15})/i);
+        // WhatsApp links always carry the full international number
+        if (match) add(normalizePhoneNumber(`+${match[1]}`, null, 'whatsapp'));
+      });
+    } catch (_) {
+      // Ignore parsing errors
+    }
+  }
+
+  findPhoneNumbersInText(text || '', { defaultCountry: normalizeCountry(country) || undefined, v2: true })
+    .forEach(({ number, startsAt, endsAt }) => {
+      const raw = text.slice(startsAt, endsAt);
+      if (dateLikePattern.test(raw) || raw.replace(/\D/g, '').length < PHONE_SETTINGS.minDigits) return;
+      add(describeNumber(number, raw, 'plain'));
+    });
+
+  return Array.from(found.values());
+}
+
+module.exports = {
+  normalizeCountry,
+  inferCountry,
+  normalizePhoneNumber,
+  findPhoneNumbers
+};
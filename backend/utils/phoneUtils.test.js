@@ -0,0 +1,79 @@
+const { normalizeCountry, inferCountry, normalizePhoneNumber, findPhoneNumbers } = require('./phoneUtils');
+
+describe('normalizeCountry', () => {
+  it('upper-cases supported codes and accepts UK for GB', () => {
+    expect(normalizeCountry('de')).toBe('DE');
+    expect(normalizeCountry(' uk ')).toBe('GB');
+  });
+
+  it('rejects unknown or missing codes', () => {
+    expect(normalizeCountry('XX')).toBeNull();
+    expect(normalizeCountry('DEU')).toBeNull();
+    expect(normalizeCountry('')).toBeNull();
+  });
+});
+
+describe('inferCountry', () => {
+  it('uses a country-code TLD', () => {
+    expect(inferCountry('https://www.example.de/', '<html lang="en">')).toBe('DE');
+    expect(inferCountry('https://shop.example.co.uk/', '')).toBe('GB');
+  });
+
+  it('falls back to the html lang region, then the language', () => {
+    expect(inferCountry('https://example.com/', '<html lang="en-AU"><body></body></html>')).toBe('AU');
+    expect(inferCountry('https://example.io/', '<html lang="fr"><body></body></html>')).toBe('FR');
+  });
+
+  it('falls back to the configured country', () => {
+    expect(inferCountry('https://example.com/', '<html><body></body></html>')).toBe('US');
+  });
+});
+
+describe('normalizePhoneNumber', () => {
+  it('normalizes national numbers with the given country to E.164', () => {
+    expect(normalizePhoneNumber('030 901820', 'DE')).toEqual({
+      phone: '+4930901820',
+      raw: '030 901820',
+      technique: 'plain',
+      type: 'landline',
+      country: 'DE'
+    });
+  });
+
+  it('strips tel: prefixes, parameters and percent-encoding', () => {
+    const phone = normalizePhoneNumber('tel:%2B44%2020%207946%200958;ext=12', null, 'tel');
+
+    expect(phone.phone).toBe('+442079460958');
+    expect(phone.raw).toBe('+44 20 7946 0958');
+    expect(phone.technique).toBe('tel');
+    expect(phone.country).toBe('GB');
+  });
+
+  it('returns null for invalid numbers', () => {
+    expect(normalizePhoneNumber('12345', 'US')).toBeNull();
+    expect(normalizePhoneNumber('', 'US')).toBeNull();
+  });
+});
+
+describe('findPhoneNumbers', () => {
+  it('finds tel:, WhatsApp and plain numbers once each', () => {
+    const html = `<a href="tel:+4930901820">Call</a>
+      <a href="https://wa.me/4915123456789">WhatsApp</a>
+      <a href="https://api.whatsapp.com/send?phone=+442079460958">Chat</a>`;
+    const text = 'Call +49 30 901820 or our office on 089 1234567.';
+
+    const phones = findPhoneNumbers(text, html, 'DE');
+
+    expect(phones.map(({ phone, technique }) => [phone, technique])).toEqual([
+      ['+4930901820', 'tel'],
+      ['+4915123456789', 'whatsapp'],
+      ['+442079460958', 'whatsapp'],
+      ['+49891234567', 'plain']
+    ]);
+    expect(phones[1].type).toBe('mobile');
+  });
+
+  it('skips dates and numbers with too few digits', () => {
+    expect(findPhoneNumbers('Updated 2024-03-15, ref 12 34', '', 'DE')).toEqual([]);
+  });
+});
@@ -0,0 +1,159 @@
+const cheerio = require('cheerio');
+const { socialUrlPattern } = require('../config/patterns');
+const { PLATFORMS } = require('../config/platforms');
+const { resolveUrl, getRegistrableDomain } = require('./urlUtils');
+
+// Redirect wrappers that carry the real link in a query parameter
+const REDIRECT_WRAPPERS = {
+  'l.facebook.com': 'u',
+  'lm.facebook.com': 'u',
+  'google.com': 'q',
+  'out.reddit.com': 'url',
+  'l.instagram.com': 'u',
+  'linkedin.com': 'url' // linkedin.com/redir/redirect?url=
+};
+
+/**
+ * Strip the www., m. and locale (de-de.) subdomains from a host
+ * @param {string} hostname - Host name
+ * @returns {string} Bare host
+ */
+function bareHost(hostname) {
+  const host = hostname.toLowerCase();
+  const bare = host.replace(/^(www|m|mobile|web|touch|[a-z]{2}(-[a-z]{2})?)\./, '');
+  // fb.com and wa.me are hosts themselves, not subdomains
+  return bare.includes('.') ? bare : host;
+}
+
+/**
+ * Canonicalize a social media link: unwrap redirect wrappers, normalize the
+ * host (x.com to twitter.com, m./www.), drop query tracking and reject
+ * share, intent, plugin and post URLs
+ * @param {string} url - Link found on a page
+ * @returns {Object|null} Profile ({ platform, url, handle }), or null if the link is not a profile
+ */
+function canonicalizeSocialUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (_) {
+    return null;
+  }
+
+  const host = bareHost(parsed.hostname);
+  const wrapperParam = REDIRECT_WRAPPERS[host] || REDIRECT_WRAPPERS[parsed.hostname.toLowerCase()];
+  if (wrapperParam && parsed.searchParams.get(wrapperParam) && /^(\/l\.php|\/url|\/redir\/redirect|\/?$)/.test(parsed.pathname)) {
+    return canonicalizeSocialUrl(parsed.searchParams.get(wrapperParam));
+  }
+
+  const platform = PLATFORMS.find(({ hosts }) => hosts.some(pattern => (typeof pattern === 'string' ? pattern === host : pattern.test(host))));
+  if (!platform) return null;
+
+  const segments = parsed.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (_) {
+      return segment;
+    }
+  });
+  const profile = platform.profile(segments, parsed.searchParams, host);
+  if (!profile) return null;
+
+  return {
+    platform: platform.id,
+    url: `https://${profile.host || platform.host || host}/${profile.path}`,
+    handle: profile.handle
+  };
+}
+
+/**
+ * Find every social media profile linked from a page: anchors plus profile
+ * URLs written in the text, for every platform in the registry
+ * @param {string} text - Visible text of the page
+ * @param {string} html - HTML of the page
+ * @param {string} baseUrl - Page URL for resolving relative links
+ * @returns {Array<Object>} Profiles as { platform, url, handle }, once per link found
+ */
+function extractSocialProfiles(text, html, baseUrl) {
+  const profiles = [];
+  const add = url => {
+    const profile = canonicalizeSocialUrl(url);
+    if (profile) profiles.push(profile);
+  };
+
+  if (html) {
+    try {
+      const $ = cheerio.load(html);
+      $('a[href]').each((_, el) => {
+        const href = ($(el).attr('href') || '').trim();
+        if (/^https?:\/\/|^\/\//i.test(href)) add(resolveUrl(baseUrl, href));
+      });
+    } catch (_) {
+      // Ignore parsing errors
+    }
+  }
+
+  ((text || '').match(socialUrlPattern) || []).forEach(url => add(url.replace(/[.,;:!?]+$/, '')));
+
+  return profiles;
+}
+
+/**
+ * Group a site's profile links per platform and choose the primary profile
+ * of each. Profiles the site declares in its structured data come first,
+ * then handles resembling the site's domain or name (rather than a widget
+ * vendor's), then the most often linked.
+ * @param {Array<Object>} found - Profiles found on the site ({ platform, url, handle, declared })
+ * @param {string} siteUrl - Homepage URL
+ * @param {string} organizationName - Organization name from structured data, if any
+ * @returns {Object} Chosen profiles ({ socialLinks, socialProfiles }): the primary URL per
+ * platform, and all distinct profiles per platform as { url, handle, count, declared, primary }
+ */
+function chooseSocialProfiles(found, siteUrl, organizationName) {
+  const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  const domain = getRegistrableDomain(siteUrl);
+  const siteNames = [domain ? domain.split('.')[0] : '', organizationName].map(normalize).filter(name => name.length >= 3);
+  const resembles = handle => {
+    const name = normalize(handle);
+    return name.length >= 3 && siteNames.some(siteName => name.includes(siteName) || siteName.includes(name));
+  };
+
+  const byPlatform = {};
+  found.forEach(({ platform, url, handle, declared }, order) => {
+    const profiles = byPlatform[platform] || (byPlatform[platform] = []);
+    const existing = profiles.find(profile => profile.url.toLowerCase() === url.toLowerCase());
+    if (existing) {
+      existing.count += 1;
+      existing.declared = existing.declared || Boolean(declared);
+    } else {
+      profiles.push({ url, handle, count: 1, declared: Boolean(declared), order });
+    }
+  });
+
+  const socialLinks = {};
+  const socialProfiles = {};
+  Object.entries(byPlatform).forEach(([platform, profiles]) => {
+    profiles.sort((a, b) =>
+      Number(b.declared) - Number(a.declared) ||
+      Number(resembles(b.handle)) - Number(resembles(a.handle)) ||
+      b.count - a.count ||
+      a.order - b.order
+    );
+    socialLinks[platform] = profiles[0].url;
+    socialProfiles[platform] = profiles.map(({ url, handle, count, declared }, index) => ({
+      url,
+      handle,
+      count,
+      declared,
+      primary: index === 0
+    }));
+  });
+
+  return { socialLinks, socialProfiles };
+}
+
+module.exports = {
+  canonicalizeSocialUrl,
+  extractSocialProfiles,
+  chooseSocialProfiles
+};
@@ -0,0 +1,92 @@
+const { canonicalizeSocialUrl, extractSocialProfiles, chooseSocialProfiles } = require('./socialUtils');
+
+describe('canonicalizeSocialUrl', () => {
+  it('normalizes hosts and drops query strings', () => {
+    expect(canonicalizeSocialUrl('https://x.com/Contoso?ref=home')).toEqual({
+      platform: 'twitter',
+      url: 'https://twitter.com/Contoso',
+      handle: 'Contoso'
+    });
+    expect(canonicalizeSocialUrl('https://m.facebook.com/contoso/').url).toBe('https://facebook.com/contoso');
+    expect(canonicalizeSocialUrl('https://de.linkedin.com/company/contoso-gmbh').url).toBe('https://linkedin.com/company/contoso-gmbh');
+  });
+
+  it('unwraps redirect wrappers', () => {
+    const wrapped = `https://l.facebook.com/l.php?u=${encodeURIComponent('https://www.instagram.com/contoso_shop/')}`;
+
+    expect(canonicalizeSocialUrl(wrapped)).toEqual({
+      platform: 'instagram',
+      url: 'https://instagram.com/contoso_shop',
+      handle: 'contoso_shop'
+    });
+  });
+
+  it('accepts links without a scheme', () => {
+    expect(canonicalizeSocialUrl('www.tiktok.com/@contoso')).toEqual({
+      platform: 'tiktok',
+      url: 'https://tiktok.com/@contoso',
+      handle: 'contoso'
+    });
+  });
+
+  it('rejects share and intent links and other sites', () => {
+    expect(canonicalizeSocialUrl('https://twitter.com/intent/tweet?text=hi')).toBeNull();
+    expect(canonicalizeSocialUrl('https://www.facebook.com/sharer/sharer.php?u=https://contoso.com')).toBeNull();
+    expect(canonicalizeSocialUrl('https://contoso.com/contoso')).toBeNull();
+    expect(canonicalizeSocialUrl('not a url')).toBeNull();
+  });
+});
+
+describe('extractSocialProfiles', () => {
+  it('finds absolute and protocol-relative anchors and profile URLs in the text', () => {
+    const html = `<a href="https://x.com/contoso">X</a>
+      <a href="/about">About</a>
+      <a href="//www.facebook.com/contoso">Facebook</a>`;
+
+    const profiles = extractSocialProfiles('Follow us: instagram.com/contoso_shop.', html, 'https://contoso.com/');
+
+    expect(profiles.map(profile => profile.url)).toEqual([
+      'https://twitter.com/contoso',
+      'https://facebook.com/contoso',
+      'https://instagram.com/contoso_shop'
+    ]);
+  });
+
+  it('keeps one entry per link found', () => {
+    const html = '<a href="https://twitter.com/contoso">Top</a><a href="https://x.com/contoso">Footer</a>';
+
+    expect(extractSocialProfiles('', html, 'https://contoso.com/')).toHaveLength(2);
+  });
+});
+
+describe('chooseSocialProfiles', () => {
+  const profile = (handle, extra = {}) => ({ platform: 'twitter', url: `https://twitter.com/${handle}`, handle, ...extra });
+
+  it('prefers a profile declared in structured data', () => {
+    const { socialLinks } = chooseSocialProfiles(
+      [profile('widgetvendor'), profile('widgetvendor'), profile('contoso_news', { declared: true })],
+      'https://contoso.com/'
+    );
+
+    expect(socialLinks.twitter).toBe('https://twitter.com/contoso_news');
+  });
+
+  it('prefers a handle resembling the domain or organization name over a more often linked one', () => {
+    const found = [profile('widgetvendor'), profile('widgetvendor'), profile('fabrikamhq')];
+
+    expect(chooseSocialProfiles(found, 'https://www.contoso.com/', 'Fabrikam').socialLinks.twitter).toBe('https://twitter.com/fabrikamhq');
+    expect(chooseSocialProfiles(found, 'https://www.fabrikam.co.uk/').socialLinks.twitter).toBe('https://twitter.com/fabrikamhq');
+  });
+
+  it('falls back to the most often linked profile and lists every profile once', () => {
+    const found = [profile('alpha'), profile('beta'), profile('Beta'), { platform: 'github', url: 'https://github.com/alpha', handle: 'alpha' }];
+
+    const { socialLinks, socialProfiles } = chooseSocialProfiles(found, 'https://contoso.com/');
+
+    expect(socialLinks).toEqual({ twitter: 'https://twitter.com/beta', github: 'https://github.com/alpha' });
+    expect(socialProfiles.twitter).toEqual([
+      { url: 'https://twitter.com/beta', handle: 'beta', count: 2, declared: false, primary: true },
+      { url: 'https://twitter.com/alpha', handle: 'alpha', count: 1, declared: false, primary: false }
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+const ExcelJS = require('exceljs');
+
+// Excel caps cells at 32,767 characters
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Get the text of an Excel cell value. Hyperlinks, rich text, formulas and
+ * dates are reduced to what the cell displays.
+ * @param {*} value - exceljs cell value
+ * @returns {string} Cell text
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'object') return String(value).trim();
+  if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  if (value.hyperlink) return cellText(value.text || value.hyperlink);
+  if ('result' in value) return cellText(value.result);
+  if (value.error) return '';
+  return String(value).trim();
+}
+
+/**
+ * Name the columns of a table. The first line is the header row unless
+ * `hasHeader` is false; unnamed columns are called "Column N" and repeated
+ * names get a number suffix so every column keeps its own key.
+ * @param {Array<string>} firstLine - Cell texts of the first non-empty line
+ * @param {number} width - Number of columns
+ * @param {boolean} [hasHeader=true] - Whether the first line names the columns
+ * @returns {Array<string>} Column names
+ */
+function buildHeaders(firstLine, width, hasHeader = true) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, index) => {
+    const name = (hasHeader && firstLine[index]) || `Column ${index + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+}
+
+/**
+ * Key the cells of a line by column name; cells beyond the last column are dropped
+ * @param {Array<string>} headers - Column names
+ * @param {Array<string>} values - Cell texts
+ * @returns {Object} Row keyed by column name
+ */
+function toTableRow(headers, values) {
+  const row = {};
+  headers.forEach((header, index) => {
+    row[header] = values[index] || '';
+  });
+  return row;
+}
+
+/**
+ * Get the non-empty rows of a streamed worksheet as cell texts
+ * @param {Object} worksheet - exceljs streaming worksheet reader
+ * @returns {AsyncGenerator<Array<string>>} Cell texts per row
+ */
+async function* readWorksheetLines(worksheet) {
+  for await (const row of worksheet) {
+    // row.values is 1-based
+    const values = (Array.isArray(row.values) ? row.values.slice(1) : []).map(cellText);
+    if (values.some(Boolean)) yield values;
+  }
+}
+
+/**
+ * Stream the worksheets of an XLSX file. A sheet's lines are read (or left
+ * alone) before the next sheet is requested; only the workbook's shared
+ * strings are held in memory.
+ * @param {string} filePath - XLSX file path
+ * @returns {AsyncGenerator<Object>} Sheets ({ name, lines }), lines an async
+ * iterable of the sheet's non-empty rows of cell texts
+ */
+async function* readWorksheets(filePath) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    // Styles tell dates from numbers
+    styles: 'cache',
+    hyperlinks: 'ignore'
+  });
+  for await (const worksheet of workbook) {
+    yield { name: worksheet.name, lines: readWorksheetLines(worksheet) };
+  }
+}
+
+/**
+ * Add a sheet with a bold, frozen header row to a workbook
+ * @param {Object} workbook - exceljs workbook (or streaming workbook writer)
+ * @param {string} name - Sheet name
+ * @param {Array<Object>} columns - Column definitions ({ id, title }), as used by csv-writer
+ * @returns {Object} exceljs worksheet
+ */
+function addSheet(workbook, name, columns) {
+  const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  worksheet.columns = columns.map(column => ({
+    header: column.title,
+    key: column.id,
+    width: Math.min(Math.max(column.title.length + 2, 12), 50)
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  return worksheet;
+}
+
+/**
+ * Pick a record's values for the sheet's columns, cut to what a cell holds
+ * @param {Array<Object>} columns - Column definitions ({ id, title })
+ * @param {Object} record - Row keyed by column id
+ * @returns {Object} Row values keyed by column id
+ */
+function toSheetRow(columns, record) {
+  const row = {};
+  columns.forEach(column => {
+    const value = record[column.id];
+    row[column.id] = typeof value === 'string' ? value.slice(0, MAX_CELL_LENGTH) : value;
+  });
+  return row;
+}
+
+/**
+ * Turn run statistics into Metric/Value rows; nested values are left out
+ * @param {Object} statistics - Run statistics, labelled by key
+ * @returns {Array<Object>} Rows ({ metric, value })
+ */
+function toStatisticsRows(statistics) {
+  return Object.entries(statistics)
+    .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+    .map(([key, value]) => ({
+      // totalUrls → Total URLs, jobId → Job ID
+      metric: key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase()).replace(/\bUrls\b/, 'URLs').replace(/\bId$/, 'ID'),
+      value
+    }));
+}
+
+const statisticsColumns = [{ id: 'metric', title: 'Metric' }, { id: 'value', title: 'Value' }];
+
+/**
+ * Build an XLSX workbook with a results sheet and a run statistics sheet
+ * @param {Array<Object>} columns - Result columns ({ id, title })
+ * @param {Array<Object>} records - Result rows keyed by column id
+ * @param {Object} statistics - Run statistics; one row per entry, labelled by key
+ * @returns {Object} exceljs workbook
+ */
+function buildResultsWorkbook(columns, records, statistics) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Email & Social Scraper';
+  workbook.created = new Date();
+
+  const results = addSheet(workbook, 'Results', columns);
+  records.forEach(record => results.addRow(toSheetRow(columns, record)));
+  const stats = addSheet(workbook, 'Statistics', statisticsColumns);
+  toStatisticsRows(statistics).forEach(row => stats.addRow(row));
+  return workbook;
+}
+
+/**
+ * Stream an XLSX file with a results sheet and a run statistics sheet to
+ * disk. Rows are written as they are added, so large runs are never held in
+ * memory; the statistics are only needed once every row is in.
+ * @param {string} filePath - Output path
+ * @param {Array<Object>} columns - Result columns ({ id, title })
+ * @returns {Object} Writer with addRecord(record) and finish(statistics)
+ */
+function createResultsWorkbookWriter(filePath, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+  workbook.creator = 'Email & Social Scraper';
+  workbook.created = new Date();
+  const results = addSheet(workbook, 'Results', columns);
+
+  return {
+    addRecord(record) {
+      results.addRow(toSheetRow(columns, record)).commit();
+    },
+
+    async finish(statistics) {
+      results.commit();
+      const stats = addSheet(workbook, 'Statistics', statisticsColumns);
+      toStatisticsRows(statistics).forEach(row => stats.addRow(row).commit());
+      stats.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+module.exports = {
+  buildHeaders,
+  toTableRow,
+  readWorksheets,
+  buildResultsWorkbook,
+  createResultsWorkbookWriter
+};
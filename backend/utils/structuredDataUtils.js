@@ -0,0 +1,259 @@
+const cheerio = require('cheerio');
+const validator = require('validator');
+const { resolveUrl } = require('./urlUtils');
+const { canonicalizeSocialUrl } = require('./socialUtils');
+
+// schema.org types that describe the business behind a site; LocalBusiness
+// has hundreds of subtypes (Dentist, Plumber, ...), so any node carrying
+// contact details that is not one of the non-organization types counts too
+const organizationTypes = /(Organization|Organisation|Business|Corporation|Store|Restaurant|Brand)$/i;
+const nonOrganizationTypes = /^(Person|WebSite|WebPage|.*Page|Article|BlogPosting|NewsArticle|Product|Offer|Event|BreadcrumbList|ListItem|ImageObject|VideoObject|PostalAddress|ContactPoint|SearchAction|Review|Rating|AggregateRating)$/i;
+
+/**
+ * Get the values of a property as an array
+ * @param {*} value - Property value (single value or array)
+ * @returns {Array} Values
+ */
+function toArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the plain text of a property value (strings, or objects with @value, name or url)
+ * @param {*} value - Property value
+ * @returns {string} Text, or '' if there is none
+ */
+function toText(value) {
+  if (typeof value === 'string' || typeof value === 'number') return String(value).trim();
+  if (value && typeof value === 'object') {
+    return toText(value['@value'] || value.name || value.url || value.contentUrl || '');
+  }
+  return '';
+}
+
+/**
+ * Get the type names of a node without their vocabulary prefix
+ * @param {Object} node - JSON-LD or microdata node
+ * @returns {Array<string>} Types (e.g. ['Organization'])
+ */
+function getTypes(node) {
+  return toArray(node['@type']).map(type => String(type).split(/[/#:]/).pop());
+}
+
+/**
+ * Read the components of a schema.org address
+ * @param {*} address - PostalAddress node or address string
+ * @returns {string|Object|null} Address string, components ({ street, city, region, postcode, country }) or null if empty
+ */
+function readPostalAddress(address) {
+  if (typeof address === 'string') return address.replace(/\s+/g, ' ').trim() || null;
+  if (!address || typeof address !== 'object') return null;
+  const clean = value => toText(value).replace(/\s+/g, ' ') || null;
+  const components = {
+    street: clean(address.streetAddress) || clean(address.postOfficeBoxNumber),
+    city: clean(address.addressLocality),
+    region: clean(address.addressRegion),
+    postcode: clean(address.postalCode),
+    country: clean(address.addressCountry)
+  };
+  return Object.values(components).some(Boolean) ? components : null;
+}
+
+/**
+ * Visit every object in a JSON-LD document, including nested nodes and @graph entries
+ * @param {*} value - JSON-LD value
+ * @param {Function} visit - Called with each object
+ */
+function walkNodes(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach(item => walkNodes(item, visit));
+  } else if (value && typeof value === 'object') {
+    visit(value);
+    Object.values(value).forEach(child => walkNodes(child, visit));
+  }
+}
+
+/**
+ * Parse the JSON-LD blocks of a page
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Array<Object>} Parsed documents (blocks with invalid JSON are skipped)
+ */
+function parseJsonLd($) {
+  const documents = [];
+  $('script[type="application/ld+json"]').each((_, el) => {
+    // Strip HTML comments and CDATA wrappers some CMSs put around the JSON
+    const source = ($(el).html() || '').replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[)|(-->|\/\/\s*\]\]>)\s*$/g, '').trim();
+    try {
+      documents.push(JSON.parse(source));
+    } catch (_) {
+      // Ignore malformed blocks
+    }
+  });
+  return documents;
+}
+
+/**
+ * Read the value of a microdata property element
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} el - Element with an itemprop attribute
+ * @param {string} baseUrl - Page URL for resolving links
+ * @returns {*} Property value (a nested item is returned as an object)
+ */
+function readMicrodataValue($, el, baseUrl) {
+  const $el = $(el);
+  if ($el.is('[itemscope]')) return readMicrodataItem($, el, baseUrl);
+  if ($el.is('[content]')) return $el.attr('content').trim();
+  if ($el.is('a[href], link[href], area[href]')) return resolveUrl(baseUrl, $el.attr('href'));
+  if ($el.is('img[src], audio[src], video[src], source[src], iframe[src], embed[src]')) return resolveUrl(baseUrl, $el.attr('src'));
+  if ($el.is('time[datetime]')) return $el.attr('datetime');
+  if ($el.is('meta')) return '';
+  return $el.text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convert a microdata item into a JSON-LD-like node
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} scope - Element with an itemscope attribute
+ * @param {string} baseUrl - Page URL for resolving links
+ * @returns {Object} Node with @type and its properties
+ */
+function readMicrodataItem($, scope, baseUrl) {
+  const node = { '@type': ($(scope).attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+  $(scope).find('[itemprop]')
+    // Only this item's own properties, not those of items nested in it
+    .filter((_, el) => $(el).parent().closest('[itemscope]')[0] === scope)
+    .each((_, el) => {
+      const value = readMicrodataValue($, el, baseUrl);
+      ($(el).attr('itemprop') || '').split(/\s+/).filter(Boolean).forEach(name => {
+        node[name] = name in node ? toArray(node[name]).concat(value) : value;
+      });
+    });
+  return node;
+}
+
+/**
+ * Read the OpenGraph and Twitter card meta tags of a page
+ * @param {Object} $ - Loaded cheerio document
+ * @returns {Object} Tag values by property name (e.g. { 'og:site_name': '...' })
+ */
+function readMetaTags($) {
+  const tags = {};
+  $('meta[property], meta[name]').each((_, el) => {
+    const name = ($(el).attr('property') || $(el).attr('name') || '').toLowerCase();
+    const content = ($(el).attr('content') || '').trim();
+    if (/^(og|twitter|article|business):|^description$/.test(name) && content && !(name in tags)) {
+      tags[name] = content;
+    }
+  });
+  return tags;
+}
+
+/**
+ * Extract contact details and organization info from a page's structured
+ * data: schema.org JSON-LD and microdata (Organization, LocalBusiness and
+ * their contact points) and OpenGraph/Twitter meta tags. Each value is tagged
+ * with the technique it came from: json-ld, microdata or opengraph.
+ * @param {string} html - HTML content
+ * @param {string} baseUrl - Page URL for resolving relative links
+ * @returns {Object} Structured data ({ emails, phones, addresses, socialProfiles, organization })
+ */
+function extractStructuredData(html, baseUrl) {
+  const data = {
+    emails: [],
+    phones: [],
+    addresses: [],
+    socialProfiles: [],
+    organization: { name: null, logo: null, description: null }
+  };
+  if (!html) return data;
+
+  let $;
+  try {
+    $ = cheerio.load(html);
+  } catch (_) {
+    return data;
+  }
+
+  const addEmail = (value, technique) => {
+    const email = toText(value).replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
+    if (validator.isEmail(email) && !data.emails.some(item => item.email === email)) {
+      data.emails.push({ email, technique });
+    }
+  };
+  const addPhone = (value, technique) => {
+    const phone = toText(value).replace(/^tel:/i, '').trim();
+    if (/\d{3}/.test(phone) && !data.phones.some(item => item.phone === phone)) {
+      data.phones.push({ phone, technique });
+    }
+  };
+  const addAddress = (value, technique) => {
+    const address = readPostalAddress(value);
+    if (address && !data.addresses.some(item => JSON.stringify(item.address) === JSON.stringify(address))) {
+      data.addresses.push({ address, technique });
+    }
+  };
+  const addSocialLink = value => {
+    const profile = canonicalizeSocialUrl(toText(value));
+    if (profile && !data.socialProfiles.some(item => item.url === profile.url)) {
+      data.socialProfiles.push(profile);
+    }
+  };
+  const setOrganization = (field, value) => {
+    if (!data.organization[field] && value) {
+      data.organization[field] = value;
+    }
+  };
+
+  /**
+   * Take the contact and organization properties of a schema.org node
+   * @param {Object} node - JSON-LD or microdata node
+   * @param {string} technique - Where the node came from
+   */
+  const readNode = (node, technique) => {
+    toArray(node.email).forEach(email => addEmail(email, technique));
+    toArray(node.telephone).forEach(phone => addPhone(phone, technique));
+    toArray(node.address).forEach(address => addAddress(address, technique));
+    toArray(node.sameAs).forEach(addSocialLink);
+
+    const types = getTypes(node);
+    const hasContactDetails = Boolean(node.email || node.telephone || node.address || node.sameAs);
+    const isOrganization = types.some(type => organizationTypes.test(type)) ||
+      (types.length > 0 && hasContactDetails && !types.some(type => nonOrganizationTypes.test(type)));
+    if (isOrganization) {
+      setOrganization('name', toText(toArray(node.legalName)[0]) || toText(toArray(node.name)[0]));
+      const logo = toText(toArray(node.logo)[0]);
+      setOrganization('logo', logo ? resolveUrl(baseUrl, logo) : null);
+      setOrganization('description', toText(toArray(node.description)[0]));
+    }
+  };
+
+  parseJsonLd($).forEach(document => walkNodes(document, node => readNode(node, 'json-ld')));
+
+  $('[itemscope]').filter((_, el) => !$(el).is('[itemprop]')).each((_, scope) => {
+    walkNodes(readMicrodataItem($, scope, baseUrl), node => readNode(node, 'microdata'));
+  });
+
+  const meta = readMetaTags($);
+  addEmail(meta['og:email'], 'opengraph');
+  addPhone(meta['og:phone_number'], 'opengraph');
+  addAddress({
+    streetAddress: meta['og:street-address'] || meta['business:contact_data:street_address'],
+    addressLocality: meta['og:locality'] || meta['business:contact_data:locality'],
+    addressRegion: meta['og:region'] || meta['business:contact_data:region'],
+    postalCode: meta['og:postal-code'] || meta['business:contact_data:postal_code'],
+    addressCountry: meta['og:country-name'] || meta['business:contact_data:country_name']
+  }, 'opengraph');
+  addSocialLink(meta['article:publisher']);
+  if (/^@\w+$/.test(meta['twitter:site'] || '')) {
+    addSocialLink(`https://twitter.com/${meta['twitter:site'].slice(1)}`);
+  }
+  setOrganization('name', meta['og:site_name']);
+  setOrganization('description', meta['og:description'] || meta.description);
+
+  return data;
+}
+
+module.exports = {
+  extractStructuredData
+};
@@ -1,5 +1,9 @@
 const { logger } = require('./logger');
 const validator = require('validator');
+const { getDomain } = require('tldts');
+
+// Query parameters that only track the visitor and never change the page
+const trackingParams = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|ref|sessionid|phpsessid|sid)$/i;
 
 /**
  * Generate a random user agent
@@ -71,9 +75,74 @@ function resolveUrl(baseUrl, href) {
   }
 }
 
+/**
+ * Canonicalize a URL so that equivalent links compare equal: drops the
+ * fragment, default port, tracking parameters and trailing slash, and
+ * sorts the remaining query parameters
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Canonical URL or null if not an http(s) URL
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if ((parsed.protocol === 'http:' && parsed.port === '80') || (parsed.protocol === 'https:' && parsed.port === '443')) {
+    parsed.port = '';
+  }
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !trackingParams.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  parsed.pathname = parsed.pathname.replace(/\/(index\.(html?|php))?$/i, '/');
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Get the registrable domain of a URL (e.g. shop.example.co.uk -> example.co.uk)
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Registrable domain, or the hostname for IPs and local hosts
+ */
+function getRegistrableDomain(url) {
+  try {
+    const { hostname } = new URL(url);
+    return getDomain(hostname) || hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether two URLs belong to the same site (same registrable domain)
+ * @param {string} url - URL to check
+ * @param {string} siteUrl - URL of the site
+ * @returns {boolean} True if both URLs share a registrable domain
+ */
+function isSameSite(url, siteUrl) {
+  const domain = getRegistrableDomain(url);
+  return domain !== null && domain === getRegistrableDomain(siteUrl);
+}
+
 module.exports = {
   generateUserAgent,
   normalizeUrl,
   isValidUrl,
-  resolveUrl
+  resolveUrl,
+  canonicalizeUrl,
+  getRegistrableDomain,
+  isSameSite
 };
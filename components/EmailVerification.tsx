@@ -1,4 +1,5 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef } from 'react'
+import { Upload, FileText, Download, Pause, Play, Square, Loader2, X } from 'lucide-react'
 import toast from 'react-hot-toast'
 
 interface VerificationResult {
@@ -6,60 +7,478 @@ interface VerificationResult {
   isValidSyntax?: boolean
   isDisposable?: boolean
   isRoleAccount?: boolean
+  isFreeProvider?: boolean
+  // The address with a probably intended domain (gmial.com → gmail.com)
+  didYouMean?: string | null
   hasMxRecords?: boolean
   smtpConnectable?: boolean
+  // Answer of the domain's mail server to RCPT TO
+  mailbox?: 'valid' | 'invalid' | 'catch-all' | 'unknown'
+  isCatchAll?: boolean
+  smtp?: { host: string; code: number; response: string } | null
   score?: number
-  status?: 'deliverable' | 'risky' | 'undeliverable' | 'unknown' | 'error'
+  status?: 'deliverable' | 'risky' | 'undeliverable' | 'invalid' | 'unknown' | 'error'
   notes?: string[]
   error?: string
 }
 
+interface VerificationStatistics {
+  totalEmails: number
+  processedEmails: number
+  deliverable: number
+  risky: number
+  undeliverable: number
+  invalid: number
+  unknown: number
+  errors: number
+}
+
+interface ScrapeJobSummary {
+  id: string
+  type: string
+  status: string
+  createdAt: string
+  totalUrls: number
+}
+
 interface Props {
-  emails: string[]
+  // Emails to start with, e.g. the ones found by a scrape
+  emails?: string[]
 }
 
+type Source = 'paste' | 'file' | 'scrape'
+
+const API_URL = 'http://localhost:5000/api'
+// Lets a page reload re-attach to the verification job that is still running
+const ACTIVE_VERIFICATION_JOB_KEY = 'activeVerificationJobId'
+// Only the first results are listed on the page; the download has them all
+const MAX_LISTED_RESULTS = 200
+
 export default function EmailVerification({ emails }: Props) {
-  const [loading, setLoading] = useState(false)
+  const [source, setSource] = useState<Source>(emails && emails.length > 0 ? 'paste' : 'file')
+  const [pastedEmails, setPastedEmails] = useState((emails || []).join('\n'))
+  const [file, setFile] = useState<File | null>(null)
+  const [emailColumn, setEmailColumn] = useState('')
+  const [scrapeJobs, setScrapeJobs] = useState<ScrapeJobSummary[]>([])
+  const [scrapeJobId, setScrapeJobId] = useState('')
+  const [starting, setStarting] = useState(false)
+
+  const [jobId, setJobId] = useState<string | null>(null)
+  const [jobStatus, setJobStatus] = useState('queued')
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [controlPending, setControlPending] = useState(false)
+  const [processed, setProcessed] = useState(0)
+  const [total, setTotal] = useState(0)
+  const [statistics, setStatistics] = useState<VerificationStatistics | null>(null)
+  const [files, setFiles] = useState<{ json: string; csv: string; xlsx?: string } | null>(null)
+  const [message, setMessage] = useState<string | null>(null)
   const [results, setResults] = useState<VerificationResult[] | null>(null)
+  const [resultsTotal, setResultsTotal] = useState(0)
+  const fileInputRef = useRef<HTMLInputElement>(null)
+
+  const isRunning = Boolean(jobId) && !files && !['failed', 'interrupted', 'cancelled', 'completed'].includes(jobStatus)
+
+  // Re-attach to a job that was running before the page was reloaded
+  useEffect(() => {
+    const storedJobId = window.localStorage.getItem(ACTIVE_VERIFICATION_JOB_KEY)
+    if (storedJobId) setJobId(storedJobId)
+  }, [])
+
+  // Past scrape jobs whose emails can be verified
+  useEffect(() => {
+    fetch(`${API_URL}/jobs`)
+      .then(response => response.json())
+      .then(data => {
+        if (data.success) {
+          setScrapeJobs(data.jobs.filter((job: ScrapeJobSummary) => job.type === 'scrape' && job.status === 'completed'))
+        }
+      })
+      .catch(() => setScrapeJobs([]))
+  }, [])
+
+  // Follow the job's progress stream while it is running
+  useEffect(() => {
+    if (!jobId) return
+
+    const events = new EventSource(`${API_URL}/jobs/${jobId}/events`)
+    let finished = false
+
+    const parse = (event: Event) => JSON.parse((event as MessageEvent).data)
+
+    // Sent on every (re)connect, so a reload or dropped connection rebuilds the full state
+    events.addEventListener('snapshot', (event) => {
+      const { job } = parse(event)
+      setJobStatus(job.status)
+      setIsCancelling(!!job.cancelRequested)
+      setProcessed(job.processedEmails || 0)
+      setTotal(job.totalEmails || 0)
+      setStatistics(job.statistics)
+    })
+
+    events.addEventListener('verify-progress', (event) => {
+      const data = parse(event)
+      setProcessed(data.processedEmails)
+      setTotal(data.totalEmails)
+      setStatistics(data.statistics)
+    })
+
+    events.addEventListener('job-status', (event) => {
+      const data = parse(event)
+      setJobStatus(data.status)
+      setIsCancelling(!!data.cancelRequested)
+    })
+
+    events.addEventListener('run-complete', async (event) => {
+      finished = true
+      events.close()
+      window.localStorage.removeItem(ACTIVE_VERIFICATION_JOB_KEY)
 
-  const verify = async () => {
-    if (!emails || emails.length === 0) {
-      toast.error('No emails to verify')
+      const data = parse(event)
+      setJobStatus(data.status)
+      setIsCancelling(false)
+      setMessage(data.message || data.error || null)
+      if (data.statistics) {
+        setStatistics(data.statistics)
+        setProcessed(data.statistics.processedEmails)
+      }
+      setFiles(data.files || null)
+
+      if (data.status === 'failed') {
+        toast.error(data.error || 'Verification failed')
+      } else if (data.status === 'cancelled') {
+        toast(data.message || 'Verification cancelled', { icon: '🛑' })
+      } else {
+        toast.success(data.message || 'Verification completed')
+      }
+
+      // The stream carries no results; load the finished job once
+      try {
+        const response = await fetch(`${API_URL}/jobs/${jobId}?limit=${MAX_LISTED_RESULTS}`)
+        const jobData = await response.json()
+        if (jobData.success) {
+          setResults(jobData.job.results)
+          setResultsTotal(jobData.job.resultsTotal)
+        }
+      } catch (error) {
+        toast.error('Could not load the verification results')
+      }
+    })
+
+    events.onerror = () => {
+      // EventSource reconnects on its own; it only gives up when the job is gone
+      if (!finished && events.readyState === EventSource.CLOSED) {
+        window.localStorage.removeItem(ACTIVE_VERIFICATION_JOB_KEY)
+        toast.error('Verification job no longer exists')
+        setJobId(null)
+      }
+    }
+
+    return () => {
+      events.close()
+    }
+  }, [jobId])
+
+  const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    const selected = event.target.files?.[0]
+    if (!selected) return
+    if (!/\.(csv|tsv|txt|xlsx)$/i.test(selected.name)) {
+      toast.error('Please upload a CSV, TXT or XLSX file')
       return
     }
-    setLoading(true)
-    setResults(null)
-    try {
-      const res = await fetch('/api/verify', {
+    setFile(selected)
+  }
+
+  const clearFile = () => {
+    setFile(null)
+    if (fileInputRef.current) fileInputRef.current.value = ''
+  }
+
+  const startVerification = async () => {
+    let request: RequestInit
+    if (source === 'file') {
+      if (!file) {
+        toast.error('Please choose a file')
+        return
+      }
+      const formData = new FormData()
+      formData.append('file', file)
+      if (emailColumn.trim()) formData.append('emailColumn', emailColumn.trim())
+      request = { method: 'POST', body: formData }
+    } else {
+      const body = source === 'scrape'
+        ? { scrapeJobId }
+        : { emails: pastedEmails.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean) }
+      if (source === 'scrape' && !scrapeJobId) {
+        toast.error('Please pick a scrape')
+        return
+      }
+      if (source === 'paste' && body.emails?.length === 0) {
+        toast.error('No emails to verify')
+        return
+      }
+      request = {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ emails })
-      })
-      const data = await res.json()
-      if (!data.success) throw new Error(data.message || 'Verification failed')
-      setResults(data.results)
-      toast.success(`Verified ${data.results.length} emails`)
+        body: JSON.stringify(body)
+      }
+    }
+
+    setStarting(true)
+    try {
+      const response = await fetch(`${API_URL}/verify/jobs`, request)
+      const data = await response.json()
+      if (!response.ok || !data.success) throw new Error(data.message || 'Could not start the verification')
+
+      window.localStorage.setItem(ACTIVE_VERIFICATION_JOB_KEY, data.jobId)
+      setJobStatus(data.status)
+      setTotal(data.totalEmails)
+      setProcessed(0)
+      setStatistics(null)
+      setFiles(null)
+      setMessage(null)
+      setResults(null)
+      setJobId(data.jobId)
+      toast.success(`Verifying ${data.totalEmails} emails`)
     } catch (e: any) {
-      toast.error(e.message || 'Verification failed')
+      toast.error(e.message || 'Could not start the verification')
     } finally {
-      setLoading(false)
+      setStarting(false)
     }
   }
 
+  const controlJob = async (action: 'pause' | 'resume' | 'cancel') => {
+    if (!jobId) return
+    setControlPending(true)
+    try {
+      const response = await fetch(`${API_URL}/jobs/${jobId}/${action}`, { method: 'POST' })
+      const data = await response.json()
+      if (!response.ok || !data.success) {
+        toast.error(data.message || `Could not ${action} the verification`)
+        return
+      }
+      setJobStatus(data.status)
+      if (action === 'cancel') {
+        setIsCancelling(true)
+        toast('Cancelling… the current batch will finish first', { icon: '🛑' })
+      }
+    } catch (error) {
+      toast.error(`Could not ${action} the verification`)
+    } finally {
+      setControlPending(false)
+    }
+  }
+
+  const startOver = () => {
+    setJobId(null)
+    setJobStatus('queued')
+    setProcessed(0)
+    setTotal(0)
+    setStatistics(null)
+    setFiles(null)
+    setMessage(null)
+    setResults(null)
+  }
+
+  const progress = total > 0 ? Math.round((processed / total) * 100) : 0
+
   return (
-    <div className="mt-3">
-      <button
-        onClick={verify}
-        disabled={loading || !emails || emails.length === 0}
-        className="btn-secondary"
-      >
-        {loading ? 'Verifying…' : 'Verify Emails'}
-      </button>
-
-      {results && (
-        <div className="mt-3 p-3 border border-gray-200 rounded-lg bg-gray-50">
-          <h4 className="text-sm font-semibold text-gray-800 mb-2">Verification results</h4>
-          <div className="space-y-2 max-h-64 overflow-y-auto">
+    <div className="space-y-6">
+      {!jobId && (
+        <div className="card space-y-4">
+          <div className="flex space-x-2">
+            {([
+              ['file', 'Upload file'],
+              ['paste', 'Paste emails'],
+              ['scrape', 'From a scrape']
+            ] as [Source, string][]).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setSource(value)}
+                className={`px-3 py-1.5 text-sm rounded-md border ${
+                  source === value
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {source === 'file' && (
+            <div className="space-y-3">
+              {file ? (
+                <div className="flex items-center justify-between p-3 border border-gray-200 rounded-lg bg-gray-50">
+                  <div className="flex items-center space-x-2 text-sm text-gray-800">
+                    <FileText className="w-4 h-4 text-gray-500" />
+                    <span>{file.name}</span>
+                  </div>
+                  <button onClick={clearFile} className="text-gray-400 hover:text-gray-600" title="Remove file">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <label className="flex flex-col items-center justify-center p-6 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400">
+                  <Upload className="w-6 h-6 text-gray-400 mb-2" />
+                  <span className="text-sm text-gray-700">Choose a CSV, TXT or XLSX file</span>
+                  <span className="text-xs text-gray-500">TXT: one email per line. CSV and XLSX: the email column is detected; other columns are kept in the export.</span>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".csv,.tsv,.txt,.xlsx"
+                    onChange={handleFileChange}
+                    className="hidden"
+                  />
+                </label>
+              )}
+              <input
+                type="text"
+                value={emailColumn}
+                onChange={(e) => setEmailColumn(e.target.value)}
+                placeholder="Email column (optional, CSV only)"
+                className="input-field"
+              />
+            </div>
+          )}
+
+          {source === 'paste' && (
+            <textarea
+              value={pastedEmails}
+              onChange={(e) => setPastedEmails(e.target.value)}
+              rows={8}
+              placeholder="One email per line"
+              className="input-field font-mono text-sm"
+            />
+          )}
+
+          {source === 'scrape' && (
+            scrapeJobs.length > 0 ? (
+              <select
+                value={scrapeJobId}
+                onChange={(e) => setScrapeJobId(e.target.value)}
+                className="input-field"
+              >
+                <option value="">Pick a finished scrape…</option>
+                {scrapeJobs.map(job => (
+                  <option key={job.id} value={job.id}>
+                    {new Date(job.createdAt).toLocaleString()} — {job.totalUrls} website{job.totalUrls !== 1 ? 's' : ''}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <p className="text-sm text-gray-500">No finished scrapes yet.</p>
+            )
+          )}
+
+          <button
+            onClick={startVerification}
+            disabled={starting}
+            className="btn-primary flex items-center space-x-2"
+          >
+            {starting && <Loader2 className="w-4 h-4 animate-spin" />}
+            <span>{starting ? 'Starting…' : 'Start Verification'}</span>
+          </button>
+        </div>
+      )}
+
+      {jobId && (
+        <div className="card space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Verification</h3>
+              <p className="text-sm text-gray-600">
+                {processed} of {total} emails verified
+                <span className="ml-2 text-xs font-medium text-gray-500 capitalize">
+                  {isCancelling ? 'Cancelling…' : jobStatus}
+                </span>
+              </p>
+            </div>
+            {isRunning ? (
+              <div className="flex items-center space-x-2">
+                {jobStatus === 'paused' ? (
+                  <button
+                    onClick={() => controlJob('resume')}
+                    disabled={controlPending || isCancelling}
+                    className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <Play className="h-3 w-3" />
+                    <span>Resume</span>
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => controlJob('pause')}
+                    disabled={controlPending || isCancelling || jobStatus !== 'running'}
+                    className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <Pause className="h-3 w-3" />
+                    <span>Pause</span>
+                  </button>
+                )}
+                <button
+                  onClick={() => controlJob('cancel')}
+                  disabled={controlPending || isCancelling}
+                  className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+                >
+                  <Square className="h-3 w-3" />
+                  <span>Cancel</span>
+                </button>
+              </div>
+            ) : (
+              <button onClick={startOver} className="btn-secondary">
+                Verify More Emails
+              </button>
+            )}
+          </div>
+
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-gradient-to-r from-blue-600 to-purple-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${progress}%` }}
+            />
+          </div>
+
+          {statistics && (
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 text-xs">
+              <div className="bg-green-50 text-green-700 px-2 py-1 rounded text-center">Deliverable {statistics.deliverable}</div>
+              <div className="bg-yellow-50 text-yellow-700 px-2 py-1 rounded text-center">Risky {statistics.risky}</div>
+              <div className="bg-red-50 text-red-700 px-2 py-1 rounded text-center">Undeliverable {statistics.undeliverable}</div>
+              <div className="bg-red-50 text-red-700 px-2 py-1 rounded text-center">Invalid {statistics.invalid}</div>
+              <div className="bg-gray-50 text-gray-700 px-2 py-1 rounded text-center">Unknown {statistics.unknown + statistics.errors}</div>
+            </div>
+          )}
+
+          {message && <p className="text-sm text-gray-600">{message}</p>}
+
+          {files && (
+            <div className="flex space-x-2">
+              <a href={`${API_URL}/jobs/${jobId}/download?format=csv`} className="btn-secondary flex items-center space-x-2">
+                <Download className="w-4 h-4" />
+                <span>Download CSV</span>
+              </a>
+              {files.xlsx && (
+                <a href={`${API_URL}/jobs/${jobId}/download?format=xlsx`} className="btn-secondary flex items-center space-x-2">
+                  <Download className="w-4 h-4" />
+                  <span>Download XLSX</span>
+                </a>
+              )}
+              <a href={`${API_URL}/jobs/${jobId}/download?format=json`} className="btn-secondary flex items-center space-x-2">
+                <Download className="w-4 h-4" />
+                <span>Download JSON</span>
+              </a>
+            </div>
+          )}
+        </div>
+      )}
+
+      {results && results.length > 0 && (
+        <div className="p-3 border border-gray-200 rounded-lg bg-gray-50">
+          <h4 className="text-sm font-semibold text-gray-800 mb-2">
+            Verification results
+            {resultsTotal > results.length && (
+              <span className="ml-2 font-normal text-gray-500">(first {results.length} of {resultsTotal}; download for all)</span>
+            )}
+          </h4>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
             {results.map((r, i) => (
               <div key={i} className="text-sm flex items-start justify-between gap-3 bg-white border border-gray-100 rounded p-2">
                 <div className="space-y-1">
@@ -69,9 +488,19 @@ export default function EmailVerification({ emails }: Props) {
                     {typeof r.score === 'number' && <span className="mr-2">Score: {r.score}</span>}
                     {r.isDisposable && <span className="text-red-600 mr-2">Disposable</span>}
                     {r.isRoleAccount && <span className="text-amber-600 mr-2">Role</span>}
+                    {r.isFreeProvider && <span className="text-gray-600 mr-2">Free provider</span>}
                     {r.hasMxRecords && <span className="text-green-600 mr-2">MX</span>}
                     {r.smtpConnectable && <span className="text-green-600 mr-2">SMTP</span>}
+                    {r.mailbox === 'valid' && <span className="text-green-600 mr-2">Mailbox exists</span>}
+                    {r.mailbox === 'invalid' && <span className="text-red-600 mr-2">No such mailbox</span>}
+                    {r.mailbox === 'catch-all' && <span className="text-amber-600 mr-2">Catch-all</span>}
                   </div>
+                  {r.didYouMean && (
+                    <div className="text-xs text-amber-700">Did you mean <span className="font-medium">{r.didYouMean}</span>?</div>
+                  )}
+                  {r.smtp && (
+                    <div className="text-xs text-gray-500">{r.smtp.host}: {r.smtp.code} {r.smtp.response}</div>
+                  )}
                   {r.notes && r.notes.length > 0 && (
                     <div className="text-xs text-gray-500">{r.notes.join(' • ')}</div>
                   )}
@@ -87,6 +516,3 @@ export default function EmailVerification({ emails }: Props) {
     </div>
   )
 }
-
-
-
@@ -1,219 +1,186 @@
 import { useState, useRef } from 'react'
-import { Upload, FileText, X, AlertCircle } from 'lucide-react'
+import { Upload, FileText, X, AlertCircle, Loader2, Check } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+// A file with its column mapping: the backend reads the URLs from it when the scrape starts
+export interface MappedFile {
+  file: File
+  fields: ReadOptions & { urlColumn: string; columns: string[] }
+  urlCount: number
+}
+
 interface FileUploadProps {
-  onFileContent: (urls: string[], csvData?: any[]) => void
+  onFileMapped: (mapped: MappedFile | null) => void
+}
+
+// An uploaded file as parsed by the backend: its columns and first rows
+interface ParsedUpload {
+  format: 'csv' | 'txt' | 'xlsx'
+  encoding?: string
+  delimiter?: string
+  sheets?: { name: string; rowCount: number }[]
+  sheet?: string
+  hasHeader: boolean
+  headers: string[]
+  rowCount: number
+  preview: Record<string, string>[]
+  suggestedUrlColumn: string | null
+}
+
+// How the file is read; empty values are detected by the backend
+interface ReadOptions {
+  encoding?: string
+  delimiter?: string
+  sheet?: string
 }
 
-export default function FileUpload({ onFileContent }: FileUploadProps) {
+const API_URL = 'http://localhost:5000/api'
+const MAX_FILE_SIZE = 10 * 1024 * 1024
+
+const ENCODINGS = [
+  ['utf-8', 'UTF-8'],
+  ['windows-1252', 'Windows-1252 (Western European)'],
+  ['iso-8859-1', 'ISO-8859-1 (Latin-1)'],
+  ['iso-8859-15', 'ISO-8859-15 (Latin-9)'],
+  ['utf-16le', 'UTF-16 LE'],
+  ['utf-16be', 'UTF-16 BE']
+]
+
+const DELIMITERS = [
+  [',', 'Comma (,)'],
+  [';', 'Semicolon (;)'],
+  ['\t', 'Tab'],
+  ['|', 'Pipe (|)']
+]
+
+export default function FileUpload({ onFileMapped }: FileUploadProps) {
   const [isDragOver, setIsDragOver] = useState(false)
   const [uploadedFile, setUploadedFile] = useState<File | null>(null)
+  const [upload, setUpload] = useState<ParsedUpload | null>(null)
+  const [urlColumn, setUrlColumn] = useState('')
+  const [carriedColumns, setCarriedColumns] = useState<string[]>([])
+  const [isReading, setIsReading] = useState(false)
+  const [appliedCount, setAppliedCount] = useState<number | null>(null)
   const fileInputRef = useRef<HTMLInputElement>(null)
 
   const handleFileSelect = (file: File) => {
     if (!file) return
 
-    // Validate file type
-    const allowedTypes = ['text/csv', 'text/plain', 'application/csv']
-    if (!allowedTypes.includes(file.type)) {
-      toast.error('Please upload a CSV or TXT file')
+    // Browsers report no or inconsistent types for CSV and Excel files
+    if (!/\.(csv|tsv|txt|xlsx)$/i.test(file.name)) {
+      toast.error('Please upload a CSV, TXT or XLSX file')
       return
     }
 
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
-      toast.error('File size must be less than 5MB')
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error('File size must be less than 10MB')
       return
     }
 
     setUploadedFile(file)
-    processFile(file)
+    readFile(file)
   }
 
-  const processFile = (file: File) => {
-    const reader = new FileReader()
-    
-    reader.onload = (e) => {
-      try {
-        const content = e.target?.result as string
-        const { urls, csvData } = extractUrlsFromContent(content, file.name)
-        
-        if (urls.length === 0) {
-          toast.error('No valid URLs found in the file')
-          setUploadedFile(null)
-          return
-        }
-
-        onFileContent(urls, csvData)
-        toast.success(`Found ${urls.length} URLs in the uploaded file`)
-      } catch (error) {
-        toast.error('Error processing file')
-        setUploadedFile(null)
+  const postFile = async (file: File, fields: Record<string, string | string[] | undefined>) => {
+    const formData = new FormData()
+    Object.entries(fields).forEach(([name, value]) => {
+      if (Array.isArray(value)) {
+        value.forEach(item => formData.append(`${name}[]`, item))
+      } else if (value) {
+        formData.append(name, value)
       }
-    }
+    })
+    formData.append('file', file)
 
-    reader.onerror = () => {
-      toast.error('Error reading file')
-      setUploadedFile(null)
+    const response = await fetch(`${API_URL}/uploads`, { method: 'POST', body: formData })
+    const data = await response.json()
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Error reading file')
     }
-
-    reader.readAsText(file)
+    return data
   }
 
-  const extractUrlsFromContent = (content: string, fileName: string): { urls: string[], csvData?: any[] } => {
-    const lines = content.split('\n').filter(line => line.trim())
-    const urls: string[] = []
-    let csvData: any[] | undefined
-
-    // Check if it's a CSV file
-    const isCSV = fileName.toLowerCase().endsWith('.csv')
-    
-    if (isCSV && lines.length > 1) {
-      // Parse CSV
-      const headers = parseCSVLine(lines[0])
-      const websiteColumnIndex = detectWebsiteColumn(headers)
-      
-      if (websiteColumnIndex !== -1) {
-        csvData = []
-        
-        // Process each data row
-        for (let i = 1; i < lines.length; i++) {
-          const row = parseCSVLine(lines[i])
-          if (row.length > websiteColumnIndex) {
-            const websiteValue = row[websiteColumnIndex]?.trim()
-            if (websiteValue) {
-              const normalizedUrl = normalizeUrl(websiteValue)
-              if (normalizedUrl) {
-                urls.push(normalizedUrl)
-                // Store the entire row data for later use
-                const rowData: any = {}
-                headers.forEach((header, index) => {
-                  rowData[header] = row[index] || ''
-                })
-                csvData.push(rowData)
-              }
-            }
-          }
-        }
-      } else {
-        // No website column detected, treat as simple text file
-        return extractUrlsFromTextContent(content)
-      }
-    } else {
-      // Not a CSV or no data rows, treat as text file
-      return extractUrlsFromTextContent(content)
-    }
+  // The backend parses the file; the user then maps its columns
+  const readFile = async (file: File, options: ReadOptions = {}) => {
+    setIsReading(true)
+    try {
+      const data: ParsedUpload = await postFile(file, { ...options })
+      setUpload(data)
+      clearMapping()
 
-    return { urls: [...new Set(urls)], csvData }
-  }
+      // Keep the mapping when the same columns are read again with other options
+      const column = data.headers.includes(urlColumn) ? urlColumn : data.suggestedUrlColumn || ''
+      setUrlColumn(column)
+      setCarriedColumns(prev => {
+        const kept = prev.filter(header => data.headers.includes(header))
+        return kept.length > 0 ? kept : data.headers
+      })
 
-  const parseCSVLine = (line: string): string[] => {
-    const result: string[] = []
-    let current = ''
-    let inQuotes = false
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i]
-      
-      if (char === '"') {
-        inQuotes = !inQuotes
-      } else if (char === ',' && !inQuotes) {
-        result.push(current.trim())
-        current = ''
-      } else {
-        current += char
+      if (data.rowCount === 0) {
+        toast.error(data.sheet ? `Sheet "${data.sheet}" is empty` : 'The file is empty')
+      } else if (!column) {
+        toast('Pick the column that holds the website URLs', { icon: '👉' })
       }
+    } catch (error: any) {
+      toast.error(error.message || 'Error reading file')
+      if (!upload) removeFile()
+    } finally {
+      setIsReading(false)
     }
-    
-    result.push(current.trim())
-    return result
   }
 
-  const detectWebsiteColumn = (headers: string[]): number => {
-    const websiteKeywords = [
-      'website', 'url', 'link', 'domain', 'site', 'web', 'homepage',
-      'webpage', 'address', 'www', 'http', 'https', 'company website',
-      'business website', 'official website', 'main website'
-    ]
-    
-    for (let i = 0; i < headers.length; i++) {
-      const header = headers[i].toLowerCase().trim()
-      
-      // Direct match
-      if (websiteKeywords.some(keyword => header.includes(keyword))) {
-        return i
-      }
-      
-      // Check for common patterns
-      if (header.match(/^(url|link|website|domain|site)$/i)) {
-        return i
+  const readOptions = (changes: ReadOptions): ReadOptions => ({
+    encoding: upload?.format !== 'xlsx' ? upload?.encoding : undefined,
+    delimiter: upload?.format !== 'xlsx' ? upload?.delimiter : undefined,
+    sheet: upload?.sheet,
+    ...changes
+  })
+
+  // Check the mapping; the backend counts the URLs it yields and reads them again when the scrape starts
+  const applyMapping = async () => {
+    if (!uploadedFile || !upload || !urlColumn) return
+
+    setIsReading(true)
+    try {
+      const fields = {
+        ...readOptions({}),
+        urlColumn,
+        // Never empty: without the field the backend keeps every column
+        columns: [urlColumn, ...carriedColumns]
       }
-    }
-    
-    return -1
-  }
+      const data = await postFile(uploadedFile, fields)
+      const { urlCount, invalidRows, duplicateRows } = data.mapping
 
-  const normalizeUrl = (url: string): string | null => {
-    if (!url || typeof url !== 'string') return null
-    
-    const trimmed = url.trim()
-    if (!trimmed) return null
-    
-    // If already has protocol, validate and return
-    if (trimmed.match(/^https?:\/\//i)) {
-      try {
-        new URL(trimmed)
-        return trimmed
-      } catch {
-        return null
+      if (urlCount === 0) {
+        toast.error(`No valid URLs found in column "${urlColumn}"`)
+        return
       }
+      onFileMapped({ file: uploadedFile, fields, urlCount })
+      setAppliedCount(urlCount)
+
+      const skipped = [
+        invalidRows > 0 ? `${invalidRows} without a valid URL` : '',
+        duplicateRows > 0 ? `${duplicateRows} duplicates` : ''
+      ].filter(Boolean).join(', ')
+      toast.success(`Added ${urlCount} URLs from the uploaded file${skipped ? ` (skipped ${skipped})` : ''}`)
+    } catch (error: any) {
+      toast.error(error.message || 'Error reading file')
+    } finally {
+      setIsReading(false)
     }
-    
-    // Remove common prefixes
-    let cleanUrl = trimmed
-      .replace(/^(www\.)/i, '')
-      .replace(/^\/+/, '')
-      .replace(/\/+$/, '')
-    
-    // Check if it looks like a domain
-    const domainPattern = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/
-    
-    if (domainPattern.test(cleanUrl)) {
-      return `https://${cleanUrl}`
-    }
-    
-    // Check if it's a path that might be a domain
-    const pathPattern = /^[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/
-    if (pathPattern.test(cleanUrl)) {
-      return `https://${cleanUrl}`
-    }
-    
-    return null
   }
 
-  const extractUrlsFromTextContent = (content: string): { urls: string[], csvData?: any[] } => {
-    const lines = content.split('\n')
-    const urls: string[] = []
-
-    lines.forEach(line => {
-      const trimmedLine = line.trim()
-      if (trimmedLine) {
-        // Try to extract URLs from the line
-        const urlMatch = trimmedLine.match(/https?:\/\/[^\s,]+/g)
-        if (urlMatch) {
-          urls.push(...urlMatch)
-        } else {
-          // Try to normalize as domain
-          const normalized = normalizeUrl(trimmedLine)
-          if (normalized) {
-            urls.push(normalized)
-          }
-        }
-      }
-    })
+  // The applied mapping no longer matches what the user sees
+  const clearMapping = () => {
+    if (appliedCount !== null) onFileMapped(null)
+    setAppliedCount(null)
+  }
 
-    return { urls: [...new Set(urls)] }
+  const toggleColumn = (header: string) => {
+    clearMapping()
+    setCarriedColumns(prev => (
+      prev.includes(header) ? prev.filter(column => column !== header) : [...prev, header]
+    ))
   }
 
   const handleDragOver = (e: React.DragEvent) => {
@@ -229,7 +196,7 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
   const handleDrop = (e: React.DragEvent) => {
     e.preventDefault()
     setIsDragOver(false)
-    
+
     const files = e.dataTransfer.files
     if (files.length > 0) {
       handleFileSelect(files[0])
@@ -244,7 +211,11 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
   }
 
   const removeFile = () => {
+    clearMapping()
     setUploadedFile(null)
+    setUpload(null)
+    setUrlColumn('')
+    setCarriedColumns([])
     if (fileInputRef.current) {
       fileInputRef.current.value = ''
     }
@@ -261,12 +232,12 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
   return (
     <div className="space-y-4">
       <div className="text-sm text-gray-600">
-        <p>Upload a CSV or TXT file containing URLs</p>
+        <p>Upload a CSV, TXT or Excel file containing URLs</p>
         <p className="text-xs text-gray-500 mt-1">
-          Supported formats: .csv, .txt | Max size: 5MB
+          Supported formats: .csv, .tsv, .txt, .xlsx | Max size: 10MB
         </p>
         <p className="text-xs text-gray-500">
-          CSV files: Automatically detects website columns (website, url, domain, etc.)
+          The delimiter, encoding and website column are detected; check the preview and pick the columns to keep
         </p>
       </div>
 
@@ -294,14 +265,14 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
               </button>
             </p>
             <p className="text-sm text-gray-500">
-              Supports CSV and TXT files with URLs
+              Supports CSV, TXT and Excel (XLSX) files with URLs
             </p>
           </div>
-          
+
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv,.txt"
+            accept=".csv,.tsv,.txt,.xlsx"
             onChange={handleFileInputChange}
             className="hidden"
           />
@@ -314,17 +285,161 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
               <div>
                 <p className="font-medium text-green-900">{uploadedFile.name}</p>
                 <p className="text-sm text-green-700">
-                  {formatFileSize(uploadedFile.size)} • {uploadedFile.type}
+                  {formatFileSize(uploadedFile.size)}
+                  {upload && ` • ${upload.rowCount} row${upload.rowCount !== 1 ? 's' : ''}`}
                 </p>
               </div>
             </div>
-            <button
-              onClick={removeFile}
-              className="text-green-600 hover:text-green-800 transition-colors"
-            >
-              <X className="h-5 w-5" />
-            </button>
+            <div className="flex items-center space-x-2">
+              {isReading && <Loader2 className="h-5 w-5 text-green-600 animate-spin" />}
+              <button
+                onClick={removeFile}
+                className="text-green-600 hover:text-green-800 transition-colors"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
           </div>
+
+          {upload && (
+            <div className="mt-4 space-y-4">
+              <div className="grid sm:grid-cols-3 gap-3">
+                {upload.format === 'xlsx' ? (
+                  <div>
+                    <label className="block text-xs font-medium text-green-900 mb-1">Sheet</label>
+                    <select
+                      value={upload.sheet}
+                      onChange={(e) => readFile(uploadedFile, readOptions({ sheet: e.target.value }))}
+                      disabled={isReading}
+                      className="input-field"
+                    >
+                      {(upload.sheets || []).map(sheet => (
+                        <option key={sheet.name} value={sheet.name}>
+                          {sheet.name} ({sheet.rowCount} rows)
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ) : (
+                  <>
+                    <div>
+                      <label className="block text-xs font-medium text-green-900 mb-1">Encoding</label>
+                      <select
+                        value={upload.encoding}
+                        onChange={(e) => readFile(uploadedFile, readOptions({ encoding: e.target.value }))}
+                        disabled={isReading}
+                        className="input-field"
+                      >
+                        {ENCODINGS.map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-xs font-medium text-green-900 mb-1">Delimiter</label>
+                      <select
+                        value={upload.delimiter}
+                        onChange={(e) => readFile(uploadedFile, readOptions({ delimiter: e.target.value }))}
+                        disabled={isReading}
+                        className="input-field"
+                      >
+                        {DELIMITERS.map(([value, label]) => (
+                          <option key={label} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </>
+                )}
+                <div>
+                  <label className="block text-xs font-medium text-green-900 mb-1">Website column</label>
+                  <select
+                    value={urlColumn}
+                    onChange={(e) => {
+                      setUrlColumn(e.target.value)
+                      clearMapping()
+                    }}
+                    disabled={isReading || upload.headers.length === 0}
+                    className="input-field"
+                  >
+                    <option value="">Pick a column…</option>
+                    {upload.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {upload.headers.length > 0 && (
+                <div>
+                  <p className="text-xs font-medium text-green-900 mb-1">
+                    Preview{upload.rowCount > upload.preview.length && ` (first ${upload.preview.length} of ${upload.rowCount} rows)`}
+                    {' '}— ticked columns are kept next to the results
+                  </p>
+                  <div className="overflow-x-auto bg-white border border-green-200 rounded-md">
+                    <table className="min-w-full text-xs">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          {upload.headers.map(header => (
+                            <th
+                              key={header}
+                              className={`px-3 py-2 text-left font-medium whitespace-nowrap ${
+                                header === urlColumn ? 'bg-blue-50 text-blue-800' : 'text-gray-700'
+                              }`}
+                            >
+                              <label className="inline-flex items-center space-x-1.5">
+                                <input
+                                  type="checkbox"
+                                  checked={header === urlColumn || carriedColumns.includes(header)}
+                                  disabled={header === urlColumn}
+                                  onChange={() => toggleColumn(header)}
+                                  className="h-3.5 w-3.5 text-blue-600 border-gray-300 rounded"
+                                />
+                                <span>{header}</span>
+                              </label>
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {upload.preview.map((row, index) => (
+                          <tr key={index}>
+                            {upload.headers.map(header => (
+                              <td
+                                key={header}
+                                className={`px-3 py-1.5 max-w-xs truncate ${
+                                  header === urlColumn ? 'bg-blue-50 text-blue-900' : 'text-gray-600'
+                                } ${header !== urlColumn && !carriedColumns.includes(header) ? 'opacity-40' : ''}`}
+                                title={row[header]}
+                              >
+                                {row[header]}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <div className="flex items-center justify-end space-x-3">
+                {appliedCount !== null && (
+                  <span className="inline-flex items-center space-x-1 text-sm text-green-700">
+                    <Check className="h-4 w-4" />
+                    <span>{appliedCount} URLs added</span>
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={applyMapping}
+                  disabled={isReading || !urlColumn || upload.rowCount === 0}
+                  className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Use these columns
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -334,7 +449,8 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
           <div className="text-sm text-blue-800">
             <p className="font-medium mb-1">File Format Examples:</p>
             <div className="space-y-1 text-xs">
-              <p>• CSV with website column: <code className="bg-blue-100 px-1 rounded">Company,Website,Email</code></p>
+              <p>• CSV with website column: <code className="bg-blue-100 px-1 rounded">Company,Website,Email</code> (semicolon, tab and pipe delimiters work too)</p>
+              <p>• Excel workbook: pick the sheet and the website column</p>
               <p>• One URL per line: <code className="bg-blue-100 px-1 rounded">example.com</code></p>
               <p>• Full URLs: <code className="bg-blue-100 px-1 rounded">https://example.com</code></p>
               <p>• URLs without protocol: <code className="bg-blue-100 px-1 rounded">www.example.com</code></p>
@@ -344,4 +460,4 @@ export default function FileUpload({ onFileContent }: FileUploadProps) {
       </div>
     </div>
   )
-} 
\ No newline at end of file
+}
@@ -1,4 +1,5 @@
 import { useState } from 'react'
+import Link from 'next/link'
 import { Github, Globe, ChevronDown } from 'lucide-react'
 
 export default function Navbar() {
@@ -11,7 +12,7 @@ export default function Navbar() {
     <nav className="bg-white shadow-sm border-b border-gray-200">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between items-center h-16">
-          <div className="flex items-center space-x-3">
+          <Link href="/" className="flex items-center space-x-3">
             <div className="flex items-center justify-center w-8 h-8 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg">
               <Globe className="w-5 h-5 text-white" />
             </div>
@@ -21,9 +22,18 @@ export default function Navbar() {
               </h1>
               <p className="text-xs text-gray-500">Advanced Web Scraping Tool</p>
             </div>
-          </div>
+          </Link>
           
           <div className="flex items-center space-x-4">
+            <Link href="/" className="text-sm font-medium text-gray-700 hover:text-gray-900">
+              Scraper
+            </Link>
+            <Link href="/verify" className="text-sm font-medium text-gray-700 hover:text-gray-900">
+              Verify Emails
+            </Link>
+            <Link href="/history" className="text-sm font-medium text-gray-700 hover:text-gray-900">
+              History
+            </Link>
             <div className="relative">
               <button
                 onClick={toggle}
@@ -50,7 +60,7 @@ export default function Navbar() {
                       <h3 className="text-gray-900 font-semibold">Getting started</h3>
                       <ul className="list-disc pl-5 mt-1 space-y-1">
                         <li>Enter one or more website URLs in the input.</li>
-                        <li>Or upload a CSV/TXT file containing one URL per line.</li>
+                        <li>Or upload a CSV, TXT or Excel (XLSX) file: check the preview, pick the website column and the columns to keep, then click Use these columns. Enter up to 1,000 URLs by hand; upload longer lists (up to 100,000 websites) as a file.</li>
                         <li>Click <span className="font-medium">Start Scraping</span> to begin.</li>
                       </ul>
                     </div>
@@ -59,19 +69,34 @@ export default function Navbar() {
                       <h3 className="text-gray-900 font-semibold">Advanced options</h3>
                       <ul className="list-disc pl-5 mt-1 space-y-1">
                         <li>
-                          <span className="font-medium">Depth: 1 level deep</span> — Scrapes the given page and then follows a small number of the most relevant links (prioritizing contact/about/support pages) once.
+                          <span className="font-medium">Depth: 1 level deep</span> — Scrapes the given page and then follows links to other pages of the same site, contact/about/impressum/team pages first.
                         </li>
                         <li>
                           <span className="font-medium">Depth: 2 levels deep</span> — Same as above, then also follows links from those pages. This can find emails located on contact pages or subpages but takes longer.
                         </li>
+                        <li>
+                          <span className="font-medium">Page budget</span> — The most pages visited per website, homepage included. Each page is visited only once, and links to other sites are never followed.
+                        </li>
+                        <li>
+                          <span className="font-medium">Fetch mode</span> — Auto tries a fast plain HTTP request first and only opens the headless browser for sites that need it (JavaScript-rendered, empty or blocked pages).
+                        </li>
                         <li>
                           <span className="font-medium">Timeout</span> — Maximum time to wait for each page to load before skipping.
                         </li>
+                        <li>
+                          <span className="font-medium">Parallel pages</span> — How many websites are scraped at the same time. Pages on the same host are always fetched one after another.
+                        </li>
+                        <li>
+                          <span className="font-medium">Use sitemaps</span> — Also reads the site&apos;s sitemaps to find contact/about pages that the homepage does not link to.
+                        </li>
+                        <li>
+                          <span className="font-medium">Respect robots.txt</span> — Skips pages a site disallows for crawlers and waits its Crawl-delay between pages. Skipped pages are listed in the results.
+                        </li>
                         <li>
                           <span className="font-medium">Follow redirects</span> — If enabled, follows HTTP redirects (recommended).
                         </li>
                         <li>
-                          <span className="font-medium">Extract phone numbers / addresses</span> — Adds basic detection of phone and address patterns.
+                          <span className="font-medium">Extract phone numbers / addresses</span> — Finds international phone numbers (normalized to E.164) and full postal addresses split into street, city, region, postcode and country.
                         </li>
                       </ul>
                     </div>
@@ -81,7 +106,7 @@ export default function Navbar() {
                       <ul className="list-disc pl-5 mt-1 space-y-1">
                         <li>Emails in plain text (e.g. info@example.com) and common obfuscated forms.</li>
                         <li>Emails in <span className="font-mono">mailto:</span> links in HTML.</li>
-                        <li>Social links (Facebook, Instagram, X/Twitter, LinkedIn, YouTube, TikTok, etc.).</li>
+                        <li>Social links (Facebook, Instagram, X/Twitter, LinkedIn, YouTube, TikTok, Threads, Mastodon, Bluesky, GitHub, Yelp, Tripadvisor, Google Maps, etc.).</li>
                       </ul>
                     </div>
 
@@ -97,18 +122,26 @@ export default function Navbar() {
                             <li>Quick SMTP greeting reachability to the top MX</li>
                           </ul>
                         </li>
-                        <li><span className="font-medium">Statuses</span> — deliverable, risky, undeliverable (based on combined signals).</li>
+                        <li><span className="font-medium">Statuses</span> — deliverable, risky, undeliverable (based on combined signals). Only an address whose mailbox the mail server accepted is deliverable.</li>
                         <li><span className="font-medium">Score</span> — a heuristic confidence number:
                           <ul className="list-disc pl-5 mt-1 space-y-1">
                             <li>+2 syntax valid, +3 MX found, +2 SMTP reachable</li>
                             <li>−3 disposable domain</li>
-                            <li>≥5 deliverable, ≥3 risky, else undeliverable</li>
+                            <li>≥5 deliverable (risky when the mailbox could not be checked), ≥3 risky, else undeliverable</li>
                           </ul>
                         </li>
                         <li><span className="font-medium">Notes</span> — paid tools may also probe catch‑all, greylisting, and inbox existence; this tool performs safe, lightweight checks to avoid blocking.</li>
                       </ul>
                     </div>
 
+                    <div>
+                      <h3 className="text-gray-900 font-semibold">Bulk verification</h3>
+                      <ul className="list-disc pl-5 mt-1 space-y-1">
+                        <li>Open <span className="font-medium">Verify Emails</span> to check up to 50,000 addresses from a CSV, TXT or Excel file, a pasted list or a past scrape.</li>
+                        <li>Verification runs in the background with progress, pause and cancel; download the results as CSV (your columns plus status, score and notes) or JSON.</li>
+                      </ul>
+                    </div>
+
                     <div>
                       <h3 className="text-gray-900 font-semibold">Tips for better results</h3>
                       <ul className="list-disc pl-5 mt-1 space-y-1">
@@ -130,7 +163,9 @@ export default function Navbar() {
                     <div>
                       <h3 className="text-gray-900 font-semibold">Export</h3>
                       <ul className="list-disc pl-5 mt-1 space-y-1">
-                        <li>Download CSV or JSON after a run. Files are saved in the backend <span className="font-mono">/backend/output</span> folder with a timestamp.</li>
+                        <li>Results are written as each website finishes: download the CSV or JSONL from the progress panel while a run is still going.</li>
+                        <li>Download CSV, Excel (XLSX), JSON or JSONL after a run. The Excel file keeps your spreadsheet&apos;s columns next to the results and has a second sheet with run statistics. Files are saved in the backend <span className="font-mono">/backend/output</span> folder with a timestamp.</li>
+                        <li>Open <span className="font-medium">History</span> to reopen, download or delete any past run.</li>
                       </ul>
                     </div>
                   </div>
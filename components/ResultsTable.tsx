@@ -1,26 +1,81 @@
-import { useEffect, useMemo, useState } from 'react'
-import { Download, Copy, Check, ExternalLink, Filter, Search } from 'lucide-react'
+import { Fragment, useEffect, useMemo, useRef, useState } from 'react'
+import { Download, Copy, Check, ExternalLink, Filter, Search, ChevronDown, ChevronUp } from 'lucide-react'
 import toast from 'react-hot-toast'
 
+// Where and how an extracted value was found
+interface Provenance {
+  technique: string
+  sourceUrl: string
+  snippet?: string | null
+  firstSeen: string
+}
+
+// How an email was classified by the ranking
+interface EmailRanking {
+  type?: 'personal' | 'role' | 'no-reply' | 'third-party'
+  role?: 'primary' | 'secondary' | 'low' | null
+  domainMatch?: boolean
+  score?: number
+}
+
+const emailTypeStyles: Record<string, string> = {
+  personal: 'bg-purple-100 text-purple-700',
+  role: 'bg-gray-100 text-gray-700',
+  'no-reply': 'bg-red-100 text-red-700',
+  'third-party': 'bg-orange-100 text-orange-700'
+}
+
+interface PostalAddress {
+  formatted: string
+  street?: string | null
+  city?: string | null
+  region?: string | null
+  postcode?: string | null
+  country?: string | null
+}
+
+const formatAddress = (address: string | PostalAddress) =>
+  typeof address === 'string' ? address : address.formatted
+
+// A distinct social profile linked from a website
+interface SocialProfile {
+  url: string
+  handle: string
+  count: number
+  declared: boolean
+  primary: boolean
+}
+
+// A social platform from the backend registry
+interface Platform {
+  id: string
+  name: string
+  icon: string
+  color: string
+}
+
 interface ScrapingResult {
   website: string
-  emails: string[]
-  socialLinks: {
-    facebook?: string
-    twitter?: string
-    linkedin?: string
-    instagram?: string
-    youtube?: string
-    tiktok?: string
-    pinterest?: string
-    snapchat?: string
-    reddit?: string
-    telegram?: string
-    whatsapp?: string
-    discord?: string
+  // From the site's schema.org and OpenGraph markup
+  organization?: {
+    name?: string | null
+    logo?: string | null
+    description?: string | null
   }
+  emails: string[]
+  primaryEmail?: string | null
+  emailDetails?: (Provenance & EmailRanking & { email: string })[]
+  phoneDetails?: (Provenance & { phone: string; type?: string | null; country?: string | null })[]
+  addressDetails?: (Provenance & { address: string })[]
+  // Every distinct profile per platform; socialLinks holds the primary one
+  socialProfiles?: Record<string, SocialProfile[]>
+  // Primary profile URL keyed by platform id (see GET /api/platforms)
+  socialLinks: Record<string, string | undefined>
   phoneNumbers?: string[]
-  addresses?: string[]
+  // Parsed postal addresses; results saved by older versions hold plain strings
+  addresses?: (string | PostalAddress)[]
+  fetchTier?: 'http' | 'browser'
+  escalationReason?: string
   error?: string
 }
 
@@ -33,6 +88,20 @@ export default function ResultsTable({ results }: ResultsTableProps) {
   const [searchTerm, setSearchTerm] = useState('')
   const [filterType, setFilterType] = useState<'all' | 'with-emails' | 'with-social' | 'errors'>('all')
   const [verifications, setVerifications] = useState<Record<string, { status?: string, score?: number }>>({})
+  const [expandedWebsites, setExpandedWebsites] = useState<Set<string>>(new Set())
+  const [platforms, setPlatforms] = useState<Platform[]>([])
+
+  useEffect(() => {
+    let cancelled = false
+    ;(async () => {
+      try {
+        const res = await fetch('http://localhost:5000/api/platforms')
+        const data = await res.json()
+        if (!cancelled && data?.success && Array.isArray(data.platforms)) setPlatforms(data.platforms)
+      } catch {}
+    })()
+    return () => { cancelled = true }
+  }, [])
 
   const allEmails = useMemo(() => {
     const set = new Set<string>()
@@ -40,20 +109,23 @@ export default function ResultsTable({ results }: ResultsTableProps) {
     return Array.from(set)
   }, [results])
 
+  // Emails already sent for verification, so result updates only request new ones
+  const requestedEmails = useRef<Set<string>>(new Set())
+
   useEffect(() => {
-    let cancelled = false
-    const toVerify = allEmails.filter(e => !verifications[e])
+    const toVerify = allEmails.filter(e => !requestedEmails.current.has(e)).slice(0, 200)
     if (toVerify.length === 0) return
+    toVerify.forEach(e => requestedEmails.current.add(e))
     ;(async () => {
       try {
         const res = await fetch('/api/verify', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ emails: toVerify.slice(0, 200) })
+          body: JSON.stringify({ emails: toVerify })
         })
         const data = await res.json()
-        if (!data?.success || !Array.isArray(data.results)) return
-        if (cancelled) return
+        if (!data?.success || !Array.isArray(data.results)) throw new Error(data?.message)
+        // Merged even when newer results arrived meanwhile; those only request new emails
         setVerifications(prev => {
           const next = { ...prev }
           for (const r of data.results) {
@@ -61,9 +133,11 @@ export default function ResultsTable({ results }: ResultsTableProps) {
           }
           return next
         })
-      } catch {}
+      } catch {
+        // Let the next results update ask again
+        toVerify.forEach(e => requestedEmails.current.delete(e))
+      }
     })()
-    return () => { cancelled = true }
   }, [allEmails])
 
   const statusColor = (status?: string) => {
@@ -75,6 +149,41 @@ export default function ResultsTable({ results }: ResultsTableProps) {
     }
   }
 
+  const toggleDetails = (website: string) => {
+    setExpandedWebsites(prev => {
+      const next = new Set(prev)
+      if (next.has(website)) {
+        next.delete(website)
+      } else {
+        next.add(website)
+      }
+      return next
+    })
+  }
+
+  const hasDetails = (result: ScrapingResult) =>
+    !!(result.emailDetails?.length || result.phoneDetails?.length || result.addressDetails?.length ||
+      Object.keys(result.socialProfiles || {}).length)
+
+  const renderProvenance = (label: string, value: string, item: Provenance, key: string) => (
+    <li key={key} className="text-xs border-l-2 border-gray-200 pl-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-gray-900">{label} {value}</span>
+        <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700">{item.technique}</span>
+        <a
+          href={item.sourceUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-blue-600 hover:text-blue-800 break-all"
+        >
+          {item.sourceUrl}
+        </a>
+        <span className="text-gray-400">first seen {new Date(item.firstSeen).toLocaleString()}</span>
+      </div>
+      {item.snippet && <p className="mt-1 text-gray-500 italic">&ldquo;{item.snippet}&rdquo;</p>}
+    </li>
+  )
+
   const copyToClipboard = async (text: string, index: number) => {
     try {
       await navigator.clipboard.writeText(text)
@@ -87,30 +196,25 @@ export default function ResultsTable({ results }: ResultsTableProps) {
   }
 
   const exportToCSV = () => {
+    // One column per registry platform; without the registry, per platform found
+    const socialColumns = platforms.length > 0
+      ? platforms
+      : Array.from(new Set(filteredResults.flatMap(result => Object.keys(result.socialLinks))))
+        .map(id => ({ id, name: getPlatformName(id) }))
     const headers = [
-      'Website', 'Emails', 'Facebook', 'Twitter', 'LinkedIn', 'Instagram', 
-      'YouTube', 'TikTok', 'Pinterest', 'Snapchat', 'Reddit', 'Telegram', 
-      'WhatsApp', 'Discord', 'Phone Numbers', 'Addresses', 'Error'
+      'Website', 'Organization', 'Emails', 'Primary Email', ...socialColumns.map(platform => platform.name),
+      'Phone Numbers', 'Addresses', 'Error'
     ]
     const csvContent = [
       headers.join(','),
       ...filteredResults.map(result => [
         result.website,
+        result.organization?.name || '',
         result.emails.join('; '),
-        result.socialLinks.facebook || '',
-        result.socialLinks.twitter || '',
-        result.socialLinks.linkedin || '',
-        result.socialLinks.instagram || '',
-        result.socialLinks.youtube || '',
-        result.socialLinks.tiktok || '',
-        result.socialLinks.pinterest || '',
-        result.socialLinks.snapchat || '',
-        result.socialLinks.reddit || '',
-        result.socialLinks.telegram || '',
-        result.socialLinks.whatsapp || '',
-        result.socialLinks.discord || '',
+        result.primaryEmail || '',
+        ...socialColumns.map(platform => result.socialLinks[platform.id] || ''),
         result.phoneNumbers?.join('; ') || '',
-        result.addresses?.join('; ') || '',
+        result.addresses?.map(formatAddress).join('; ') || '',
         result.error || ''
       ].join(','))
     ].join('\n')
@@ -137,45 +241,44 @@ export default function ResultsTable({ results }: ResultsTableProps) {
     toast.success('JSON exported successfully!')
   }
 
-  const getSocialIcon = (platform: string) => {
-    const icons = {
-      facebook: '🔵',
-      twitter: '🐦',
-      linkedin: '💼',
-      instagram: '📷',
-      youtube: '🔴',
-      tiktok: '🎵',
-      pinterest: '📌',
-      snapchat: '👻',
-      reddit: '🤖',
-      telegram: '📡',
-      whatsapp: '💬',
-      discord: '🎮'
+  // Built by the backend so the workbook matches the saved output: the uploaded
+  // spreadsheet's columns first, then every result column, plus a statistics sheet
+  const exportToXLSX = async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/exports/xlsx', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ results: filteredResults })
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.message || 'Excel export failed')
+      }
+      const blob = await response.blob()
+      const url = window.URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `scraping-results-${new Date().toISOString().split('T')[0]}.xlsx`
+      a.click()
+      window.URL.revokeObjectURL(url)
+      toast.success('Excel file exported successfully!')
+    } catch (error: any) {
+      toast.error(error.message || 'Excel export failed')
     }
-    return icons[platform as keyof typeof icons] || '🔗'
   }
 
-  const getSocialColor = (platform: string) => {
-    const colors = {
-      facebook: 'bg-blue-100 text-blue-800',
-      twitter: 'bg-sky-100 text-sky-800',
-      linkedin: 'bg-blue-100 text-blue-800',
-      instagram: 'bg-pink-100 text-pink-800',
-      youtube: 'bg-red-100 text-red-800',
-      tiktok: 'bg-black text-white',
-      pinterest: 'bg-red-100 text-red-800',
-      snapchat: 'bg-yellow-100 text-yellow-800',
-      reddit: 'bg-orange-100 text-orange-800',
-      telegram: 'bg-blue-100 text-blue-800',
-      whatsapp: 'bg-green-100 text-green-800',
-      discord: 'bg-indigo-100 text-indigo-800'
-    }
-    return colors[platform as keyof typeof colors] || 'bg-gray-100 text-gray-800'
-  }
+  const findPlatform = (id: string) => platforms.find(platform => platform.id === id)
+
+  const getPlatformName = (id: string) => findPlatform(id)?.name || id
+
+  const getSocialIcon = (id: string) => findPlatform(id)?.icon || '🔗'
+
+  const getSocialColor = (id: string) => findPlatform(id)?.color || 'bg-gray-100 text-gray-800'
 
   // Filter results based on search and filter criteria
   const filteredResults = results.filter(result => {
     const matchesSearch = result.website.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                         (result.organization?.name || '').toLowerCase().includes(searchTerm.toLowerCase()) ||
                          result.emails.some(email => email.toLowerCase().includes(searchTerm.toLowerCase()))
     
     const matchesFilter = filterType === 'all' ||
@@ -247,6 +350,14 @@ export default function ResultsTable({ results }: ResultsTableProps) {
               <Download className="h-4 w-4" />
               <span>JSON</span>
             </button>
+            <button
+              onClick={exportToXLSX}
+              disabled={filteredResults.length === 0}
+              className="btn-secondary flex items-center space-x-2 disabled:opacity-50"
+            >
+              <Download className="h-4 w-4" />
+              <span>XLSX</span>
+            </button>
           </div>
         </div>
       </div>
@@ -278,7 +389,8 @@ export default function ResultsTable({ results }: ResultsTableProps) {
           </thead>
           <tbody className="bg-white divide-y divide-gray-200">
             {filteredResults.map((result, index) => (
-              <tr key={index} className="hover:bg-gray-50 transition-colors">
+              <Fragment key={index}>
+              <tr className="hover:bg-gray-50 transition-colors">
                 <td className="px-6 py-4 whitespace-nowrap">
                   <div className="flex items-center space-x-2">
                     <a
@@ -291,6 +403,24 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                       <ExternalLink className="h-3 w-3" />
                     </a>
                   </div>
+                  {result.organization?.name && (
+                    <div
+                      className="text-xs text-gray-600 mt-0.5 max-w-xs truncate"
+                      title={result.organization.description || undefined}
+                    >
+                      {result.organization.name}
+                    </div>
+                  )}
+                  {result.fetchTier && (
+                    <span
+                      title={result.escalationReason ? `Loaded in the browser: ${result.escalationReason}` : undefined}
+                      className={`inline-block mt-1 px-1.5 py-0.5 rounded text-xs ${
+                        result.fetchTier === 'http' ? 'bg-green-50 text-green-700' : 'bg-purple-50 text-purple-700'
+                      }`}
+                    >
+                      {result.fetchTier === 'http' ? 'HTTP' : 'Browser'}
+                    </span>
+                  )}
                 </td>
                 
                 <td className="px-6 py-4">
@@ -298,9 +428,22 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                     <span className="text-red-600 text-sm">{result.error}</span>
                   ) : result.emails.length > 0 ? (
                     <div className="space-y-1">
-                      {result.emails.map((email, emailIndex) => (
+                      {result.emails.map((email, emailIndex) => {
+                        const ranking = result.emailDetails?.find(detail => detail.email === email)
+                        return (
                         <div key={emailIndex} className="flex items-center space-x-2">
-                          <span className="text-sm text-gray-900">{email}</span>
+                          <span className={`text-sm ${email === result.primaryEmail ? 'font-semibold text-gray-900' : 'text-gray-900'}`}>{email}</span>
+                          {email === result.primaryEmail && (
+                            <span className="px-1.5 py-0.5 text-xs rounded bg-green-100 text-green-700">Primary</span>
+                          )}
+                          {ranking?.type && (
+                            <span
+                              className={`px-1.5 py-0.5 text-xs rounded ${emailTypeStyles[ranking.type]}`}
+                              title={ranking.domainMatch ? 'Matches the website domain' : 'Different domain than the website'}
+                            >
+                              {ranking.type}{ranking.domainMatch === false ? ' · off-domain' : ''}
+                            </span>
+                          )}
                           <button
                             onClick={() => copyToClipboard(email, index * 100 + emailIndex)}
                             className="text-gray-400 hover:text-gray-600 transition-colors"
@@ -312,7 +455,8 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                             )}
                           </button>
                         </div>
-                      ))}
+                        )
+                      })}
                     </div>
                   ) : (
                     <span className="text-gray-400 text-sm">No emails found</span>
@@ -354,10 +498,13 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                             target="_blank"
                             rel="noopener noreferrer"
                             className={`inline-flex items-center space-x-1 px-2 py-1 rounded text-xs transition-colors ${getSocialColor(platform)}`}
-                            title={`${platform} - ${url}`}
+                            title={`${getPlatformName(platform)} - ${url}`}
                           >
                             <span>{getSocialIcon(platform)}</span>
-                            <span className="capitalize">{platform}</span>
+                            <span>{getPlatformName(platform)}</span>
+                            {(result.socialProfiles?.[platform]?.length ?? 0) > 1 && (
+                              <span className="opacity-75">+{result.socialProfiles![platform].length - 1}</span>
+                            )}
                           </a>
                         )
                       })}
@@ -376,13 +523,18 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                       {result.phoneNumbers && result.phoneNumbers.length > 0 && (
                         <div className="text-xs">
                           <span className="font-medium text-gray-700">📞 Phone:</span>
-                          <span className="text-gray-600 ml-1">{result.phoneNumbers.join(', ')}</span>
+                          <span className="text-gray-600 ml-1">
+                            {result.phoneNumbers.map(phone => {
+                              const type = result.phoneDetails?.find(detail => detail.phone === phone)?.type
+                              return type ? `${phone} (${type})` : phone
+                            }).join(', ')}
+                          </span>
                         </div>
                       )}
                       {result.addresses && result.addresses.length > 0 && (
                         <div className="text-xs">
                           <span className="font-medium text-gray-700">📍 Address:</span>
-                          <span className="text-gray-600 ml-1">{result.addresses.join(', ')}</span>
+                          <span className="text-gray-600 ml-1">{result.addresses.map(formatAddress).join(' | ')}</span>
                         </div>
                       )}
                       {(!result.phoneNumbers || result.phoneNumbers.length === 0) && 
@@ -405,8 +557,48 @@ export default function ResultsTable({ results }: ResultsTableProps) {
                       Copy All
                     </button>
                   )}
+                  {hasDetails(result) && (
+                    <button
+                      onClick={() => toggleDetails(result.website)}
+                      className="ml-3 inline-flex items-center text-gray-600 hover:text-gray-900 font-medium"
+                    >
+                      Sources
+                      {expandedWebsites.has(result.website) ? (
+                        <ChevronUp className="h-4 w-4 ml-1" />
+                      ) : (
+                        <ChevronDown className="h-4 w-4 ml-1" />
+                      )}
+                    </button>
+                  )}
                 </td>
               </tr>
+              {expandedWebsites.has(result.website) && hasDetails(result) && (
+                <tr className="bg-gray-50">
+                  <td colSpan={6} className="px-6 py-4">
+                    <ul className="space-y-2">
+                      {result.emailDetails?.map((item, i) => renderProvenance('📧', item.email, item, `email-${i}`))}
+                      {result.phoneDetails?.map((item, i) => renderProvenance('📞', item.phone, item, `phone-${i}`))}
+                      {result.addressDetails?.map((item, i) => renderProvenance('📍', item.address, item, `address-${i}`))}
+                      {Object.entries(result.socialProfiles || {}).flatMap(([platform, profiles]) =>
+                        profiles.map(profile => (
+                          <li key={`${platform}-${profile.url}`} className="text-xs border-l-2 border-gray-200 pl-3">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="font-medium text-gray-900">{getSocialIcon(platform)} {getPlatformName(platform)} @{profile.handle}</span>
+                              {profile.primary && <span className="px-1.5 py-0.5 rounded bg-green-100 text-green-700">primary</span>}
+                              {profile.declared && <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-700">declared by site</span>}
+                              <a href={profile.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 break-all">
+                                {profile.url}
+                              </a>
+                              <span className="text-gray-400">linked {profile.count}×</span>
+                            </div>
+                          </li>
+                        ))
+                      )}
+                    </ul>
+                  </td>
+                </tr>
+              )}
+              </Fragment>
             ))}
           </tbody>
         </table>
@@ -1,53 +1,94 @@
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { Play, Loader2, Settings, ChevronDown, ChevronUp } from 'lucide-react'
 import toast from 'react-hot-toast'
 import UrlInput from './UrlInput'
-import FileUpload from './FileUpload'
+import FileUpload, { MappedFile } from './FileUpload'
 import ScrapingProgress from './ScrapingProgress'
 import axios from 'axios'
 
 interface ScrapingFormProps {
-  onScrapingComplete: (results: any[]) => void
+  onScrapingComplete: (results: any[], job?: any) => void
   onScrapingStart: () => void
+  onScrapingError: () => void
   isLoading: boolean
 }
 
+// Remembers the running job so a page refresh re-attaches to it
+export const ACTIVE_JOB_STORAGE_KEY = 'activeScrapeJobId'
+
+// Most URLs sent as a list; longer lists are uploaded as a file
+const MAX_LISTED_URLS = 1000
+
 interface ScrapingOptions {
+  fetchMode: 'auto' | 'http' | 'browser'
   maxDepth: number
+  maxPages: number
   timeout: number
   extractPhoneNumbers: boolean
+  phoneCountry: string
   extractAddresses: boolean
   followRedirects: boolean
   smartCrawling: boolean
+  respectRobotsTxt: boolean
+  useSitemaps: boolean
+  concurrency: number
 }
 
-export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLoading }: ScrapingFormProps) {
+export default function ScrapingForm({ onScrapingComplete, onScrapingStart, onScrapingError, isLoading }: ScrapingFormProps) {
   const [urls, setUrls] = useState<string[]>([])
-  const [csvData, setCsvData] = useState<any[]>([])
+  const [mappedFile, setMappedFile] = useState<MappedFile | null>(null)
   const [showAdvancedOptions, setShowAdvancedOptions] = useState(false)
-  const [isScrapingActive, setIsScrapingActive] = useState(false)
+  const [activeJobId, setActiveJobId] = useState<string | null>(null)
   const [options, setOptions] = useState<ScrapingOptions>({
+    fetchMode: 'auto',
     maxDepth: 2,
+    maxPages: 10,
     timeout: 30000,
     extractPhoneNumbers: false,
+    phoneCountry: '',
     extractAddresses: false,
     followRedirects: true,
-    smartCrawling: true
+    smartCrawling: true,
+    respectRobotsTxt: true,
+    useSitemaps: true,
+    concurrency: 3
   })
 
+  // Re-attach to a job that was still running when the page was reloaded
+  useEffect(() => {
+    const storedJobId = window.localStorage.getItem(ACTIVE_JOB_STORAGE_KEY)
+    if (storedJobId) {
+      setActiveJobId(storedJobId)
+      onScrapingStart()
+    }
+  }, [onScrapingStart])
+
   const handleUrlsChange = (newUrls: string[]) => {
     setUrls(newUrls)
   }
 
-  const handleFileContent = (fileUrls: string[], fileCsvData?: any[]) => {
-    // Merge file URLs with manually entered URLs, removing duplicates
-    const allUrls = [...new Set([...urls, ...fileUrls])]
-    setUrls(allUrls)
-    
-    // Store CSV data if provided
-    if (fileCsvData) {
-      setCsvData(fileCsvData)
-    }
+  // The file is sent again when the scrape starts; the backend reads its URLs then
+  const handleFileMapped = (mapped: MappedFile | null) => {
+    setMappedFile(mapped)
+  }
+
+  // Multipart fields of a scrape with an uploaded file: the file's mapping,
+  // the URLs typed in next to it (scraped first) and the options
+  const buildUploadForm = (file: MappedFile, listedUrls: string[]) => {
+    const formData = new FormData()
+    Object.entries(file.fields).forEach(([name, value]) => {
+      if (Array.isArray(value)) {
+        value.forEach(item => formData.append(`${name}[]`, item))
+      } else if (value) {
+        formData.append(name, value)
+      }
+    })
+    listedUrls.forEach(url => formData.append('urls[]', url))
+    Object.entries(options).forEach(([name, value]) => {
+      if (value !== '') formData.append(`options[${name}]`, String(value))
+    })
+    formData.append('file', file.file)
+    return formData
   }
 
   const handleOptionChange = (key: keyof ScrapingOptions, value: any) => {
@@ -58,7 +99,7 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
   }
 
   const startScraping = async () => {
-    if (urls.length === 0) {
+    if (urls.length === 0 && !mappedFile) {
       toast.error('Please add at least one URL to scrape')
       return
     }
@@ -73,67 +114,90 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
       }
     })
 
-    if (validUrls.length === 0) {
+    if (validUrls.length === 0 && !mappedFile) {
       toast.error('Please provide valid URLs')
       return
     }
 
-    if (validUrls.length > 100) {
-      toast.error('Maximum 100 URLs allowed per request')
+    if (validUrls.length > MAX_LISTED_URLS) {
+      toast.error(`Maximum ${MAX_LISTED_URLS} URLs can be entered; upload longer lists as a file`)
       return
     }
 
     onScrapingStart()
-    setIsScrapingActive(true)
-    toast.loading(`Starting scraping process for ${validUrls.length} websites...`)
 
     try {
-      const response = await axios.post('http://localhost:5000/api/scrape', {
-        urls: validUrls,
-        csvData: csvData.length > 0 ? csvData : undefined,
-        options: options
-      })
+      const response = mappedFile
+        ? await axios.post('http://localhost:5000/api/jobs', buildUploadForm(mappedFile, validUrls))
+        : await axios.post('http://localhost:5000/api/jobs', {
+          urls: validUrls,
+          options: options
+        })
 
-      toast.dismiss()
-      
-      if (response.data.success) {
-        const stats = response.data.statistics
-        const breakInfo = response.data.errorBreakInfo
-        
-        if (breakInfo && breakInfo.broken) {
-          toast.error(`Scraping stopped early: ${breakInfo.reason}. Processed ${stats.processedUrls}/${stats.totalUrls} websites.`)
-        } else {
-          toast.success(`Successfully scraped ${stats.successfulUrls}/${stats.totalUrls} websites in ${response.data.duration}!`)
-        }
-        
-        // Show detailed statistics
-        if (stats.errorUrls > 0 || stats.skippedUrls > 0) {
-          toast(`📊 Results: ${stats.successfulUrls} successful, ${stats.errorUrls} errors, ${stats.skippedUrls} skipped`, {
-            duration: 5000,
-            icon: '📊'
-          })
-        }
-        
-        onScrapingComplete(response.data.results)
-      } else {
-        toast.error(response.data.message || 'Scraping failed')
-      }
+      const jobId = response.data.jobId
+      window.localStorage.setItem(ACTIVE_JOB_STORAGE_KEY, jobId)
+      setActiveJobId(jobId)
+      toast.success(`Started scraping ${response.data.totalUrls} websites`)
     } catch (error: any) {
-      toast.dismiss()
       const errorMessage = error.response?.data?.message || 'An error occurred during scraping'
       toast.error(errorMessage)
-    } finally {
-      setIsScrapingActive(false)
+      onScrapingError()
+    }
+  }
+
+  const handleJobComplete = (job: any) => {
+    window.localStorage.removeItem(ACTIVE_JOB_STORAGE_KEY)
+    setActiveJobId(null)
+
+    if (job.status === 'cancelled') {
+      toast(job.message || 'Scraping cancelled', { icon: '🛑' })
+      if (job.results && job.results.length > 0) {
+        onScrapingComplete(job.results, job)
+      } else {
+        onScrapingError()
+      }
+      return
     }
+
+    if (job.status !== 'completed') {
+      toast.error(job.error || job.message || 'Scraping failed')
+      if (job.results && job.results.length > 0) {
+        onScrapingComplete(job.results, job)
+      } else {
+        onScrapingError()
+      }
+      return
+    }
+
+    const stats = job.statistics
+    const breakInfo = job.errorBreakInfo
+
+    if (breakInfo && breakInfo.broken) {
+      toast.error(`Scraping stopped early: ${breakInfo.reason}. Processed ${stats.processedUrls}/${stats.totalUrls} websites.`)
+    } else {
+      toast.success(`Successfully scraped ${stats.successfulUrls}/${stats.totalUrls} websites in ${job.duration}!`)
+    }
+
+    // Show detailed statistics
+    if (stats.errorUrls > 0 || stats.skippedUrls > 0) {
+      toast(`📊 Results: ${stats.successfulUrls} successful, ${stats.errorUrls} errors, ${stats.skippedUrls} skipped`, {
+        duration: 5000,
+        icon: '📊'
+      })
+    }
+
+    onScrapingComplete(job.results, job)
   }
 
+  // Before duplicates between the entered URLs and the file are dropped
+  const readyCount = urls.length + (mappedFile?.urlCount || 0)
+
   return (
     <div className="space-y-8">
       {/* Real-time scraping progress */}
       <ScrapingProgress 
-        isActive={isScrapingActive}
-        totalUrls={urls.length}
-        onComplete={onScrapingComplete}
+        jobId={activeJobId}
+        onComplete={handleJobComplete}
       />
       
       <div className="card">
@@ -153,7 +217,7 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
           </svg>
           Bulk Upload
         </h2>
-        <FileUpload onFileContent={handleFileContent} />
+        <FileUpload onFileMapped={handleFileMapped} />
       </div>
 
       <div className="card">
@@ -194,6 +258,25 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
                 </p>
               </div>
               
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Page Budget
+                </label>
+                <select
+                  value={options.maxPages}
+                  onChange={(e) => handleOptionChange('maxPages', parseInt(e.target.value))}
+                  className="input-field"
+                >
+                  <option value={5}>5 pages per website</option>
+                  <option value={10}>10 pages per website</option>
+                  <option value={25}>25 pages per website</option>
+                  <option value={50}>50 pages per website</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Most pages visited per website; contact, about and team pages go first
+                </p>
+              </div>
+              
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Timeout (seconds)
@@ -212,6 +295,59 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
                   Maximum time to wait for each page to load
                 </p>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Fetch Mode
+                </label>
+                <select
+                  value={options.fetchMode}
+                  onChange={(e) => handleOptionChange('fetchMode', e.target.value)}
+                  className="input-field"
+                >
+                  <option value="auto">Auto (HTTP first, browser when needed)</option>
+                  <option value="http">HTTP only (fastest)</option>
+                  <option value="browser">Browser only</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Auto switches to the headless browser for JavaScript-rendered, empty or blocked sites
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Phone Country
+                </label>
+                <input
+                  type="text"
+                  value={options.phoneCountry}
+                  onChange={(e) => handleOptionChange('phoneCountry', e.target.value.replace(/[^a-z]/gi, '').slice(0, 2).toUpperCase())}
+                  placeholder="Auto-detect"
+                  className="input-field"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Two-letter country code (e.g. DE) for numbers written without a country code; detected from each website&apos;s domain and language when empty
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Parallel Pages
+                </label>
+                <select
+                  value={options.concurrency}
+                  onChange={(e) => handleOptionChange('concurrency', parseInt(e.target.value))}
+                  className="input-field"
+                >
+                  <option value={1}>1 (one website at a time)</option>
+                  <option value={3}>3 websites at once</option>
+                  <option value={5}>5 websites at once</option>
+                  <option value={10}>10 websites at once</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Websites scraped in parallel; the same host is never hit twice at once
+                </p>
+              </div>
             </div>
             
             <div className="space-y-4">
@@ -266,6 +402,32 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
                   Smart crawling (skip deep crawl if emails found on homepage)
                 </label>
               </div>
+              
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="respectRobotsTxt"
+                  checked={options.respectRobotsTxt}
+                  onChange={(e) => handleOptionChange('respectRobotsTxt', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="respectRobotsTxt" className="ml-2 block text-sm text-gray-900">
+                  Respect robots.txt (skip disallowed pages, honor Crawl-delay)
+                </label>
+              </div>
+              
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="useSitemaps"
+                  checked={options.useSitemaps}
+                  onChange={(e) => handleOptionChange('useSitemaps', e.target.checked)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                />
+                <label htmlFor="useSitemaps" className="ml-2 block text-sm text-gray-900">
+                  Use sitemaps to find contact pages not linked from the homepage
+                </label>
+              </div>
             </div>
           </div>
         )}
@@ -274,7 +436,7 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
       <div className="text-center">
         <button
           onClick={startScraping}
-          disabled={isLoading || urls.length === 0}
+          disabled={isLoading || (urls.length === 0 && !mappedFile)}
           className="btn-primary text-lg px-8 py-4 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-3 mx-auto"
         >
           {isLoading ? (
@@ -290,13 +452,14 @@ export default function ScrapingForm({ onScrapingComplete, onScrapingStart, isLo
           )}
         </button>
         
-        {urls.length > 0 && (
+        {readyCount > 0 && (
           <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
             <p className="text-sm text-blue-800">
-              <strong>{urls.length}</strong> website{urls.length !== 1 ? 's' : ''} ready to scrape
+              <strong>{readyCount}</strong> website{readyCount !== 1 ? 's' : ''} ready to scrape
+              {mappedFile && urls.length > 0 && ` (${urls.length} entered, ${mappedFile.urlCount} from ${mappedFile.file.name})`}
               {options.maxDepth > 0 && (
                 <span className="block mt-1">
-                  Will crawl {options.maxDepth} level{options.maxDepth !== 1 ? 's' : ''} deep from each website
+                  Will crawl {options.maxDepth} level{options.maxDepth !== 1 ? 's' : ''} deep from each website (up to {options.maxPages} pages)
                 </span>
               )}
             </p>
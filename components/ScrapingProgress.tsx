@@ -1,108 +1,212 @@
-import { useState, useEffect } from 'react'
-import { CheckCircle, XCircle, Clock, Loader2, AlertCircle, Info } from 'lucide-react'
+import { useState, useEffect, useRef } from 'react'
+import { CheckCircle, XCircle, Clock, Loader2, AlertCircle, Info, Pause, Play, Square, Download } from 'lucide-react'
 import toast from 'react-hot-toast'
 
 interface ScrapingProgressProps {
-  isActive: boolean
-  totalUrls: number
-  onComplete: (results: any[]) => void
+  jobId: string | null
+  onComplete: (job: any) => void
 }
 
 interface UrlStatus {
+  index: number
   url: string
   status: 'pending' | 'scraping' | 'success' | 'error' | 'skipped'
   emails: string[]
   error?: string
+  currentPage?: string
   startTime?: number
   endTime?: number
   duration?: number
 }
 
-export default function ScrapingProgress({ isActive, totalUrls, onComplete }: ScrapingProgressProps) {
+interface UrlCounts {
+  success: number
+  error: number
+  skipped: number
+}
+
+const API_URL = 'http://localhost:5000/api'
+// Finished URLs listed below the ones in progress; the job may hold many thousands
+const MAX_LISTED_URLS = 50
+const NO_URLS: UrlCounts = { success: 0, error: 0, skipped: 0 }
+
+// Keep the URLs in progress and the latest finished ones, newest first
+const trimUrls = (urls: UrlStatus[]) => {
+  let finished = 0
+  return urls.filter(urlStatus => urlStatus.status === 'scraping' || ++finished <= MAX_LISTED_URLS)
+}
+
+export default function ScrapingProgress({ jobId, onComplete }: ScrapingProgressProps) {
   const [urls, setUrls] = useState<UrlStatus[]>([])
+  const [urlCounts, setUrlCounts] = useState<UrlCounts>(NO_URLS)
   const [currentIndex, setCurrentIndex] = useState(0)
-  const [isPolling, setIsPolling] = useState(false)
+  const [totalUrls, setTotalUrls] = useState(0)
+  const [jobStatus, setJobStatus] = useState<string>('queued')
+  const [isCancelling, setIsCancelling] = useState(false)
+  const [controlPending, setControlPending] = useState(false)
+  // The latest callback, so a new one from the parent does not reopen the stream
+  const onCompleteRef = useRef(onComplete)
 
-  // Start polling for updates when scraping begins
   useEffect(() => {
-    if (isActive && !isPolling) {
-      setIsPolling(true)
-      pollForUpdates()
-    } else if (!isActive && isPolling) {
-      setIsPolling(false)
-    }
-  }, [isActive, isPolling])
-
-  const pollForUpdates = async () => {
-    if (!isPolling) return
+    onCompleteRef.current = onComplete
+  }, [onComplete])
 
-    try {
-      const response = await fetch('http://localhost:5000/api/scraping-status')
-      if (response.ok) {
-        const data = await response.json()
-        updateUrlStatuses(data)
-      }
-    } catch (error) {
-      console.error('Error polling for updates:', error)
+  // Follow the job's progress stream while it is running
+  useEffect(() => {
+    if (!jobId) {
+      setUrls([])
+      setUrlCounts(NO_URLS)
+      setCurrentIndex(0)
+      setTotalUrls(0)
+      setJobStatus('queued')
+      setIsCancelling(false)
+      return
     }
 
-    // Continue polling every 2 seconds
-    if (isPolling) {
-      setTimeout(pollForUpdates, 2000)
-    }
-  }
+    const events = new EventSource(`${API_URL}/jobs/${jobId}/events`)
+    let finished = false
+
+    const parse = (event: Event) => JSON.parse((event as MessageEvent).data)
 
-  const updateUrlStatuses = (data: any) => {
-    if (data.currentUrl) {
-      setCurrentIndex(data.currentIndex || 0)
-      
-      // Update current URL status
+    const updateUrl = (index: number, update: (urlStatus: UrlStatus) => UrlStatus) => {
       setUrls(prev => {
+        const position = prev.findIndex(urlStatus => urlStatus.index === index)
+        if (position === -1) return prev
         const newUrls = [...prev]
-        const urlIndex = data.currentIndex || 0
-        
-        if (!newUrls[urlIndex]) {
-          newUrls[urlIndex] = {
-            url: data.currentUrl,
-            status: 'scraping',
-            emails: [],
-            startTime: Date.now()
-          }
-        } else {
-          newUrls[urlIndex] = {
-            ...newUrls[urlIndex],
-            status: 'scraping'
-          }
-        }
-        
+        newUrls[position] = update(newUrls[position])
         return newUrls
       })
     }
 
-    if (data.completedUrls) {
+    // Sent on every (re)connect, so a reload or dropped connection rebuilds the full state
+    events.addEventListener('snapshot', (event) => {
+      applySnapshot(parse(event).job)
+    })
+
+    events.addEventListener('url-started', (event) => {
+      const data = parse(event)
+      setCurrentIndex(data.index)
+      setUrls(prev => trimUrls([
+        { index: data.index, url: data.url, status: 'scraping', emails: [], startTime: Date.now() },
+        ...prev.filter(urlStatus => urlStatus.index !== data.index)
+      ]))
+    })
+
+    events.addEventListener('page-visited', (event) => {
+      const data = parse(event)
+      updateUrl(data.index, urlStatus => ({ ...urlStatus, currentPage: data.pageUrl }))
+    })
+
+    events.addEventListener('email-found', (event) => {
+      const data = parse(event)
+      updateUrl(data.index, urlStatus => ({
+        ...urlStatus,
+        emails: Array.from(new Set([...urlStatus.emails, ...data.emails]))
+      }))
+    })
+
+    events.addEventListener('url-finished', (event) => {
+      const data = parse(event)
+      const finishedUrl: UrlStatus = {
+        index: data.index,
+        url: data.url,
+        status: data.status,
+        emails: data.emails || [],
+        error: data.error,
+        endTime: Date.now(),
+        duration: data.duration
+      }
+      // Finished URLs move below the ones still in progress
       setUrls(prev => {
-        const newUrls = [...prev]
-        data.completedUrls.forEach((completed: any) => {
-          const index = completed.index
-          if (index < newUrls.length) {
-            newUrls[index] = {
-              ...newUrls[index],
-              status: completed.status,
-              emails: completed.emails || [],
-              error: completed.error,
-              endTime: Date.now(),
-              duration: completed.duration
-            }
-          }
-        })
-        return newUrls
+        const previous = prev.find(urlStatus => urlStatus.index === data.index)
+        const others = prev.filter(urlStatus => urlStatus.index !== data.index)
+        const active = others.filter(urlStatus => urlStatus.status === 'scraping')
+        const done = others.filter(urlStatus => urlStatus.status !== 'scraping')
+        return trimUrls([...active, { ...previous, ...finishedUrl, currentPage: undefined }, ...done])
       })
+      if (data.urlCounts) setUrlCounts(data.urlCounts)
+      showUrlToast(finishedUrl)
+    })
+
+    events.addEventListener('job-status', (event) => {
+      const data = parse(event)
+      setJobStatus(data.status)
+      setIsCancelling(!!data.cancelRequested)
+    })
+
+    events.addEventListener('run-broken', (event) => {
+      toast.error(`🛑 Stopping: ${parse(event).reason}`, { duration: 4000 })
+    })
+
+    events.addEventListener('run-complete', async () => {
+      finished = true
+      events.close()
+
+      // The stream carries no results; load the finished job once
+      try {
+        const response = await fetch(`${API_URL}/jobs/${jobId}`)
+        const data = await response.json()
+        onCompleteRef.current(data.success ? data.job : { status: 'failed', error: data.message, results: [] })
+      } catch (error) {
+        onCompleteRef.current({ status: 'failed', error: 'Could not load the scrape results', results: [] })
+      }
+    })
+
+    events.onerror = () => {
+      // EventSource reconnects on its own; it only gives up when the job is gone
+      if (!finished && events.readyState === EventSource.CLOSED) {
+        onCompleteRef.current({ status: 'failed', error: 'Scrape job no longer exists', results: [] })
+      }
     }
 
-    if (data.isComplete) {
-      setIsPolling(false)
-      onComplete(data.results || [])
+    return () => {
+      events.close()
     }
+  }, [jobId])
+
+  const controlJob = async (action: 'pause' | 'resume' | 'cancel') => {
+    if (!jobId) return
+    setControlPending(true)
+    try {
+      const response = await fetch(`${API_URL}/jobs/${jobId}/${action}`, { method: 'POST' })
+      const data = await response.json()
+      if (!response.ok || !data.success) {
+        toast.error(data.message || `Could not ${action} the scrape`)
+        return
+      }
+      setJobStatus(data.status)
+      if (action === 'cancel') {
+        setIsCancelling(true)
+        toast('Cancelling… websites in progress will finish first', { icon: '🛑' })
+      }
+    } catch (error) {
+      toast.error(`Could not ${action} the scrape`)
+    } finally {
+      setControlPending(false)
+    }
+  }
+
+  const applySnapshot = (job: any) => {
+    setJobStatus(job.status)
+    setIsCancelling(!!job.cancelRequested)
+    setTotalUrls(job.totalUrls || 0)
+    setCurrentIndex(job.currentIndex || 0)
+
+    setUrlCounts(job.urlCounts || NO_URLS)
+
+    // The job keeps the URLs in progress and its latest finished ones, oldest first
+    const activeUrls: UrlStatus[] = (job.activeUrls || []).map((active: any) => (
+      { index: active.index, url: active.url, status: 'scraping', emails: [], startTime: Date.now() }
+    ))
+    const completedUrls: UrlStatus[] = (job.completedUrls || []).map((completed: any) => ({
+      index: completed.index,
+      url: completed.url,
+      status: completed.status,
+      emails: completed.emails || [],
+      error: completed.error,
+      duration: completed.duration
+    })).reverse()
+    setUrls(trimUrls([...activeUrls, ...completedUrls]))
   }
 
   const getStatusIcon = (status: UrlStatus['status']) => {
@@ -165,32 +269,17 @@ export default function ScrapingProgress({ isActive, totalUrls, onComplete }: Sc
         duration: 1500,
         icon: 'ℹ️'
       })
-    } else if (status === 'skipped') {
-      toast(`⏭️ Skipped ${url}: ${error}`, {
-        duration: 1500,
-        icon: '⏭️'
-      })
     }
+    // Skipped URLs come all at once when a run stops early; the summary counts them
   }
 
-  // Show toast when URL status changes
-  useEffect(() => {
-    urls.forEach((urlStatus, index) => {
-      if (urlStatus.status === 'success' || urlStatus.status === 'error' || urlStatus.status === 'skipped') {
-        // Only show toast if this is a recent completion
-        if (urlStatus.endTime && Date.now() - urlStatus.endTime < 3000) {
-          showUrlToast(urlStatus)
-        }
-      }
-    })
-  }, [urls])
+  if (!jobId) return null
 
-  if (!isActive) return null
-
-  const completedCount = urls.filter(u => u.status === 'success' || u.status === 'error' || u.status === 'skipped').length
-  const successCount = urls.filter(u => u.status === 'success').length
-  const errorCount = urls.filter(u => u.status === 'error').length
-  const skippedCount = urls.filter(u => u.status === 'skipped').length
+  const successCount = urlCounts.success
+  const errorCount = urlCounts.error
+  const skippedCount = urlCounts.skipped
+  const completedCount = successCount + errorCount + skippedCount
+  const currentUrl = urls.find(urlStatus => urlStatus.index === currentIndex && urlStatus.status === 'scraping')
 
   return (
     <div className="fixed bottom-4 right-4 w-96 bg-white rounded-lg shadow-lg border border-gray-200 p-4 z-50">
@@ -203,12 +292,48 @@ export default function ScrapingProgress({ isActive, totalUrls, onComplete }: Sc
           <div className="w-16 bg-gray-200 rounded-full h-2">
             <div 
               className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${(completedCount / totalUrls) * 100}%` }}
+              style={{ width: `${totalUrls > 0 ? (completedCount / totalUrls) * 100 : 0}%` }}
             />
           </div>
         </div>
       </div>
 
+      {/* Controls */}
+      <div className="flex items-center justify-between mb-4">
+        <span className="text-xs font-medium text-gray-600 capitalize">
+          {isCancelling ? 'Cancelling…' : jobStatus}
+        </span>
+        <div className="flex items-center space-x-2">
+          {jobStatus === 'paused' ? (
+            <button
+              onClick={() => controlJob('resume')}
+              disabled={controlPending || isCancelling}
+              className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Play className="h-3 w-3" />
+              <span>Resume</span>
+            </button>
+          ) : (
+            <button
+              onClick={() => controlJob('pause')}
+              disabled={controlPending || isCancelling || jobStatus !== 'running'}
+              className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Pause className="h-3 w-3" />
+              <span>Pause</span>
+            </button>
+          )}
+          <button
+            onClick={() => controlJob('cancel')}
+            disabled={controlPending || isCancelling}
+            className="inline-flex items-center space-x-1 px-2 py-1 text-xs rounded border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+          >
+            <Square className="h-3 w-3" />
+            <span>Cancel</span>
+          </button>
+        </div>
+      </div>
+
       {/* Statistics */}
       <div className="grid grid-cols-3 gap-2 mb-4 text-xs">
         <div className="bg-green-50 text-green-700 px-2 py-1 rounded text-center">
@@ -223,30 +348,52 @@ export default function ScrapingProgress({ isActive, totalUrls, onComplete }: Sc
       </div>
 
       {/* Current URL */}
-      {urls[currentIndex] && (
+      {currentUrl && (
         <div className="mb-4 p-3 bg-blue-50 rounded-lg border border-blue-200">
           <div className="flex items-center space-x-2 mb-2">
-            {getStatusIcon(urls[currentIndex].status)}
+            {getStatusIcon(currentUrl.status)}
             <span className="text-sm font-medium text-blue-900">Currently Scraping:</span>
           </div>
           <p className="text-sm text-blue-800 break-all">
-            {urls[currentIndex].url}
+            {currentUrl.url}
           </p>
-          {urls[currentIndex].status === 'scraping' && urls[currentIndex].startTime && (
+          {currentUrl.currentPage && currentUrl.currentPage !== currentUrl.url && (
+            <p className="text-xs text-blue-600 mt-1 break-all">
+              Visiting: {currentUrl.currentPage}
+            </p>
+          )}
+          {currentUrl.startTime && (
             <p className="text-xs text-blue-600 mt-1">
-              Duration: {Math.round((Date.now() - urls[currentIndex].startTime!) / 1000)}s
+              Duration: {Math.round((Date.now() - currentUrl.startTime) / 1000)}s
             </p>
           )}
         </div>
       )}
 
+      {/* Results so far: appended as each URL finishes */}
+      {completedCount > 0 && (
+        <div className="mb-4 flex items-center justify-between text-xs text-gray-600">
+          <span>Download results so far:</span>
+          <div className="flex items-center space-x-3">
+            <a href={`${API_URL}/jobs/${jobId}/download?format=csv`} className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800">
+              <Download className="h-3 w-3" />
+              <span>CSV</span>
+            </a>
+            <a href={`${API_URL}/jobs/${jobId}/download?format=jsonl`} className="inline-flex items-center space-x-1 text-blue-600 hover:text-blue-800">
+              <Download className="h-3 w-3" />
+              <span>JSONL</span>
+            </a>
+          </div>
+        </div>
+      )}
+
       {/* URL List */}
       <div className="max-h-64 overflow-y-auto space-y-2">
-        {urls.map((urlStatus, index) => (
+        {urls.map(urlStatus => (
           <div
-            key={index}
+            key={urlStatus.index}
             className={`flex items-center justify-between p-2 rounded-lg border ${
-              index === currentIndex ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
+              urlStatus.index === currentIndex ? 'border-blue-300 bg-blue-50' : 'border-gray-200'
             }`}
           >
             <div className="flex items-center space-x-2 flex-1 min-w-0">
@@ -315,7 +462,7 @@ export default function ScrapingProgress({ isActive, totalUrls, onComplete }: Sc
       {/* Progress Summary */}
       <div className="mt-4 pt-3 border-t border-gray-200">
         <div className="flex justify-between text-xs text-gray-600">
-          <span>Progress: {Math.round((completedCount / totalUrls) * 100)}%</span>
+          <span>Progress: {totalUrls > 0 ? Math.round((completedCount / totalUrls) * 100) : 0}%</span>
           <span>Success Rate: {completedCount > 0 ? Math.round((successCount / completedCount) * 100) : 0}%</span>
         </div>
       </div>